@@ -0,0 +1,729 @@
+#!/usr/bin/env node
+/**
+ * svg2gltf - convert SVG files and folders to GLB (or STL/OBJ/3MF) without a browser
+ * Usage: svg2gltf <file-or-dir...> [-o <dir>] [options] [--watch]
+ */
+
+import '../src/node/environment.mjs';
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir, readdir, stat } from 'node:fs/promises';
+import { existsSync, watch } from 'node:fs';
+import { resolve, relative, dirname, basename, join } from 'node:path';
+import { createSettings, isInSettingRange } from '../src/core/settings.mjs';
+import { parsePresets } from '../src/core/presets.mjs';
+import { RULE_MATCH_TYPES, isValidDepthRule, normalizeColor } from '../src/core/depth-rules.mjs';
+import { analyzeMesh, isWatertight } from '../src/core/analysis.mjs';
+import { encodeModel, convertSVG, modelSize } from '../src/core/export.mjs';
+import { EXPORT_FORMATS } from '../src/core/formats.mjs';
+import { parseSVG, createMeshFromSVG } from '../src/core/svg-mesh.mjs';
+import { disposeMesh } from '../src/core/dispose.mjs';
+import { COMBINE_LAYOUTS, combineMeshes } from '../src/core/combine.mjs';
+import { createBatchManifest } from '../src/core/manifest.mjs';
+import { loadFont } from '../src/core/text.mjs';
+import { isValidBevelCurve } from '../src/core/extrude.mjs';
+import { isValidReliefRamp } from '../src/core/ramp.mjs';
+import { GENERATION_MODES, LAYER_MODES, BEVEL_PROFILES, BEVEL_SIDES, GRADIENT_MODES, RELIEF_MODES, REVOLVE_AXES, PLATE_SHAPES, KEYRING_POSITIONS, SCREW_HOLE_COUNTS, OFFSET_JOINS } from '../src/core/modes.mjs';
+import { isValidLODLevel } from '../src/core/lod.mjs';
+
+const HELP = `Usage: svg2gltf <file-or-dir...> [options]
+
+Converts SVG files (or every .svg in the given directories) to GLB or
+another model format.
+
+Options:
+  -o, --out-dir <dir>        Output directory (default: next to each input)
+      --presets <file.json>  Start from a preset in a file exported by the web app;
+                             other options override its values
+      --preset <name>        Preset to use (optional if the file has only one)
+  -f, --format <format>      ${Object.keys(EXPORT_FORMATS).join(', ')} (default: glb, or the
+                             --combine file's extension)
+                             STL, OBJ and 3MF are written in millimeters, Z up
+      --combine <file>       Write every input into one scene file, one named node per SVG,
+                             and a <file>.manifest.json listing each input's node or error
+      --layout <layout>      With --combine: ${COMBINE_LAYOUTS.join(', ')} (default: grid)
+      --spacing <m>          With --combine: gap between models in meters (default: 0.1)
+      --scale <m>            Target size of the longest dimension in meters
+      --mode <mode>          ${GENERATION_MODES.join(', ')} (default: extrude); revolve spins
+                             one path around an axis into a solid, sweep carries one
+                             along another
+      --profile <name>       Path to revolve or sweep, by id or tag_n (default: the
+                             first path that isn't the guide, or for sweep the
+                             first filled one that isn't the spine); implies
+                             --mode revolve unless a sweep option is given
+      --axis <axis>          Revolve axis: ${REVOLVE_AXES.join(', ')} (default: left)
+      --guide <name>         Guide line path for --axis guide (default: a path with
+                             "axis" or "guide" in its id or class, else the first
+                             straight line); implies --axis guide
+      --angle <deg>          Revolve sweep angle in degrees (default: 360)
+      --revolve-segments <n> Steps around the revolve sweep (default: 48)
+      --spine <name>         Path to sweep along (default: a path with "spine" in its
+                             id or class, else the last path); implies --mode sweep
+      --spine-file <file>    SVG holding the spine, when it isn't in each input;
+                             implies --mode sweep
+      --twist <deg>          Turn of the swept section over the spine's length
+      --scale-start <x>      Swept section scale at the start of the spine (default: 1)
+      --scale-end <x>        Swept section scale at the end of the spine (default: 1)
+      --sweep-segments <n>   Steps along each spine curve, and along the whole spine
+                             when it twists or scales (default: 64)
+      --depth <m>            Extrusion depth in meters
+      --offset <mm>          Grow (or shrink, when negative: --offset=-0.1) every shape
+                             and hole by this many millimeters
+      --offset-join <join>   Corners of offset contours: ${OFFSET_JOINS.join(', ')} (default: round)
+      --socket               Add a socket the drawn artwork fits into beside the inlay,
+                             cut as deep as --depth; a negative --offset is the clearance
+      --bevel <m>            Bevel thickness beyond each beveled face in meters (0 = off)
+      --bevel-size <m>       How far the bevel reaches out from the outline (default: thickness)
+      --bevel-segments <n>   Bevel segments (default: 2)
+      --bevel-profile <name> ${BEVEL_PROFILES.join(', ')} (default: round)
+      --bevel-curve <x1,y1,x2,y2>
+                             Control points of the custom profile, a curve from the
+                             face (0,1) to the body (1,0); implies --bevel-profile custom
+      --bevel-sides <sides>  Faces to bevel: ${BEVEL_SIDES.join(', ')} (default: both)
+      --segments <n>         Curve segments
+      --simplify <tol>       Simplify tolerance in SVG units (0 = off)
+      --merge-distance <m>   Weld vertices within this distance in meters
+      --color <hex>          Override every SVG color with this color
+      --gradients <mode>     Gradient and pattern fills as vertex colors (vertex, default)
+                             or a baked texture (texture); glTF formats only
+      --lod <tol:n:coverage,...>
+                             Lower levels of detail LOD1…LODn as simplify tolerance,
+                             curve segments and the screen coverage (0-1) below which
+                             each shows, e.g. 1:2:0.25,4:1:0.1; glTF formats carry
+                             them in the same file with MSFT_lod
+      --lod-files            Write LOD0…LODn to name_LOD0…name_LODn files instead
+      --relief <mode>        Relief instead of one depth: each region's height comes
+                             from its color's luminance or nearest --relief-ramp color
+                             (${RELIEF_MODES.filter(mode => mode !== 'off').join(', ')})
+      --relief-ramp <color:m,...>
+                             Ramp of colors and heights in meters (default:
+                             black:0.01,white:0.002); implies --relief luminance
+      --plate <shape>        Backing plate under the artwork: ${PLATE_SHAPES.filter(shape => shape !== 'none').join(', ')}
+                             (default: none; rectangle when another plate option is given)
+      --plate-thickness <m>  Plate thickness in meters (default: 0.003)
+      --plate-margin <m>     How far the plate reaches past the artwork (default: 0.003)
+      --corner-radius <m>    Corner radius of a rectangle plate (default: 0.003)
+      --keyring <side>       Keyring tab and hole: ${KEYRING_POSITIONS.filter(side => side !== 'none').join(', ')}
+      --keyring-diameter <m> Keyring hole diameter (default: 0.005)
+      --screw-holes <n>      Mounting holes through the plate: ${SCREW_HOLE_COUNTS.join(', ')}
+      --screw-diameter <m>   Screw hole diameter (default: 0.004)
+      --no-countersink       Straight screw holes instead of countersunk ones
+      --magnet <m>           Diameter of a magnet pocket in the plate's back
+      --magnet-depth <m>     Magnet pocket depth (default: 0.002)
+      --engrave <m>          Cut the artwork this deep into the plate instead of raising
+                             it (a rectangle plate unless --plate says otherwise)
+      --mirror               With --engrave: mirror the artwork, for stamps and molds
+      --flatten              One mesh per color instead of a node per element
+      --union                Union overlapping fills (per element, or per layer with --flatten)
+      --stack-layers <m>     Raise each later path in paint order by this step
+      --layer-mode <mode>    With --stack-layers: offset (default), or height to build
+                             one solid of the visible part of each layer
+      --font <file>          TTF, OTF or WOFF font for SVG text, matched by its family
+                             name (repeatable; Helvetiker is built in)
+      --rules <file.json>    Depth rules: [{ "match": "color"|"id"|"class",
+                             "value": "...", "depth": <m>, "offset": <m> }]
+      --check                Report non-manifold edges, open boundaries, winding
+                             errors and self-intersections for each output
+  -w, --watch                Re-convert files when they change on disk
+  -h, --help                 Show this help
+`;
+
+// Numeric flags and the setting each one controls (ranges in SETTING_RANGES)
+const NUMBER_OPTIONS = {
+  'scale': 'scaleMeters',
+  'depth': 'extrudeDepth',
+  'offset': 'contourOffset',
+  'bevel': 'bevelThickness',
+  'bevel-size': 'bevelSize',
+  'bevel-segments': 'bevelSegments',
+  'segments': 'curveSegments',
+  'simplify': 'simplifyTolerance',
+  'merge-distance': 'mergeDistance',
+  'stack-layers': 'layerStep',
+  'angle': 'revolveAngle',
+  'revolve-segments': 'revolveSegments',
+  'twist': 'sweepTwist',
+  'scale-start': 'sweepScaleStart',
+  'scale-end': 'sweepScaleEnd',
+  'sweep-segments': 'sweepSegments',
+  'plate-thickness': 'plateThickness',
+  'plate-margin': 'plateMargin',
+  'corner-radius': 'plateCornerRadius',
+  'keyring-diameter': 'keyringDiameter',
+  'screw-diameter': 'screwDiameter',
+  'magnet': 'magnetDiameter',
+  'magnet-depth': 'magnetDepth',
+  'engrave': 'engraveDepth'
+};
+
+// Flags that only mean something in one generation mode, and so imply it
+const SWEEP_OPTIONS = ['spine', 'spine-file', 'twist', 'scale-start', 'scale-end', 'sweep-segments'];
+const REVOLVE_OPTIONS = ['profile', 'axis', 'guide', 'angle', 'revolve-segments'];
+const PLATE_OPTIONS = [
+  'plate-thickness', 'plate-margin', 'corner-radius', 'keyring', 'keyring-diameter',
+  'screw-holes', 'screw-diameter', 'no-countersink', 'magnet', 'magnet-depth'
+];
+
+function fail(message) {
+  console.error(`svg2gltf: ${message}`);
+  process.exit(1);
+}
+
+async function loadDepthRules(file) {
+  let rules;
+  try {
+    rules = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    fail(`could not read rules from ${file}: ${err.message}`);
+  }
+
+  if (!Array.isArray(rules) || !rules.every(isValidDepthRule)) {
+    fail(`${file} must be an array of { match: ${RULE_MATCH_TYPES.join('|')}, value, depth, offset } rules`);
+  }
+
+  return rules.map(rule => ({ ...rule, offset: rule.offset || 0 }));
+}
+
+async function loadPreset(file, name) {
+  let presets;
+  try {
+    presets = parsePresets(await readFile(file, 'utf8'), message => console.warn(`svg2gltf: ${file}: ${message}`));
+  } catch (err) {
+    fail(`could not read presets from ${file}: ${err.message}`);
+  }
+
+  const names = Object.keys(presets);
+  if (name === undefined) {
+    if (names.length !== 1) {
+      fail(`${file} has ${names.length} presets, choose one with --preset (${names.join(', ')})`);
+    }
+    return presets[names[0]];
+  }
+  if (!(name in presets)) {
+    fail(`no preset named "${name}" in ${file} (available: ${names.join(', ')})`);
+  }
+  return presets[name];
+}
+
+async function loadFontFile(file) {
+  try {
+    const buffer = await readFile(file);
+    return await loadFont(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  } catch (err) {
+    fail(`could not load font ${file}: ${err.message}`);
+  }
+}
+
+async function parseCommandLine() {
+  const options = {
+    'out-dir': { type: 'string', short: 'o' },
+    'format': { type: 'string', short: 'f' },
+    'combine': { type: 'string' },
+    'layout': { type: 'string', default: 'grid' },
+    'spacing': { type: 'string', default: '0.1' },
+    'color': { type: 'string' },
+    'rules': { type: 'string' },
+    'font': { type: 'string', multiple: true, default: [] },
+    'presets': { type: 'string' },
+    'preset': { type: 'string' },
+    'layer-mode': { type: 'string' },
+    'gradients': { type: 'string' },
+    'bevel-profile': { type: 'string' },
+    'bevel-curve': { type: 'string' },
+    'bevel-sides': { type: 'string' },
+    'relief': { type: 'string' },
+    'relief-ramp': { type: 'string' },
+    'mode': { type: 'string' },
+    'profile': { type: 'string' },
+    'axis': { type: 'string' },
+    'guide': { type: 'string' },
+    'spine': { type: 'string' },
+    'spine-file': { type: 'string' },
+    'plate': { type: 'string' },
+    'keyring': { type: 'string' },
+    'screw-holes': { type: 'string' },
+    'no-countersink': { type: 'boolean' },
+    'mirror': { type: 'boolean', default: false },
+    'offset-join': { type: 'string' },
+    'socket': { type: 'boolean', default: false },
+    'lod': { type: 'string' },
+    'lod-files': { type: 'boolean', default: false },
+    'flatten': { type: 'boolean', default: false },
+    'union': { type: 'boolean', default: false },
+    'check': { type: 'boolean', default: false },
+    'watch': { type: 'boolean', short: 'w', default: false },
+    'help': { type: 'boolean', short: 'h', default: false }
+  };
+  for (const name of Object.keys(NUMBER_OPTIONS)) {
+    options[name] = { type: 'string' };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ options, allowPositionals: true });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(HELP);
+    process.exit(0);
+  }
+  if (positionals.length === 0) {
+    console.error(HELP);
+    process.exit(1);
+  }
+
+  // A --combine file name like icons.3mf picks its format unless -f says otherwise
+  const combineExtension = values.combine?.split('.').pop().toLowerCase();
+  const format = values.format ??
+    Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].extension === combineExtension) ??
+    'glb';
+  if (!(format in EXPORT_FORMATS)) {
+    fail(`unknown format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  if (!COMBINE_LAYOUTS.includes(values.layout)) {
+    fail(`invalid value for --layout: ${values.layout} (expected one of ${COMBINE_LAYOUTS.join(', ')})`);
+  }
+  if (values['lod-files'] && values.combine) {
+    fail('--lod-files writes separate files, it does not work with --combine');
+  }
+  if (values.lod !== undefined && values.combine) {
+    fail('--lod does not work with --combine, which writes full detail only');
+  }
+  const spacing = Number(values.spacing);
+  if (!Number.isFinite(spacing) || spacing < 0) {
+    fail(`invalid value for --spacing: ${values.spacing}`);
+  }
+
+  if (values.preset !== undefined && values.presets === undefined) {
+    fail('--preset needs a --presets file');
+  }
+  const preset = values.presets !== undefined
+    ? await loadPreset(resolve(values.presets), values.preset)
+    : {};
+
+  const overrides = {};
+  for (const [name, key] of Object.entries(NUMBER_OPTIONS)) {
+    if (values[name] === undefined) continue;
+
+    const value = Number(values[name]);
+    if (!isInSettingRange(key, value)) {
+      fail(`invalid value for --${name}: ${values[name]}`);
+    }
+    overrides[key] = value;
+  }
+
+  if (values.color !== undefined) {
+    if (!/^#?[0-9a-f]{6}$/i.test(values.color)) {
+      fail(`invalid value for --color: ${values.color} (expected a hex color like #ff6b35)`);
+    }
+    overrides.meshColor = values.color.startsWith('#') ? values.color : `#${values.color}`;
+    overrides.overrideColor = true;
+  }
+  if (overrides.layerStep !== undefined) {
+    overrides.stackLayers = true;
+  }
+  if (values['layer-mode'] !== undefined) {
+    if (!LAYER_MODES.includes(values['layer-mode'])) {
+      fail(`invalid value for --layer-mode: ${values['layer-mode']} (expected ${LAYER_MODES.join(' or ')})`);
+    }
+    overrides.layerMode = values['layer-mode'];
+  }
+  if (values['bevel-profile'] !== undefined) {
+    if (!BEVEL_PROFILES.includes(values['bevel-profile'])) {
+      fail(`invalid value for --bevel-profile: ${values['bevel-profile']} (expected one of ${BEVEL_PROFILES.join(', ')})`);
+    }
+    overrides.bevelProfile = values['bevel-profile'];
+  }
+  if (values['bevel-curve'] !== undefined) {
+    const curve = values['bevel-curve'].split(',').map(Number);
+    if (!isValidBevelCurve(curve)) {
+      fail(`invalid value for --bevel-curve: ${values['bevel-curve']} (expected x1,y1,x2,y2 with x between 0 and 1)`);
+    }
+    overrides.bevelCurve = curve;
+    overrides.bevelProfile ??= 'custom';
+  }
+  if (values['bevel-sides'] !== undefined) {
+    if (!BEVEL_SIDES.includes(values['bevel-sides'])) {
+      fail(`invalid value for --bevel-sides: ${values['bevel-sides']} (expected one of ${BEVEL_SIDES.join(', ')})`);
+    }
+    overrides.bevelSides = values['bevel-sides'];
+  }
+  if (values.gradients !== undefined) {
+    if (!GRADIENT_MODES.includes(values.gradients)) {
+      fail(`invalid value for --gradients: ${values.gradients} (expected ${GRADIENT_MODES.join(' or ')})`);
+    }
+    overrides.gradientMode = values.gradients;
+  }
+  if (values.relief !== undefined) {
+    if (!RELIEF_MODES.includes(values.relief)) {
+      fail(`invalid value for --relief: ${values.relief} (expected one of ${RELIEF_MODES.join(', ')})`);
+    }
+    overrides.reliefMode = values.relief;
+  }
+  if (values['relief-ramp'] !== undefined) {
+    const ramp = values['relief-ramp'].split(',').map(stop => {
+      const [color, height] = stop.split(':');
+      const hex = normalizeColor(color);
+      return { color: hex ? `#${hex}` : color, height: Number(height) };
+    });
+    if (!isValidReliefRamp(ramp)) {
+      fail(`invalid value for --relief-ramp: ${values['relief-ramp']} (expected color:height pairs like black:0.01,white:0.002)`);
+    }
+    overrides.reliefRamp = ramp;
+    overrides.reliefMode ??= 'luminance';
+  }
+  if (values.mode !== undefined) {
+    if (!GENERATION_MODES.includes(values.mode)) {
+      fail(`invalid value for --mode: ${values.mode} (expected one of ${GENERATION_MODES.join(', ')})`);
+    }
+    overrides.generationMode = values.mode;
+  }
+  if (values.axis !== undefined) {
+    if (!REVOLVE_AXES.includes(values.axis)) {
+      fail(`invalid value for --axis: ${values.axis} (expected one of ${REVOLVE_AXES.join(', ')})`);
+    }
+    overrides.revolveAxis = values.axis;
+  }
+  if (values.profile !== undefined) {
+    overrides.profilePath = values.profile;
+  }
+  if (values.guide !== undefined) {
+    overrides.revolveGuide = values.guide;
+    overrides.revolveAxis ??= 'guide';
+  }
+  if (values.spine !== undefined) {
+    overrides.spinePath = values.spine;
+  }
+  if (values['spine-file'] !== undefined) {
+    try {
+      overrides.spineSvgText = await readFile(resolve(values['spine-file']), 'utf8');
+    } catch (err) {
+      fail(`could not read spine from ${values['spine-file']}: ${err.message}`);
+    }
+  }
+  if (SWEEP_OPTIONS.some(name => values[name] !== undefined)) {
+    overrides.generationMode ??= 'sweep';
+  }
+  if (REVOLVE_OPTIONS.some(name => values[name] !== undefined)) {
+    overrides.generationMode ??= 'revolve';
+  }
+  if (values.plate !== undefined) {
+    if (!PLATE_SHAPES.includes(values.plate)) {
+      fail(`invalid value for --plate: ${values.plate} (expected one of ${PLATE_SHAPES.join(', ')})`);
+    }
+    overrides.plateShape = values.plate;
+  }
+  if (values.keyring !== undefined) {
+    if (!KEYRING_POSITIONS.includes(values.keyring)) {
+      fail(`invalid value for --keyring: ${values.keyring} (expected one of ${KEYRING_POSITIONS.join(', ')})`);
+    }
+    overrides.keyringHole = values.keyring;
+  }
+  if (values['screw-holes'] !== undefined) {
+    const count = Number(values['screw-holes']);
+    if (!SCREW_HOLE_COUNTS.includes(count)) {
+      fail(`invalid value for --screw-holes: ${values['screw-holes']} (expected one of ${SCREW_HOLE_COUNTS.join(', ')})`);
+    }
+    overrides.screwHoles = count;
+  }
+  if (values['no-countersink']) {
+    overrides.screwCountersink = false;
+  }
+  if (PLATE_OPTIONS.some(name => values[name] !== undefined)) {
+    overrides.plateShape ??= 'rectangle';
+  }
+  if (values.engrave !== undefined) {
+    overrides.engrave = true;
+  }
+  if (values.mirror) {
+    overrides.engraveMirror = true;
+  }
+  if (values['offset-join'] !== undefined) {
+    if (!OFFSET_JOINS.includes(values['offset-join'])) {
+      fail(`invalid value for --offset-join: ${values['offset-join']} (expected one of ${OFFSET_JOINS.join(', ')})`);
+    }
+    overrides.contourJoin = values['offset-join'];
+  }
+  if (values.socket) {
+    overrides.inlaySocket = true;
+  }
+  if (values.lod !== undefined) {
+    const levels = values.lod.split(',').map(level => {
+      const [simplifyTolerance, curveSegments, coverage] = level.split(':').map(Number);
+      return { simplifyTolerance, curveSegments, coverage };
+    });
+    if (!levels.every(isValidLODLevel)) {
+      fail(`invalid value for --lod: ${values.lod} (expected tolerance:segments:coverage levels like 1:2:0.25,4:1:0.1)`);
+    }
+    overrides.lodLevels = levels;
+  }
+  if (values.flatten) {
+    overrides.preserveHierarchy = false;
+  }
+  if (values.union) {
+    overrides.unionFills = true;
+  }
+  if (values.rules !== undefined) {
+    overrides.depthRules = await loadDepthRules(resolve(values.rules));
+  }
+
+  const settings = createSettings({ ...preset, ...overrides });
+  if (values.combine && settings.lodLevels.length > 0) {
+    console.warn('svg2gltf: --combine writes full detail only, ignoring the preset\'s levels of detail');
+    settings.lodLevels = [];
+  }
+
+  return {
+    inputs: positionals.map(p => resolve(p)),
+    outDir: values['out-dir'] ? resolve(values['out-dir']) : null,
+    format,
+    combine: values.combine ? resolve(values.combine) : null,
+    layout: values.layout,
+    spacing,
+    check: values.check,
+    lodFiles: values['lod-files'],
+    watch: values.watch,
+    fonts: await Promise.all(values.font.map(file => loadFontFile(resolve(file)))),
+    settings
+  };
+}
+
+const isSVG = (file) => file.toLowerCase().endsWith('.svg');
+
+async function findSVGFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+  return entries
+    .filter(entry => entry.isFile() && isSVG(entry.name))
+    .map(entry => join(entry.parentPath ?? entry.path, entry.name))
+    .sort();
+}
+
+// Directory inputs keep their sub-folder layout inside the output directory
+function outputPathFor(file, root, outDir, format) {
+  const name = basename(file).replace(/\.svg$/i, `.${EXPORT_FORMATS[format].extension}`);
+  if (!outDir) return join(dirname(file), name);
+  return join(outDir, relative(root, dirname(file)), name);
+}
+
+// Watertightness is per mesh; crossings between meshes only matter once a
+// format merges them, so they're listed after it
+function formatReport(report) {
+  const overlaps = report.meshOverlaps > 0
+    ? `; ${report.meshOverlaps} crossings between meshes (STL and OBJ merge them)`
+    : '';
+  if (isWatertight(report)) return `watertight${overlaps}`;
+  if (report.triangles === 0) return 'empty mesh';
+
+  const problems = [
+    [report.nonManifoldEdges, 'non-manifold edges'],
+    [report.boundaryLoops, 'open boundary loops'],
+    [report.windingErrors, 'winding errors'],
+    [report.selfIntersections, 'self-intersections within meshes']
+  ];
+  return problems
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`)
+    .join(', ') + overlaps;
+}
+
+function logWarnings(warnings) {
+  warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+}
+
+// name.glb -> name_LOD1.glb
+function lodPath(outputPath, level) {
+  return outputPath.replace(/(\.[^.]+)$/, `_LOD${level}$1`);
+}
+
+async function convertFile(file, root, { outDir, format, check, lodFiles, settings, fonts }) {
+  const outputPath = outputPathFor(file, root, outDir, format);
+
+  try {
+    const text = await readFile(file, 'utf8');
+    const name = basename(file).replace(/\.svg$/i, '');
+    const { data, lodData, shapeCount, totalVertices, report, warnings } = await convertSVG(text, settings, { name, format, analyze: check, fonts, lodFiles });
+
+    // One file per level of detail with --lod-files
+    const outputs = lodData ? lodData.map((levelData, i) => [lodPath(outputPath, i), levelData]) : [[outputPath, data]];
+    await mkdir(dirname(outputPath), { recursive: true });
+    for (const [path, levelData] of outputs) {
+      await writeFile(path, typeof levelData === 'string' ? levelData : Buffer.from(levelData));
+    }
+
+    const written = outputs.map(([path]) => relative(process.cwd(), path)).join(', ');
+    console.log(`✓ ${relative(process.cwd(), file)} → ${written} (${shapeCount} shapes, ${totalVertices.toLocaleString()} vertices)`);
+    logWarnings(warnings);
+    if (report) {
+      const log = isWatertight(report) ? console.log : console.warn;
+      log(`  mesh check: ${formatReport(report)}`);
+    }
+    return true;
+  } catch (err) {
+    console.error(`✗ ${relative(process.cwd(), file)}: ${err.message}`);
+    return false;
+  }
+}
+
+// icons.glb -> icons.manifest.json
+function manifestPath(combine) {
+  return `${combine.replace(/\.[^./\\]+$/, '')}.manifest.json`;
+}
+
+// Build every job into one scene and write it to the --combine file, with a
+// manifest of where each input went or why it failed
+async function combineFiles(jobs, { combine, layout, spacing, format, check, settings, fonts }) {
+  const items = [];
+  const entries = []; // manifest entries, in input order
+  const scene = { output: basename(combine), layout, spacing };
+  let failures = 0;
+
+  for (const { file, root } of jobs) {
+    const input = relative(root, file);
+    try {
+      const text = await readFile(file, 'utf8');
+      const svgData = parseSVG(text, { fonts });
+      const { group, ...stats } = createMeshFromSVG(svgData, settings);
+      const warnings = [...svgData.warnings, ...stats.warnings];
+      const entry = { input, result: { ...stats, size: modelSize(group), warnings } };
+      entries.push(entry);
+      items.push({ group, name: basename(file).replace(/\.svg$/i, ''), source: input, entry });
+      if (warnings.length > 0) {
+        console.warn(`${relative(process.cwd(), file)}:`);
+        logWarnings(warnings);
+      }
+    } catch (err) {
+      console.error(`✗ ${relative(process.cwd(), file)}: ${err.message}`);
+      entries.push({ input, error: err });
+      failures++;
+    }
+  }
+
+  if (items.length === 0) {
+    scene.error = new Error('No SVG converted');
+  } else {
+    const name = basename(combine).replace(/\.[^.]+$/, '');
+    const { group, materialCount } = combineMeshes(items, { layout, spacing, name });
+    try {
+      const data = await encodeModel(group, format);
+      await mkdir(dirname(combine), { recursive: true });
+      await writeFile(combine, typeof data === 'string' ? data : Buffer.from(data));
+      scene.materials = materialCount;
+      items.forEach(({ group: node, entry }) => {
+        entry.output = scene.output;
+        entry.node = node.name;
+      });
+      console.log(`✓ ${items.length} SVGs → ${relative(process.cwd(), combine)} (${layout}, ${materialCount} materials)`);
+      if (check) {
+        const report = analyzeMesh(group);
+        const log = isWatertight(report) ? console.log : console.warn;
+        log(`  mesh check: ${formatReport(report)}`);
+      }
+    } catch (err) {
+      console.error(`✗ ${relative(process.cwd(), combine)}: ${err.message}`);
+      scene.error = err;
+      failures++;
+    } finally {
+      disposeMesh(group);
+    }
+  }
+
+  const manifest = createBatchManifest({ format, settings, files: entries, scene });
+  try {
+    await mkdir(dirname(combine), { recursive: true });
+    await writeFile(manifestPath(combine), JSON.stringify(manifest, null, 2));
+  } catch (err) {
+    console.error(`✗ ${relative(process.cwd(), manifestPath(combine))}: ${err.message}`);
+    failures++;
+  }
+  return failures;
+}
+
+// Expand inputs into { file, root } jobs; root is the directory outputs are
+// relative to. Rejects when an input doesn't exist.
+async function collectJobs(inputs) {
+  const jobs = [];
+  const directories = new Set();
+
+  for (const input of inputs) {
+    let info;
+    try {
+      info = await stat(input);
+    } catch {
+      throw new Error(`no such file or directory: ${input}`);
+    }
+
+    if (info.isDirectory()) {
+      directories.add(input);
+      const files = await findSVGFiles(input);
+      if (files.length === 0) console.warn(`svg2gltf: no .svg files in ${input}`);
+      files.forEach(file => jobs.push({ file, root: input }));
+    } else {
+      jobs.push({ file: input, root: dirname(input) });
+    }
+  }
+
+  return { jobs, directories };
+}
+
+function watchInputs(inputs, directories, config) {
+  const pending = new Map(); // file (or the --combine output) -> debounce timer
+
+  const debounce = (key, action) => {
+    clearTimeout(pending.get(key));
+    pending.set(key, setTimeout(() => {
+      pending.delete(key);
+      action();
+    }, 100));
+  };
+
+  // A combined scene is rebuilt from all inputs, which may have gained or lost
+  // files. One that was deleted or renamed is reported and watched for again.
+  const schedule = config.combine
+    ? () => debounce(config.combine, async () => {
+      try {
+        const { jobs } = await collectJobs(config.inputs);
+        await combineFiles(jobs, config);
+      } catch (err) {
+        console.error(`svg2gltf: ${err.message}`);
+      }
+    })
+    : (file, root) => debounce(file, () => {
+      if (existsSync(file)) convertFile(file, root, config);
+    });
+
+  for (const input of inputs) {
+    if (directories.has(input)) {
+      watch(input, { recursive: true }, (event, filename) => {
+        if (filename && isSVG(filename)) schedule(join(input, filename), input);
+      });
+    } else {
+      // Watch the parent directory so editors that replace the file on save are still seen
+      const dir = dirname(input);
+      watch(dir, (event, filename) => {
+        if (filename === basename(input)) schedule(input, dir);
+      });
+    }
+  }
+
+  console.log('👀 Watching for changes (Ctrl+C to stop)');
+}
+
+const config = await parseCommandLine();
+const { jobs, directories } = await collectJobs(config.inputs).catch(err => fail(err.message));
+
+let failures = 0;
+if (config.combine) {
+  failures = await combineFiles(jobs, config);
+} else {
+  for (const { file, root } of jobs) {
+    if (!(await convertFile(file, root, config))) failures++;
+  }
+}
+
+if (config.watch) {
+  watchInputs(config.inputs, directories, config);
+} else if (failures > 0) {
+  process.exitCode = 1;
+}
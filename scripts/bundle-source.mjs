@@ -18,6 +18,7 @@ const outputFile = resolve(outputDir, 'source.zip');
 const includes = [
   'src/',
   'scripts/',
+  'bin/',
   'index.html',
   'package.json',
   'vite.config.mjs',
@@ -0,0 +1,383 @@
+/**
+ * Mesh integrity checks: non-manifold edges, open boundary loops, winding
+ * consistency, degenerate triangles and self-intersections within each mesh,
+ * plus crossings between meshes, including faces that overlap in one plane.
+ * Issues come back as counts plus line segments (in each mesh's local space)
+ * for highlighting.
+ */
+
+import * as THREE from 'three';
+
+// Above this many triangles per mesh (or in all meshes, for crossings
+// between them) the O(n log n)-ish intersection test is skipped
+const MAX_INTERSECTION_TRIANGLES = 50000;
+
+// Map each vertex index to a canonical id shared by all vertices at the same
+// position, so split seams (e.g. separate normals) don't read as open edges
+function weldIndices(position, tolerance = 1e-6) {
+  const ids = new Uint32Array(position.count);
+  const seen = new Map();
+  const precision = 1 / tolerance;
+
+  for (let i = 0; i < position.count; i++) {
+    const key = `${Math.round(position.getX(i) * precision)},${Math.round(position.getY(i) * precision)},${Math.round(position.getZ(i) * precision)}`;
+    if (!seen.has(key)) seen.set(key, i);
+    ids[i] = seen.get(key);
+  }
+
+  return ids;
+}
+
+function getTriangles(geometry) {
+  const position = geometry.getAttribute('position');
+  const ids = weldIndices(position);
+  const index = geometry.index ? geometry.index.array : null;
+  const count = index ? index.length / 3 : position.count / 3;
+  const triangles = new Uint32Array(count * 3);
+
+  for (let i = 0; i < count * 3; i++) {
+    triangles[i] = ids[index ? index[i] : i];
+  }
+  return triangles;
+}
+
+function pushSegment(segments, position, a, b) {
+  segments.push(
+    position.getX(a), position.getY(a), position.getZ(a),
+    position.getX(b), position.getY(b), position.getZ(b)
+  );
+}
+
+// Edge topology: faces per edge, boundary loops and winding agreement
+function analyzeEdges(triangles, position) {
+  // undirected edge key -> { a, b, count, forward } where forward counts a->b uses
+  const edges = new Map();
+
+  for (let t = 0; t < triangles.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const from = triangles[t + k];
+      const to = triangles[t + (k + 1) % 3];
+      if (from === to) continue;
+
+      const a = Math.min(from, to);
+      const b = Math.max(from, to);
+      const key = `${a},${b}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { a, b, count: 0, forward: 0 };
+        edges.set(key, edge);
+      }
+      edge.count++;
+      if (from === a) edge.forward++;
+    }
+  }
+
+  const result = {
+    nonManifoldEdges: 0,
+    boundaryEdges: 0,
+    boundaryLoops: 0,
+    windingErrors: 0,
+    segments: { nonManifold: [], boundary: [], winding: [] }
+  };
+
+  // Union-find over boundary vertices to count open loops
+  const parent = new Map();
+  const find = (v) => {
+    while (parent.get(v) !== v) {
+      parent.set(v, parent.get(parent.get(v)));
+      v = parent.get(v);
+    }
+    return v;
+  };
+
+  edges.forEach(({ a, b, count, forward }) => {
+    if (count === 1) {
+      result.boundaryEdges++;
+      pushSegment(result.segments.boundary, position, a, b);
+      if (!parent.has(a)) parent.set(a, a);
+      if (!parent.has(b)) parent.set(b, b);
+      parent.set(find(a), find(b));
+    } else if (count > 2) {
+      result.nonManifoldEdges++;
+      pushSegment(result.segments.nonManifold, position, a, b);
+    } else if (forward !== 1) {
+      // Two faces walking a shared edge the same way point opposite directions
+      result.windingErrors++;
+      pushSegment(result.segments.winding, position, a, b);
+    }
+  });
+
+  parent.forEach((p, v) => {
+    if (find(v) === v) result.boundaryLoops++;
+  });
+
+  return result;
+}
+
+// Where segment p->q crosses triangle (a, b, c), or null
+const _ray = new THREE.Ray();
+const _dir = new THREE.Vector3();
+function segmentHitsTriangle(p, q, a, b, c, target) {
+  _dir.subVectors(q, p);
+  const length = _dir.length();
+  if (length === 0) return null;
+
+  _ray.set(p, _dir.divideScalar(length));
+  const hit = _ray.intersectTriangle(a, b, c, false, target);
+  if (!hit) return null;
+
+  const distance = hit.distanceTo(p);
+  return distance > 1e-9 && distance < length - 1e-9 ? hit : null;
+}
+
+// Whether triangles `a` and `b`, lying in one plane with `normal`, share
+// more than `tolerance` of area: no edge direction of either separates them
+// (in 2D, dropping the normal's largest axis)
+function coplanarTrianglesOverlap(a, b, normal, tolerance) {
+  const n = [Math.abs(normal.x), Math.abs(normal.y), Math.abs(normal.z)];
+  const drop = n.indexOf(Math.max(...n));
+  const [u, v] = ['x', 'y', 'z'].filter((axis, i) => i !== drop);
+  const project = (points, dx, dy) => {
+    const values = points.map(point => point[u] * dx + point[v] * dy);
+    return [Math.min(...values), Math.max(...values)];
+  };
+
+  for (const triangle of [a, b]) {
+    for (let k = 0; k < 3; k++) {
+      const from = triangle[k];
+      const to = triangle[(k + 1) % 3];
+      const length = Math.hypot(to[u] - from[u], to[v] - from[v]);
+      if (length === 0) continue;
+      const dx = -(to[v] - from[v]) / length;
+      const dy = (to[u] - from[u]) / length;
+      const [minA, maxA] = project(a, dx, dy);
+      const [minB, maxB] = project(b, dx, dy);
+      if (Math.min(maxA, maxB) - Math.max(minA, minB) <= tolerance) return false;
+    }
+  }
+  return true;
+}
+
+// Pairs of non-adjacent triangles that cross each other, found by testing
+// each triangle's edges against the other triangle, or that overlap in one
+// plane (stacked caps, solids touching face to face). Candidate pairs come
+// from a uniform grid over the triangles' bounding boxes. With `groups` (a
+// group number per triangle) only pairs from different groups count, and
+// sharing a vertex doesn't make them adjacent.
+function findSelfIntersections(triangles, position, groups = null) {
+  const count = triangles.length / 3;
+  const result = { selfIntersections: 0, segments: [] };
+  if (count < 2) return result;
+
+  const vertex = (t, k, target) => target.fromBufferAttribute(position, triangles[t * 3 + k]);
+  const boxes = [];
+  const bounds = new THREE.Box3();
+  const v = new THREE.Vector3();
+
+  for (let t = 0; t < count; t++) {
+    const box = new THREE.Box3();
+    for (let k = 0; k < 3; k++) box.expandByPoint(vertex(t, k, v));
+    boxes.push(box);
+    bounds.union(box);
+  }
+
+  const size = bounds.getSize(new THREE.Vector3());
+  const tolerance = Math.max(size.x, size.y, size.z) * 1e-6;
+  const cellsPerAxis = Math.max(1, Math.ceil(Math.cbrt(count)));
+  const cellSize = Math.max(size.x, size.y, size.z, 1e-9) / cellsPerAxis;
+  const cellOf = (value, min) => Math.floor((value - min) / cellSize);
+
+  const grid = new Map();
+  boxes.forEach((box, t) => {
+    for (let x = cellOf(box.min.x, bounds.min.x); x <= cellOf(box.max.x, bounds.min.x); x++) {
+      for (let y = cellOf(box.min.y, bounds.min.y); y <= cellOf(box.max.y, bounds.min.y); y++) {
+        for (let z = cellOf(box.min.z, bounds.min.z); z <= cellOf(box.max.z, bounds.min.z); z++) {
+          const key = `${x},${y},${z}`;
+          if (!grid.has(key)) grid.set(key, []);
+          grid.get(key).push(t);
+        }
+      }
+    }
+  });
+
+  const tested = new Set();
+  const triA = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const triB = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const hit = new THREE.Vector3();
+  const plane = new THREE.Plane();
+  const normal = new THREE.Vector3();
+
+  const sharesVertex = (s, t) => {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        if (triangles[s * 3 + i] === triangles[t * 3 + j]) return true;
+      }
+    }
+    return false;
+  };
+
+  // Collect the points where one triangle's edges pierce the other
+  const crossings = (edgesOf, other, points) => {
+    for (let k = 0; k < 3; k++) {
+      if (segmentHitsTriangle(edgesOf[k], edgesOf[(k + 1) % 3], other[0], other[1], other[2], hit)) {
+        points.push(hit.clone());
+      }
+    }
+  };
+
+  grid.forEach(cell => {
+    for (let i = 0; i < cell.length; i++) {
+      for (let j = i + 1; j < cell.length; j++) {
+        const s = Math.min(cell[i], cell[j]);
+        const t = Math.max(cell[i], cell[j]);
+        const pairKey = s * count + t;
+        if (tested.has(pairKey)) continue;
+        tested.add(pairKey);
+        if (groups && groups[s] === groups[t]) continue;
+        if (!boxes[s].intersectsBox(boxes[t])) continue;
+
+        const adjacent = sharesVertex(s, t);
+        if (adjacent && !groups) continue;
+
+        for (let k = 0; k < 3; k++) {
+          vertex(s, k, triA[k]);
+          vertex(t, k, triB[k]);
+        }
+
+        const points = [];
+        if (!adjacent) {
+          crossings(triA, triB, points);
+          crossings(triB, triA, points);
+        }
+        if (points.length > 0) {
+          result.selfIntersections++;
+          const end = points[points.length - 1];
+          result.segments.push(points[0].x, points[0].y, points[0].z, end.x, end.y, end.z);
+          continue;
+        }
+
+        // Coplanar: every corner of one within tolerance of the other's plane
+        plane.setFromCoplanarPoints(triA[0], triA[1], triA[2]);
+        normal.copy(plane.normal);
+        if (normal.lengthSq() === 0 || !triB.every(point => Math.abs(plane.distanceToPoint(point)) <= tolerance)) continue;
+        if (!coplanarTrianglesOverlap(triA, triB, normal, tolerance)) continue;
+
+        result.selfIntersections++;
+        const centerA = new THREE.Vector3().add(triA[0]).add(triA[1]).add(triA[2]).divideScalar(3);
+        const centerB = new THREE.Vector3().add(triB[0]).add(triB[1]).add(triB[2]).divideScalar(3);
+        result.segments.push(centerA.x, centerA.y, centerA.z, centerB.x, centerB.y, centerB.z);
+      }
+    }
+  });
+
+  return result;
+}
+
+// Crossings between the triangles of different `meshes` under `object`, in
+// `object`'s local space. Each mesh can be a closed solid while a format
+// that merges them into one (STL, OBJ) still intersects itself.
+function findMeshOverlaps(object, meshes) {
+  object.updateMatrixWorld(true);
+  const toObject = object.matrixWorld.clone().invert();
+  const matrix = new THREE.Matrix4();
+  const v = new THREE.Vector3();
+  const positions = [];
+  const groups = [];
+
+  meshes.forEach((mesh, m) => {
+    matrix.multiplyMatrices(toObject, mesh.matrixWorld);
+    const position = mesh.geometry.getAttribute('position');
+    const index = mesh.geometry.index ? mesh.geometry.index.array : null;
+    const count = index ? index.length : position.count;
+    for (let i = 0; i < count; i++) {
+      v.fromBufferAttribute(position, index ? index[i] : i).applyMatrix4(matrix);
+      positions.push(v.x, v.y, v.z);
+    }
+    for (let t = 0; t < count / 3; t++) groups.push(m);
+  });
+
+  const position = new THREE.Float32BufferAttribute(positions, 3);
+  return findSelfIntersections(weldIndices(position), position, groups);
+}
+
+// Analyze every mesh under `object`. Returns totals plus per-mesh issue
+// segments in that mesh's local space; selfIntersections counts crossings
+// within a mesh, meshOverlaps those between two (segments in `object`'s
+// space, under `object` itself).
+export function analyzeMesh(object) {
+  const report = {
+    meshes: 0,
+    triangles: 0,
+    nonManifoldEdges: 0,
+    boundaryEdges: 0,
+    boundaryLoops: 0,
+    windingErrors: 0,
+    degenerateTriangles: 0,
+    selfIntersections: 0,
+    meshOverlaps: 0,
+    intersectionsSkipped: false,
+    issues: [] // { mesh, segments: { nonManifold, boundary, winding, intersections } }
+  };
+
+  const meshes = [];
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    meshes.push(child);
+
+    const { geometry } = child;
+    const position = geometry.getAttribute('position');
+    const triangles = getTriangles(geometry);
+
+    const edges = analyzeEdges(triangles, position);
+    const intersections = triangles.length / 3 > MAX_INTERSECTION_TRIANGLES
+      ? null
+      : findSelfIntersections(triangles, position);
+
+    report.meshes++;
+    report.triangles += triangles.length / 3;
+    report.nonManifoldEdges += edges.nonManifoldEdges;
+    report.boundaryEdges += edges.boundaryEdges;
+    report.boundaryLoops += edges.boundaryLoops;
+    report.windingErrors += edges.windingErrors;
+    report.degenerateTriangles += geometry.userData.degenerateTriangles || 0;
+
+    if (intersections) {
+      report.selfIntersections += intersections.selfIntersections;
+    } else {
+      report.intersectionsSkipped = true;
+    }
+
+    report.issues.push({
+      mesh: child,
+      segments: {
+        ...edges.segments,
+        intersections: intersections ? intersections.segments : []
+      }
+    });
+  });
+
+  if (meshes.length > 1) {
+    if (report.triangles > MAX_INTERSECTION_TRIANGLES) {
+      report.intersectionsSkipped = true;
+    } else {
+      const overlaps = findMeshOverlaps(object, meshes);
+      report.meshOverlaps = overlaps.selfIntersections;
+      report.issues.push({
+        mesh: object,
+        segments: { nonManifold: [], boundary: [], winding: [], intersections: overlaps.segments }
+      });
+    }
+  }
+
+  return report;
+}
+
+// True when the report has nothing a slicer or CAD import would reject,
+// which includes a mesh with no triangles at all
+export function isWatertight(report) {
+  return report.triangles > 0 &&
+    report.nonManifoldEdges === 0 &&
+    report.boundaryEdges === 0 &&
+    report.windingErrors === 0 &&
+    report.selfIntersections === 0;
+}
@@ -0,0 +1,116 @@
+/**
+ * Lay several converted SVGs out in one scene (icon sets, tile kits). Each
+ * input keeps its own named node; materials of matching color are shared.
+ */
+
+import * as THREE from 'three';
+
+export const COMBINE_LAYOUTS = ['grid', 'row', 'stack'];
+
+// The glTF alphaMode GLTFExporter writes for a material
+function alphaMode(material) {
+  if (material.transparent) return 'BLEND';
+  return material.alphaTest > 0 ? 'MASK' : 'OPAQUE';
+}
+
+// Materials that render the same can be one glTF material
+function materialKey(material) {
+  return [
+    material.type,
+    material.color?.getHexString(),
+    material.side,
+    alphaMode(material),
+    material.alphaTest,
+    material.depthWrite,
+    material.opacity,
+    material.vertexColors,
+    material.map?.uuid
+  ].join('|');
+}
+
+function shareMaterials(root) {
+  const shared = new Map();
+  const replaced = new Set();
+
+  const share = (material) => {
+    const key = materialKey(material);
+    if (!shared.has(key)) {
+      shared.set(key, material);
+    } else if (shared.get(key) !== material) {
+      replaced.add(material);
+    }
+    return shared.get(key);
+  };
+
+  // Relief meshes carry one material per geometry group
+  root.traverse(child => {
+    if (!child.isMesh) return;
+    child.material = Array.isArray(child.material) ? child.material.map(share) : share(child.material);
+  });
+
+  replaced.forEach(material => material.dispose());
+  return shared.size;
+}
+
+// Footprint (X/Z extent, meters) of an item as it sits in the scene
+function footprint(object) {
+  const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+  return { width: size.x, depth: size.z };
+}
+
+// Place items (each centered on the origin in X/Z, as createMeshFromSVG
+// builds them) side by side. Positions are centered on the origin overall.
+function layOut(objects, layout, spacing) {
+  if (layout === 'stack') return;
+
+  const sizes = objects.map(footprint);
+
+  if (layout === 'row') {
+    const total = sizes.reduce((sum, { width }) => sum + width, 0) + spacing * (objects.length - 1);
+    let x = -total / 2;
+    objects.forEach((object, i) => {
+      object.position.x = x + sizes[i].width / 2;
+      x += sizes[i].width + spacing;
+    });
+    return;
+  }
+
+  // Grid: uniform cells sized to the largest item, as square as possible
+  const columns = Math.ceil(Math.sqrt(objects.length));
+  const rows = Math.ceil(objects.length / columns);
+  const cellWidth = Math.max(...sizes.map(s => s.width)) + spacing;
+  const cellDepth = Math.max(...sizes.map(s => s.depth)) + spacing;
+
+  objects.forEach((object, i) => {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    object.position.x = (column - (columns - 1) / 2) * cellWidth;
+    object.position.z = (row - (rows - 1) / 2) * cellDepth;
+  });
+}
+
+// items: [{ group, name, source }] where group comes from createMeshFromSVG.
+// The groups are moved into the returned scene root; node names are made
+// unique and the source file is kept in the node's extras.
+export function combineMeshes(items, { layout = 'grid', spacing = 0.1, name = 'batch' } = {}) {
+  const root = new THREE.Group();
+  root.name = name;
+
+  const usedNames = new Set();
+  items.forEach(({ group, name: itemName, source }) => {
+    let uniqueName = itemName;
+    for (let i = 2; usedNames.has(uniqueName); i++) {
+      uniqueName = `${itemName}_${i}`;
+    }
+    usedNames.add(uniqueName);
+
+    group.name = uniqueName;
+    if (source) group.userData.source = source;
+    root.add(group);
+  });
+
+  layOut(root.children, COMBINE_LAYOUTS.includes(layout) ? layout : 'grid', spacing);
+  const materialCount = shareMaterials(root);
+
+  return { group: root, materialCount };
+}
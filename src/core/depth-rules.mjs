@@ -0,0 +1,96 @@
+/**
+ * Per-path extrusion depth rules. A rule matches an SVG paint color, an
+ * element id or a CSS class and overrides the extrusion depth and Z offset
+ * (both in meters) of the paths it matches. The first matching rule wins.
+ *
+ * Rule shape: { match: 'color' | 'id' | 'class', value: string, depth: number, offset: number }
+ */
+
+import * as THREE from 'three';
+
+export const RULE_MATCH_TYPES = ['color', 'id', 'class'];
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Normalize a CSS color to a 6-digit lowercase hex string (no '#'), or null
+// if it isn't a color we can compare (gradients, currentColor, typos...)
+export function normalizeColor(value) {
+  if (!value) return null;
+  const trimmed = value.trim().toLowerCase();
+
+  let style = null;
+  if (HEX_COLOR.test(trimmed)) {
+    style = trimmed.startsWith('#') ? trimmed : `#${trimmed}`;
+  } else if (trimmed in THREE.Color.NAMES || /^(rgb|hsl)a?\(/.test(trimmed)) {
+    style = trimmed;
+  }
+  if (!style) return null;
+
+  return new THREE.Color().setStyle(style).getHexString();
+}
+
+// An element matches an id/class rule if it or any of its ancestors carries it,
+// so a rule on a <g> applies to everything inside the group
+function elementMatches(node, attribute, test) {
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    const value = current.getAttribute(attribute);
+    if (value && test(value)) return true;
+  }
+  return false;
+}
+
+function ruleMatches(rule, node, paint) {
+  const value = (rule.value || '').trim();
+  if (!value) return false;
+
+  switch (rule.match) {
+    case 'color': {
+      const ruleColor = normalizeColor(value);
+      return ruleColor !== null && ruleColor === normalizeColor(paint);
+    }
+    case 'id':
+      return elementMatches(node, 'id', id => id === value);
+    case 'class':
+      return elementMatches(node, 'class', classes => classes.split(/\s+/).includes(value));
+    default:
+      return false;
+  }
+}
+
+// Whether a value (e.g. parsed from JSON) has the rule shape described above
+export function isValidDepthRule(rule) {
+  return Boolean(rule) &&
+    RULE_MATCH_TYPES.includes(rule.match) &&
+    typeof rule.value === 'string' &&
+    typeof rule.depth === 'number' && rule.depth > 0 &&
+    (rule.offset === undefined || typeof rule.offset === 'number');
+}
+
+// First rule matching this element/paint, or null
+export function findDepthRule(rules, node, paint) {
+  if (!rules || rules.length === 0) return null;
+  return rules.find(rule => ruleMatches(rule, node, paint)) || null;
+}
+
+// Colors, ids and classes present in a parsed SVG, to suggest rule values
+export function collectRuleTargets(svgData) {
+  const colors = new Set();
+  const ids = new Set();
+  const classes = new Set();
+
+  svgData.paths.forEach(path => {
+    const { style, node } = path.userData;
+    [style.fill, style.stroke].forEach(paint => {
+      const color = normalizeColor(paint);
+      if (color) colors.add(`#${color}`);
+    });
+
+    for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+      const id = current.getAttribute('id');
+      if (id) ids.add(id);
+      (current.getAttribute('class') || '').split(/\s+/).filter(Boolean).forEach(c => classes.add(c));
+    }
+  });
+
+  return { color: [...colors], id: [...ids], class: [...classes] };
+}
@@ -0,0 +1,26 @@
+/**
+ * Freeing the GPU-side resources of meshes built by createMeshFromSVG.
+ */
+
+// Frees a mesh's geometries, textures and materials, except the materials in
+// `sharedMaterials` (a cache as passed to createMeshFromSVG) that another
+// mesh still uses
+export function disposeMesh(mesh, sharedMaterials = new Map()) {
+  const shared = new Set(sharedMaterials.values());
+  const disposeMaterial = (material) => {
+    if (shared.has(material)) return;
+    material.map?.dispose();
+    material.dispose();
+  };
+
+  mesh.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(disposeMaterial);
+      } else {
+        disposeMaterial(child.material);
+      }
+    }
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Model encoding for meshes produced by createMeshFromSVG: glTF for engines,
+ * STL/OBJ/3MF for slicers.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { parseSVG, createMeshFromSVG } from './svg-mesh.mjs';
+import { disposeMesh } from './dispose.mjs';
+import { EXPORT_FORMATS } from './formats.mjs';
+import { encodeSTL, encodeOBJ, encode3MF } from './print-formats.mjs';
+import { analyzeMesh } from './analysis.mjs';
+import { getScreenCoverages, createLODPlugin } from './lod.mjs';
+
+// GLTFExporter plugin naming the scene, which it otherwise calls 'AuxScene'
+// for anything but a THREE.Scene
+function createSceneNamePlugin(name) {
+  return writer => ({
+    afterParse() {
+      writer.json.scenes.forEach(scene => {
+        scene.name = name;
+      });
+    }
+  });
+}
+
+// Encode an object as GLB (ArrayBuffer) or glTF (JSON object). `lod` holds
+// lower levels of detail { objects, coverages } to export with it (see
+// createLODPlugin). The scene is named `sceneName`, by default the object's name.
+export function encodeGLTF(object, { binary = true, lod = null, sceneName = object.name } = {}) {
+  const exporter = new GLTFExporter();
+  if (lod) exporter.register(createLODPlugin(lod.coverages));
+  if (sceneName) exporter.register(createSceneNamePlugin(sceneName));
+  const options = {
+    binary,
+    trs: false,
+    onlyVisible: true,
+    includeCustomExtensions: false
+  };
+
+  return new Promise((resolve, reject) => {
+    exporter.parse(lod ? [object, ...lod.objects] : object, resolve, reject, options);
+  });
+}
+
+// base64 of a byte array, in slices small enough for String.fromCharCode
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// GLB -> glTF JSON with the binary chunk embedded as a data URI. The exporter's
+// own non-binary path can't embed textures from a worker (OffscreenCanvas has
+// no toDataURL), while images in the GLB are already encoded into the buffer.
+function glbToGLTF(glb) {
+  const view = new DataView(glb);
+  let json = null;
+  let bin = null;
+
+  // 12-byte header, then chunks of { length, type, data }
+  for (let offset = 12; offset < view.byteLength;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const data = new Uint8Array(glb, offset + 8, length);
+    if (type === 0x4e4f534a) json = JSON.parse(new TextDecoder().decode(data)); // 'JSON'
+    if (type === 0x004e4942) bin = data; // 'BIN\0'
+    offset += 8 + length;
+  }
+
+  if (bin && json.buffers?.length > 0) {
+    json.buffers[0].uri = `data:application/octet-stream;base64,${toBase64(bin.subarray(0, json.buffers[0].byteLength))}`;
+  }
+  return json;
+}
+
+// Encode an object in any of EXPORT_FORMATS; glTF formats also take `lod`
+// and `sceneName` (see encodeGLTF), the others only write `object`
+export async function encodeModel(object, format = 'glb', { lod = null, sceneName } = {}) {
+  switch (format) {
+    case 'glb':
+      return encodeGLTF(object, { binary: true, lod, sceneName });
+    case 'gltf':
+      return JSON.stringify(glbToGLTF(await encodeGLTF(object, { binary: true, lod, sceneName })), null, 2);
+    case 'stl':
+      return encodeSTL(object, { binary: true });
+    case 'stl-ascii':
+      return encodeSTL(object, { binary: false });
+    case 'obj':
+      return encodeOBJ(object);
+    case '3mf':
+      return encode3MF(object);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// The meshes for LOD1…LODn of settings.lodLevels, named `${name}_LOD1` and
+// so on; LOD0 is the mesh built with `settings` themselves, its materials
+// cached in `materials` (see createMeshFromSVG). The levels reuse those, so
+// they're freed with disposeMesh(level, materials).
+export function createLODMeshes(svgData, settings, name, materials = new Map()) {
+  const groups = [];
+  try {
+    settings.lodLevels.forEach(({ simplifyTolerance, curveSegments }, i) => {
+      // A copy, so materials only a level needs don't end up in LOD0's cache
+      const { group } = createMeshFromSVG(svgData, { ...settings, simplifyTolerance, curveSegments }, { materials: new Map(materials) });
+      group.name = `${name}_LOD${i + 1}`;
+      groups.push(group);
+    });
+  } catch (err) {
+    groups.forEach(group => disposeMesh(group, materials));
+    throw err;
+  }
+  return groups;
+}
+
+// Encode `object` with the lower levels of detail `lods` (from
+// createLODMeshes, for settings.lodLevels): all in one file for glTF
+// formats, or one file per level, LOD0 first, with `separate`. Every file's
+// scene is named after `object`.
+export async function encodeLODs(object, lods, levels, format = 'glb', { separate = false } = {}) {
+  if (separate) {
+    const files = [];
+    for (const mesh of [object, ...lods]) files.push(await encodeModel(mesh, format, { sceneName: object.name }));
+    return files;
+  }
+  const lod = lods.length > 0 && EXPORT_FORMATS[format]?.lod
+    ? { objects: lods, coverages: getScreenCoverages(levels) }
+    : null;
+  return encodeModel(object, format, { lod });
+}
+
+// Bounding box size in meters, [x, y, z] with Y up
+export function modelSize(object) {
+  return new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3()).toArray();
+}
+
+// Full pipeline: SVG source text -> encoded model plus mesh stats (size is the
+// bounding box in meters, Y up), conversion warnings, and the mesh
+// integrity report when `analyze` is set. `fonts` are used for <text>.
+// settings.lodLevels go into the same file, or with `lodFiles` into
+// `lodData`: one encoded file per level, LOD0 (also `data`) first. Stats,
+// size and report are LOD0's.
+export async function convertSVG(svgText, settings, { name = 'svg', format = 'glb', analyze = false, fonts = [], lodFiles = false } = {}) {
+  const svgData = parseSVG(svgText, { fonts });
+  const materials = new Map();
+  const { group, shapeCount, totalVertices, totalTriangles, materialCount, warnings } = createMeshFromSVG(svgData, settings, { materials });
+  group.name = name;
+  let lods = [];
+
+  try {
+    if (lodFiles || EXPORT_FORMATS[format]?.lod) lods = createLODMeshes(svgData, settings, name, materials);
+
+    const encoded = await encodeLODs(group, lods, settings.lodLevels, format, { separate: lodFiles });
+    const data = lodFiles ? encoded[0] : encoded;
+    const lodData = lodFiles ? encoded : null;
+    const report = analyze ? analyzeMesh(group) : null;
+    return { data, lodData, shapeCount, totalVertices, totalTriangles, materialCount, size: modelSize(group), report, warnings: [...svgData.warnings, ...warnings] };
+  } finally {
+    // Dispose the temporary meshes
+    lods.forEach(lod => disposeMesh(lod, materials));
+    disposeMesh(group);
+  }
+}
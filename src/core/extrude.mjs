@@ -0,0 +1,281 @@
+/**
+ * Shape extrusion with configurable bevels. As in ExtrudeGeometry, the body
+ * spans z = 0..depth with its outline grown by the bevel size, and a bevel
+ * adds `thickness` beyond it, narrowing back to the shape's own outline at
+ * the face. A profile decides the path in between, and each face can be
+ * beveled or left flat.
+ */
+
+import * as THREE from 'three';
+
+// Control points [x1, y1, x2, y2] of the custom profile curve, a cubic
+// Bézier from the face (0, 1) to the body (1, 0) in the same units as
+// getBevelProfile. The default is close to 'round'.
+export const DEFAULT_BEVEL_CURVE = [0.55, 1, 1, 0.45];
+
+const bezier = (t, a, b, c, d) => {
+  const s = 1 - t;
+  return s * s * s * a + 3 * s * s * t * b + 3 * s * t * t * c + t * t * t * d;
+};
+
+// Profile presets: t (0 at the face, 1 at the body) -> [outset, height]
+const PROFILES = {
+  chamfer: t => [t, 1 - t],
+  round: t => [Math.sin(t * Math.PI / 2), Math.cos(t * Math.PI / 2)], // ExtrudeGeometry's own bevel
+  cove: t => [1 - Math.cos(t * Math.PI / 2), 1 - Math.sin(t * Math.PI / 2)],
+  ogee: t => [t, (1 + Math.cos(t * Math.PI)) / 2]
+};
+
+// Whether a value (e.g. from a preset file) is a usable custom curve
+export function isValidBevelCurve(curve) {
+  return Array.isArray(curve) && curve.length === 4 &&
+    curve.every(Number.isFinite) &&
+    curve[0] >= 0 && curve[0] <= 1 && curve[2] >= 0 && curve[2] <= 1;
+}
+
+// `segments + 1` points [outset, height] of a bevel profile, as fractions of
+// the bevel size and thickness, from the face [0, 1] to the body [1, 0]
+export function getBevelProfile(profile, segments, curve = DEFAULT_BEVEL_CURVE) {
+  const [x1, y1, x2, y2] = isValidBevelCurve(curve) ? curve : DEFAULT_BEVEL_CURVE;
+  const point = profile === 'custom'
+    ? t => [bezier(t, 0, x1, x2, 1), bezier(t, 1, y1, y2, 0)]
+    : PROFILES[profile] || PROFILES.round;
+
+  const count = Math.max(1, Math.round(segments));
+  return Array.from({ length: count + 1 }, (_, i) => point(i / count));
+}
+
+// Direction to move a contour point for an outline grown by 1 unit: the
+// intersection of its two edges shifted outwards, with spikes at sharp
+// corners limited (ported from ExtrudeGeometry, for clockwise contours)
+function getBevelVector(point, previous, next) {
+  const prevX = point.x - previous.x;
+  const prevY = point.y - previous.y;
+  const nextX = next.x - point.x;
+  const nextY = next.y - point.y;
+  const prevLengthSq = prevX * prevX + prevY * prevY;
+
+  let x, y, shrinkBy;
+  if (Math.abs(prevX * nextY - prevY * nextX) > Number.EPSILON) {
+    const prevLength = Math.sqrt(prevLengthSq);
+    const nextLength = Math.sqrt(nextX * nextX + nextY * nextY);
+
+    const prevShiftX = previous.x - prevY / prevLength;
+    const prevShiftY = previous.y + prevX / prevLength;
+    const nextShiftX = next.x - nextY / nextLength;
+    const nextShiftY = next.y + nextX / nextLength;
+
+    const factor = ((nextShiftX - prevShiftX) * nextY - (nextShiftY - prevShiftY) * nextX) /
+      (prevX * nextY - prevY * nextX);
+
+    x = prevShiftX + prevX * factor - point.x;
+    y = prevShiftY + prevY * factor - point.y;
+
+    const lengthSq = x * x + y * y;
+    if (lengthSq <= 2) return new THREE.Vector2(x, y);
+    shrinkBy = Math.sqrt(lengthSq / 2);
+  } else {
+    // Collinear edges: a straight run or a spike back the same way
+    const sameDirection = prevX > Number.EPSILON ? nextX > Number.EPSILON
+      : prevX < -Number.EPSILON ? nextX < -Number.EPSILON
+        : Math.sign(prevY) === Math.sign(nextY);
+
+    if (sameDirection) {
+      x = -prevY;
+      y = prevX;
+      shrinkBy = Math.sqrt(prevLengthSq);
+    } else {
+      x = prevX;
+      y = prevY;
+      shrinkBy = Math.sqrt(prevLengthSq / 2);
+    }
+  }
+  return new THREE.Vector2(x / shrinkBy, y / shrinkBy);
+}
+
+// Contour points closer than this share of the shape's size to a cap
+// triangle's edge count as lying on it
+const RELATIVE_TOLERANCE = 1e-6;
+
+// Distance from p to the segment a-b, or Infinity within `margin` of its ends
+function distanceToSegment(p, a, b, margin) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.hypot(dx, dy);
+  const along = length > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / length : -1;
+  return along > margin && along < length - margin
+    ? Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / length
+    : Infinity;
+}
+
+// Split cap triangles (index triples into `points`) at every contour point
+// on one of their edges, until none is left as a T-junction
+function splitAtContourPoints(faces, points, tolerance) {
+  // Points by x, so each edge only looks at those within its x range
+  const byX = points.map((point, i) => i).sort((i, j) => points[i].x - points[j].x);
+  const findOnEdge = (a, b) => {
+    const minX = Math.min(a.x, b.x) - tolerance;
+    const maxX = Math.max(a.x, b.x) + tolerance;
+    let low = 0;
+    let high = byX.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (points[byX[middle]].x < minX) low = middle + 1;
+      else high = middle;
+    }
+    for (let i = low; i < byX.length && points[byX[i]].x <= maxX; i++) {
+      if (distanceToSegment(points[byX[i]], a, b, tolerance) <= tolerance) return byX[i];
+    }
+    return -1;
+  };
+
+  const result = [];
+  const queue = faces.slice();
+
+  while (queue.length > 0) {
+    const face = queue.pop();
+    let split = null;
+    for (let k = 0; k < 3 && !split; k++) {
+      const index = findOnEdge(points[face[k]], points[face[(k + 1) % 3]]);
+      if (index >= 0) split = { k, index };
+    }
+
+    if (!split) {
+      result.push(face);
+      continue;
+    }
+    const [a, b, c] = [0, 1, 2].map(j => face[(split.k + j) % 3]);
+    queue.push([a, split.index, c], [split.index, b, c]);
+  }
+
+  return result;
+}
+
+// A contour without points that repeat the one before (within
+// `tolerance`), including an end point back on its first
+function withoutRepeatedPoints(loop, tolerance) {
+  const result = loop.filter((point, i) => i === 0 || point.distanceTo(loop[i - 1]) > tolerance);
+  while (result.length > 1 && result[result.length - 1].distanceTo(result[0]) <= tolerance) result.pop();
+  return result;
+}
+
+// Indices into `loop` of its corners, leaving out the points on straight
+// runs between them
+function cornerIndices(loop, tolerance) {
+  const corners = [];
+  loop.forEach((point, i) => {
+    const previous = loop[corners.length > 0 ? corners[corners.length - 1] : loop.length - 1];
+    const next = loop[(i + 1) % loop.length];
+    if (!(distanceToSegment(point, previous, next, 0) <= tolerance)) corners.push(i);
+  });
+  return corners.length >= 3 ? corners : loop.map((point, i) => i);
+}
+
+// Whether triangle a-b-c is no wider than `tolerance` anywhere
+function isSliver(a, b, c, tolerance) {
+  const doubleArea = Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y));
+  return doubleArea <= tolerance * Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+}
+
+// Cap triangles as index triples into the contours' points (`loops`,
+// outline first). The side walls have an edge between every pair of
+// neighbouring points, so the caps need one too or the solid leaks at a
+// T-junction: earcut only sees the corners and drops its zero-area
+// triangles, and any point left on a cap edge (on a straight run, or where
+// a hole touches the outline or another hole) splits it.
+function triangulateCaps(loops, tolerance) {
+  let start = 0;
+  const cornerLists = loops.map(loop => {
+    const corners = cornerIndices(loop, tolerance).map(i => start + i);
+    start += loop.length;
+    return corners;
+  });
+  const points = loops.flat();
+  const ids = cornerLists.flat();
+  const [outline, ...holes] = cornerLists.map(corners => corners.map(i => points[i]));
+  const triangles = THREE.ShapeUtils.triangulateShape(outline, holes)
+    .map(face => face.map(i => ids[i]))
+    .filter(face => !isSliver(...face.map(i => points[i]), tolerance));
+  return splitAtContourPoints(triangles, points, tolerance);
+}
+
+// Extrude a THREE.Shape along +Z. `bevel` is null or { thickness, size,
+// profile (from getBevelProfile), front, back }; the front face is the one
+// at z = depth. Returns a non-indexed geometry with positions and normals.
+export function extrudeShape(shape, { depth, curveSegments, bevel = null }) {
+  const { shape: outline, holes } = shape.extractPoints(curveSegments);
+
+  // Outer contours run clockwise and holes counter-clockwise, so bevel
+  // vectors point out of the solid
+  let contour = outline;
+  if (!THREE.ShapeUtils.isClockWise(contour)) {
+    contour = contour.reverse();
+    holes.forEach((hole, h) => {
+      if (THREE.ShapeUtils.isClockWise(hole)) holes[h] = hole.reverse();
+    });
+  }
+
+  const size = new THREE.Box2().setFromPoints(contour).getSize(new THREE.Vector2());
+  const tolerance = Math.max(size.x, size.y) * RELATIVE_TOLERANCE;
+  const loops = [contour, ...holes].map(loop => withoutRepeatedPoints(loop, tolerance));
+  const points = loops.flat();
+  const faces = triangulateCaps(loops, tolerance);
+  const movements = loops.flatMap(loop => loop.map((point, i) => getBevelVector(
+    point,
+    loop[(i + loop.length - 1) % loop.length],
+    loop[(i + 1) % loop.length]
+  )));
+
+  // Rings of vertices from the back face to the front face: [outset, z]
+  const beveled = bevel && bevel.thickness > 0 && (bevel.front || bevel.back);
+  const bodyOutset = beveled ? bevel.size : 0;
+  const bevelRing = ([outset, height]) => [outset * bevel.size, height * bevel.thickness];
+  const rings = [];
+  if (beveled && bevel.back) {
+    bevel.profile.slice(0, -1).map(bevelRing).forEach(([outset, z]) => rings.push([outset, -z]));
+  }
+  rings.push([bodyOutset, 0], [bodyOutset, depth]);
+  if (beveled && bevel.front) {
+    bevel.profile.slice(0, -1).reverse().map(bevelRing).forEach(([outset, z]) => rings.push([outset, depth + z]));
+  }
+
+  const ringPositions = rings.map(([outset, z]) => points.map((point, i) => [
+    point.x + movements[i].x * outset,
+    point.y + movements[i].y * outset,
+    z
+  ]));
+
+  const positions = [];
+  const addTriangle = (a, b, c) => positions.push(...a, ...b, ...c);
+
+  // Back and front faces
+  const back = ringPositions[0];
+  const front = ringPositions[rings.length - 1];
+  faces.forEach(([a, b, c]) => {
+    addTriangle(back[c], back[b], back[a]);
+    addTriangle(front[a], front[b], front[c]);
+  });
+
+  // Side walls between consecutive rings, loop by loop
+  let loopStart = 0;
+  loops.forEach(loop => {
+    for (let i = loop.length - 1; i >= 0; i--) {
+      const j = loopStart + i;
+      const k = loopStart + (i > 0 ? i - 1 : loop.length - 1);
+      for (let s = 0; s < rings.length - 1; s++) {
+        const a = ringPositions[s][j];
+        const b = ringPositions[s][k];
+        const c = ringPositions[s + 1][k];
+        const d = ringPositions[s + 1][j];
+        addTriangle(a, b, d);
+        addTriangle(b, c, d);
+      }
+    }
+    loopStart += loop.length;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -0,0 +1,15 @@
+/**
+ * The model formats the converter writes (see export.mjs for the encoders).
+ */
+
+// Every format the converter can write. `binary` formats encode to an
+// ArrayBuffer, the others to a string; `lod` formats can hold levels of
+// detail in one file.
+export const EXPORT_FORMATS = {
+  'glb': { label: 'GLB', extension: 'glb', mimeType: 'model/gltf-binary', binary: true, lod: true },
+  'gltf': { label: 'GLTF', extension: 'gltf', mimeType: 'model/gltf+json', binary: false, lod: true },
+  'stl': { label: 'STL', extension: 'stl', mimeType: 'model/stl', binary: true },
+  'stl-ascii': { label: 'STL (ASCII)', extension: 'stl', mimeType: 'model/stl', binary: false },
+  'obj': { label: 'OBJ', extension: 'obj', mimeType: 'model/obj', binary: false },
+  '3mf': { label: '3MF', extension: '3mf', mimeType: 'model/3mf', binary: true }
+};
@@ -0,0 +1,259 @@
+/**
+ * Geometry helpers for the SVG → mesh pipeline: path simplification
+ * and mesh cleanup. No DOM access, safe in Node.
+ */
+
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+
+// Ramer-Douglas-Peucker algorithm to simplify a path
+export function simplifyPath(points, tolerance) {
+  if (points.length <= 2 || tolerance <= 0) return points;
+  
+  // Find the point with the maximum distance from the line between first and last
+  let maxDist = 0;
+  let maxIndex = 0;
+  
+  const start = points[0];
+  const end = points[points.length - 1];
+  
+  for (let i = 1; i < points.length - 1; i++) {
+    const dist = perpendicularDistance(points[i], start, end);
+    if (dist > maxDist) {
+      maxDist = dist;
+      maxIndex = i;
+    }
+  }
+  
+  // If max distance is greater than tolerance, recursively simplify
+  if (maxDist > tolerance) {
+    const left = simplifyPath(points.slice(0, maxIndex + 1), tolerance);
+    const right = simplifyPath(points.slice(maxIndex), tolerance);
+    return left.slice(0, -1).concat(right);
+  } else {
+    return [start, end];
+  }
+}
+
+function perpendicularDistance(point, lineStart, lineEnd) {
+  const dx = lineEnd.x - lineStart.x;
+  const dy = lineEnd.y - lineStart.y;
+  
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) {
+    return Math.sqrt((point.x - lineStart.x) ** 2 + (point.y - lineStart.y) ** 2);
+  }
+  
+  const t = Math.max(0, Math.min(1, ((point.x - lineStart.x) * dx + (point.y - lineStart.y) * dy) / lenSq));
+  const projX = lineStart.x + t * dx;
+  const projY = lineStart.y + t * dy;
+  
+  return Math.sqrt((point.x - projX) ** 2 + (point.y - projY) ** 2);
+}
+
+// Simplify a THREE.Shape by reducing points in its curves
+export function simplifyShape(shape, tolerance, curveSegments) {
+  if (tolerance <= 0) return shape;
+  
+  // Get points from the shape's path
+  const points = shape.getPoints(curveSegments);
+  const simplified = simplifyPath(points, tolerance);
+  
+  // Create a new shape from simplified points
+  const newShape = new THREE.Shape(simplified);
+  
+  // Also simplify holes
+  if (shape.holes && shape.holes.length > 0) {
+    newShape.holes = shape.holes.map(hole => {
+      const holePoints = hole.getPoints(curveSegments);
+      const simplifiedHole = simplifyPath(holePoints, tolerance);
+      return new THREE.Path(simplifiedHole);
+    });
+  }
+  
+  return newShape;
+}
+
+// Remove degenerate (zero-area) triangles. The number removed is kept in
+// userData.degenerateTriangles for the mesh integrity report.
+export function removeDegenerateTriangles(geometry, minArea = 1e-10) {
+  const position = geometry.getAttribute('position');
+  const index = geometry.getIndex();
+  
+  if (!index) {
+    // Non-indexed geometry - filter triangles directly
+    const newPositions = [];
+    const oldPositions = position.array;
+    
+    const v0 = new THREE.Vector3();
+    const v1 = new THREE.Vector3();
+    const v2 = new THREE.Vector3();
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    
+    for (let i = 0; i < position.count; i += 3) {
+      v0.fromBufferAttribute(position, i);
+      v1.fromBufferAttribute(position, i + 1);
+      v2.fromBufferAttribute(position, i + 2);
+      
+      edge1.subVectors(v1, v0);
+      edge2.subVectors(v2, v0);
+      cross.crossVectors(edge1, edge2);
+      
+      const area = cross.length() * 0.5;
+      
+      if (area > minArea) {
+        newPositions.push(
+          oldPositions[i * 3], oldPositions[i * 3 + 1], oldPositions[i * 3 + 2],
+          oldPositions[(i + 1) * 3], oldPositions[(i + 1) * 3 + 1], oldPositions[(i + 1) * 3 + 2],
+          oldPositions[(i + 2) * 3], oldPositions[(i + 2) * 3 + 1], oldPositions[(i + 2) * 3 + 2]
+        );
+      }
+    }
+    
+    const newGeometry = new THREE.BufferGeometry();
+    newGeometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
+    newGeometry.userData.degenerateTriangles = (position.count - newPositions.length / 3) / 3;
+    return newGeometry;
+  }
+  
+  // Indexed geometry - filter indices
+  const indices = index.array;
+  const newIndices = [];
+  
+  const v0 = new THREE.Vector3();
+  const v1 = new THREE.Vector3();
+  const v2 = new THREE.Vector3();
+  const edge1 = new THREE.Vector3();
+  const edge2 = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+  
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i];
+    const b = indices[i + 1];
+    const c = indices[i + 2];
+    
+    // Skip if any indices are the same (degenerate)
+    if (a === b || b === c || a === c) continue;
+    
+    v0.fromBufferAttribute(position, a);
+    v1.fromBufferAttribute(position, b);
+    v2.fromBufferAttribute(position, c);
+    
+    edge1.subVectors(v1, v0);
+    edge2.subVectors(v2, v0);
+    cross.crossVectors(edge1, edge2);
+    
+    const area = cross.length() * 0.5;
+    
+    if (area > minArea) {
+      newIndices.push(a, b, c);
+    }
+  }
+  
+  const newGeometry = geometry.clone();
+  newGeometry.setIndex(newIndices);
+  newGeometry.userData.degenerateTriangles = (indices.length - newIndices.length) / 3;
+  return newGeometry;
+}
+
+// Weld a list of extruded geometries into a single clean, indexed geometry
+export function mergeExtrudedGeometries(geometries, mergeDistance) {
+  // Normalize all geometries: convert to non-indexed and keep only position
+  const normalizedGeometries = geometries.map(geom => {
+    // Convert to non-indexed
+    let normalized = geom.index ? geom.toNonIndexed() : geom.clone();
+    
+    // Remove uv attribute if present (not needed, causes merge issues)
+    if (normalized.hasAttribute('uv')) {
+      normalized.deleteAttribute('uv');
+    }
+    if (normalized.hasAttribute('normal')) {
+      normalized.deleteAttribute('normal');
+    }
+    
+    return normalized;
+  });
+  
+  // Merge all normalized geometries together
+  let mergedGeometry = BufferGeometryUtils.mergeGeometries(normalizedGeometries, false);
+  
+  // Dispose normalized geometries
+  normalizedGeometries.forEach(g => g.dispose());
+  
+  if (!mergedGeometry) return null;
+  
+  // Re-index with vertex merging (geometry is already non-indexed from normalization)
+  mergedGeometry = BufferGeometryUtils.mergeVertices(mergedGeometry, mergeDistance);
+  
+  // Remove degenerate triangles (zero area)
+  mergedGeometry = removeDegenerateTriangles(mergedGeometry);
+  
+  // Compute proper normals after topology is fixed
+  mergedGeometry.computeVertexNormals();
+  
+  return mergedGeometry;
+}
+
+// Split the triangles of an indexed geometry until no edge is longer than
+// maxLength in X/Y, so values sampled per vertex across the SVG plane (paint
+// colors) have enough resolution. Long edges are split at their midpoint,
+// shared by both triangles on the edge, so the mesh stays watertight.
+export function subdivideGeometry(geometry, maxLength, maxPasses = 16) {
+  const positions = Array.from(geometry.getAttribute('position').array);
+  let indices = Array.from(geometry.getIndex().array);
+  const maxLengthSq = maxLength * maxLength;
+  
+  const isLong = (a, b) => {
+    const dx = positions[a * 3] - positions[b * 3];
+    const dy = positions[a * 3 + 1] - positions[b * 3 + 1];
+    return dx * dx + dy * dy > maxLengthSq;
+  };
+  
+  for (let pass = 0; pass < maxPasses; pass++) {
+    const midpoints = new Map(); // 'a_b' with a < b -> new vertex index
+    const midpoint = (a, b) => {
+      if (!isLong(a, b)) return -1;
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      if (!midpoints.has(key)) {
+        for (let k = 0; k < 3; k++) positions.push((positions[a * 3 + k] + positions[b * 3 + k]) / 2);
+        midpoints.set(key, positions.length / 3 - 1);
+      }
+      return midpoints.get(key);
+    };
+    
+    const next = [];
+    for (let i = 0; i < indices.length; i += 3) {
+      // Rotate the triangle so its split edges come first: [a, b] then [b, c]
+      let [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+      let splits = [midpoint(a, b), midpoint(b, c), midpoint(c, a)];
+      const count = splits.filter(m => m >= 0).length;
+      while ((count === 1 && splits[0] < 0) || (count === 2 && splits[2] >= 0)) {
+        [a, b, c] = [b, c, a];
+        splits = [splits[1], splits[2], splits[0]];
+      }
+      const [ab, bc, ca] = splits;
+      
+      if (count === 0) {
+        next.push(a, b, c);
+      } else if (count === 1) {
+        next.push(a, ab, c, ab, b, c);
+      } else if (count === 2) {
+        next.push(ab, b, bc, a, ab, bc, a, bc, c);
+      } else {
+        next.push(a, ab, ca, ab, b, bc, ca, bc, c, ab, bc, ca);
+      }
+    }
+    
+    indices = next;
+    if (midpoints.size === 0) break;
+  }
+  
+  const subdivided = new THREE.BufferGeometry();
+  subdivided.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  subdivided.setIndex(indices);
+  subdivided.computeVertexNormals();
+  subdivided.userData = { ...geometry.userData };
+  return subdivided;
+}
@@ -0,0 +1,46 @@
+/**
+ * Levels of detail: one model converted again with coarser curves and more
+ * simplification per level (see convertSVG), exported together through
+ * glTF's MSFT_lod extension, where engines without it show the full-detail
+ * level, or as separate _LOD0…_LODn files.
+ */
+
+export const LOD_EXTENSION = 'MSFT_lod';
+
+// Whether a value (e.g. from a preset file) is a usable level. `coverage` is
+// the share of the screen's height below which engines switch to it.
+export function isValidLODLevel(level) {
+  return Boolean(level) &&
+    Number.isFinite(level.simplifyTolerance) && level.simplifyTolerance >= 0 &&
+    Number.isInteger(level.curveSegments) && level.curveSegments >= 1 &&
+    Number.isFinite(level.coverage) && level.coverage > 0 && level.coverage <= 1;
+}
+
+// MSFT_screencoverage hints, one per level from LOD0: the smallest coverage
+// each is shown at. The last level never gets culled.
+export function getScreenCoverages(levels) {
+  return [...levels.map(level => level.coverage), 0];
+}
+
+// GLTFExporter plugin for exporting [lod0, ...lower] together: the lower
+// levels become nodes outside the scene that LOD0's node lists in MSFT_lod,
+// with `coverages` (see getScreenCoverages) in its extras
+export function createLODPlugin(coverages) {
+  return writer => ({
+    name: LOD_EXTENSION,
+    afterParse(input) {
+      const [root, ...lower] = input.map(object => writer.nodeMap.get(object));
+      if (lower.length === 0) return;
+
+      const { json } = writer;
+      json.scenes.forEach(scene => {
+        scene.nodes = scene.nodes.filter(node => !lower.includes(node));
+      });
+
+      const rootDef = json.nodes[root];
+      rootDef.extensions = { ...rootDef.extensions, [LOD_EXTENSION]: { ids: lower } };
+      rootDef.extras = { ...rootDef.extras, MSFT_screencoverage: coverages };
+      writer.extensionsUsed[LOD_EXTENSION] = true;
+    }
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * manifest.json for batch exports: the settings and format used, and for
+ * every input file either its output name and mesh stats or its error.
+ * Combined exports also describe the scene file the inputs went into.
+ */
+
+import { presetFromSettings } from './presets.mjs';
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const errorMessage = (error) => error.message || String(error);
+
+// `files`: [{ input, output, result }] for converted files (result from
+// convertSVG) and [{ input, error }] for failed ones, in input order.
+// Combined exports pass `scene`: { output, layout, spacing, materials }, or
+// { output, layout, spacing, error } when it couldn't be written; their
+// files name the `node` they became in it.
+export function createBatchManifest({ format, settings, files, scene }) {
+  return {
+    generator: 'svg2gltf',
+    createdAt: new Date().toISOString(),
+    format,
+    settings: presetFromSettings(settings),
+    converted: files.filter(file => !file.error).length,
+    failed: files.filter(file => file.error).length,
+    ...(scene && { scene: describeScene(scene) }),
+    files: files.map(({ input, output, node, result, error }) => {
+      if (error) {
+        return { input, status: 'error', error: errorMessage(error) };
+      }
+      return {
+        input,
+        output,
+        ...(node && { node }),
+        status: 'ok',
+        shapes: result.shapeCount,
+        vertices: result.totalVertices,
+        triangles: result.totalTriangles,
+        materials: result.materialCount,
+        sizeMeters: result.size.map(round), // [x, y, z], Y up
+        ...(result.warnings?.length > 0 && { warnings: result.warnings })
+      };
+    })
+  };
+}
+
+function describeScene({ output, layout, spacing, materials, error }) {
+  if (error) {
+    return { output, layout, spacing, status: 'error', error: errorMessage(error) };
+  }
+  return { output, layout, spacing, status: 'ok', materials };
+}
@@ -0,0 +1,33 @@
+/**
+ * The choices for each multiple-choice setting. They live apart from the
+ * modules that act on them so that settings.mjs, the CLI's option checks and
+ * the page can list them without loading the mesh pipeline.
+ */
+
+// How paths become solids: each extruded, or one revolved around an axis or
+// swept along a spine (see svg-mesh.mjs)
+export const GENERATION_MODES = ['extrude', 'revolve', 'sweep'];
+
+// How stacked layers are kept apart: lifted, or made taller
+export const LAYER_MODES = ['offset', 'height'];
+
+// See extrude.mjs
+export const BEVEL_PROFILES = ['chamfer', 'round', 'cove', 'ogee', 'custom'];
+export const BEVEL_SIDES = ['both', 'front', 'back'];
+
+// How paint servers are written to meshes (see paint.mjs)
+export const GRADIENT_MODES = ['vertex', 'texture'];
+
+// How fill colors map onto the relief ramp (see relief.mjs)
+export const RELIEF_MODES = ['off', 'luminance', 'color'];
+
+// See revolve.mjs
+export const REVOLVE_AXES = ['left', 'center', 'guide'];
+
+// See plate.mjs
+export const PLATE_SHAPES = ['none', 'rectangle', 'circle', 'outline'];
+export const KEYRING_POSITIONS = ['none', 'top', 'left', 'right'];
+export const SCREW_HOLE_COUNTS = [0, 2, 4];
+
+// Corners of offset contours (see offsetShapes in polygon.mjs)
+export const OFFSET_JOINS = ['round', 'miter', 'square'];
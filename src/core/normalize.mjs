@@ -0,0 +1,428 @@
+/**
+ * SVG normalization before SVGLoader parses a document. Exported SVGs lean on
+ * features SVGLoader ignores or gets wrong, so they are rewritten into plain
+ * paths and groups:
+ *
+ * - <style> rules are resolved into inline styles
+ * - <use> references (to <symbol>s or any element) become copies
+ * - <text> becomes glyph outlines (see text.mjs)
+ * - clip-path and mask content is moved into marked clip regions, which
+ *   extractClipRegions takes out of the parsed paths so the mesh builder can
+ *   intersect the clipped shapes with them
+ * - url() paints, which SVGLoader can't read, are set aside for
+ *   restorePaints to put back on the parsed paths
+ *
+ * Anything that can't be resolved is left out and reported as a warning.
+ */
+
+import { getOwnStyle, getInheritedStyle, parseDeclarations, setInlineStyle } from './style.mjs';
+import { convertTextToPaths } from './text.mjs';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Marks a clip region's <g> and, on clipped elements, lists their region ids
+const CLIP_REGION_ATTRIBUTE = 'data-svg2gltf-clip-region';
+const CLIP_ATTRIBUTE = 'data-svg2gltf-clip';
+
+// Hold an element's url() fill and stroke while SVGLoader parses it
+const PAINT_ATTRIBUTES = { fill: 'data-svg2gltf-fill', stroke: 'data-svg2gltf-stroke' };
+
+// Whether an SVG uses anything normalizeSVG rewrites
+export function needsNormalizing(svgText) {
+  return /<(style|use|symbol|text|clipPath|mask)[\s>/]|clip-path|mask\s*[:=]|url\(/.test(svgText);
+}
+
+function findById(document, id) {
+  return document.getElementById
+    ? document.getElementById(id)
+    : document.querySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function parseURLReference(value) {
+  const match = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/.exec(value);
+  return match ? match[1] : null;
+}
+
+// Remove a property from an element's presentation attribute and inline style
+function removeProperty(element, name) {
+  element.removeAttribute(name);
+  const style = element.getAttribute('style');
+  if (style) setInlineStyle(element, parseDeclarations(style).filter(d => d.name !== name));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stylesheets
+// ─────────────────────────────────────────────────────────────────────────────
+
+// [ids, classes/attributes/pseudo-classes, types] for ordering rules
+function getSpecificity(selector) {
+  const plain = selector.replace(/"[^"]*"|'[^']*'/g, '');
+  return [
+    (plain.match(/#[\w-]+/g) || []).length,
+    (plain.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length,
+    (plain.match(/(^|[\s>+~(])[a-zA-Z][\w-]*/g) || []).length
+  ];
+}
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+// Style rules of a stylesheet, skipping at-rules (reported through `warn`)
+function parseStylesheet(css, warn) {
+  const rules = []; // { selectors, declarations }
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let i = 0;
+
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open < 0) break;
+
+    const prelude = text.slice(i, open).trim();
+
+    // Find the matching close brace (at-rule blocks nest)
+    let depth = 1;
+    let close = open + 1;
+    for (; close < text.length && depth > 0; close++) {
+      if (text[close] === '{') depth++;
+      else if (text[close] === '}') depth--;
+    }
+
+    // Statement at-rules such as @import end at a semicolon before the block
+    const statement = /^(@[\w-]+[^;]*;\s*)+/.exec(prelude);
+    if (statement) {
+      statement[0].split(';').filter(s => s.trim()).forEach(s => warn(`CSS ${s.trim().split(/\s/)[0]} rules are ignored`));
+    }
+    const selector = statement ? prelude.slice(statement[0].length).trim() : prelude;
+
+    if (selector.startsWith('@')) {
+      warn(`CSS ${selector.split(/\s/)[0]} rules are ignored`);
+    } else if (selector) {
+      rules.push({
+        selectors: selector.split(',').map(s => s.trim()).filter(Boolean),
+        declarations: parseDeclarations(text.slice(open + 1, close - 1))
+      });
+    }
+    i = close;
+  }
+
+  return rules;
+}
+
+// Apply every <style> rule to the elements it matches by writing the winning
+// declarations into their style attributes, then drop the <style> elements.
+// Cascade order: stylesheet rules by specificity and source order, then the
+// element's own style attribute, then !important stylesheet declarations.
+function inlineStylesheets(document, warn) {
+  const styleElements = Array.from(document.getElementsByTagName('style'));
+  if (styleElements.length === 0) return;
+
+  const matched = new Map(); // element -> [{ specificity, order, declarations }]
+  let order = 0;
+
+  styleElements.forEach(style => {
+    parseStylesheet(style.textContent, warn).forEach(({ selectors, declarations }) => {
+      selectors.forEach(selector => {
+        let elements;
+        try {
+          elements = document.querySelectorAll(selector);
+        } catch {
+          warn(`Unsupported CSS selector "${selector}" is ignored`);
+          return;
+        }
+
+        const entry = { specificity: getSpecificity(selector), order: order++, declarations };
+        elements.forEach(element => {
+          if (!matched.has(element)) matched.set(element, []);
+          matched.get(element).push(entry);
+        });
+      });
+    });
+    style.parentNode.removeChild(style);
+  });
+
+  matched.forEach((entries, element) => {
+    entries.sort((a, b) => compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+    const declarations = entries.flatMap(entry => entry.declarations);
+
+    setInlineStyle(element, [
+      ...declarations.filter(d => !d.important),
+      ...parseDeclarations(element.getAttribute('style') || ''),
+      ...declarations.filter(d => d.important)
+    ]);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// <use> and <symbol>
+// ─────────────────────────────────────────────────────────────────────────────
+
+const USE_ATTRIBUTES = ['x', 'y', 'width', 'height', 'href', 'xlink:href'];
+const VIEWPORT_ATTRIBUTES = ['id', 'x', 'y', 'width', 'height', 'viewBox', 'preserveAspectRatio', 'refX', 'refY'];
+
+// Transform mapping a viewBox onto a width x height viewport, honoring
+// preserveAspectRatio's alignment and meet/slice
+function viewBoxTransform(viewBox, width, height, preserveAspectRatio) {
+  const [minX, minY, boxWidth, boxHeight] = viewBox.trim().split(/[\s,]+/).map(parseFloat);
+  if (!(boxWidth > 0 && boxHeight > 0)) return '';
+
+  let scaleX = width / boxWidth;
+  let scaleY = height / boxHeight;
+  let translateX = -minX * scaleX;
+  let translateY = -minY * scaleY;
+
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = (preserveAspectRatio || '').trim().split(/\s+/);
+  if (align !== 'none') {
+    const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    const alignment = { Min: 0, Mid: 0.5, Max: 1 };
+    const alignX = alignment[align.slice(1, 4)] ?? 0.5;
+    const alignY = alignment[align.slice(5, 8)] ?? 0.5;
+
+    scaleX = scaleY = scale;
+    translateX = -minX * scale + (width - boxWidth * scale) * alignX;
+    translateY = -minY * scale + (height - boxHeight * scale) * alignY;
+  }
+  return `translate(${translateX} ${translateY}) scale(${scaleX} ${scaleY})`;
+}
+
+// Copy of a <use>'s target: a <symbol> (or nested <svg>) becomes a <g> of its
+// children scaled into the <use>'s width/height; any other element is cloned.
+// Ids are dropped from the copy so they stay unique.
+function instantiate(target, use, document) {
+  let content;
+  if (target.localName === 'symbol' || target.localName === 'svg') {
+    content = document.createElementNS(SVG_NS, 'g');
+    for (const { name, value } of Array.from(target.attributes)) {
+      if (!VIEWPORT_ATTRIBUTES.includes(name)) content.setAttribute(name, value);
+    }
+    target.childNodes.forEach(child => content.appendChild(child.cloneNode(true)));
+
+    const viewBox = target.getAttribute('viewBox');
+    const width = parseFloat(use.getAttribute('width') || target.getAttribute('width'));
+    const height = parseFloat(use.getAttribute('height') || target.getAttribute('height'));
+    if (viewBox) {
+      const [, , boxWidth, boxHeight] = viewBox.trim().split(/[\s,]+/).map(parseFloat);
+      const transform = viewBoxTransform(viewBox, width > 0 ? width : boxWidth, height > 0 ? height : boxHeight, target.getAttribute('preserveAspectRatio'));
+      if (transform) content.setAttribute('transform', transform);
+    }
+  } else {
+    content = target.cloneNode(true);
+  }
+
+  content.removeAttribute('id');
+  content.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+  return content;
+}
+
+// Replace every <use> with a <g> holding a copy of what it references,
+// positioned by the <use>'s transform and x/y. <symbol>s are removed
+// afterwards since they only render through <use>.
+function expandUses(document, warn) {
+  const expand = (use, chain) => {
+    const href = use.getAttribute('href') || use.getAttributeNS(XLINK_NS, 'href') || use.getAttribute('xlink:href') || '';
+    const id = href.startsWith('#') ? href.slice(1) : null;
+    const target = id && findById(document, id);
+
+    if (!href.startsWith('#')) {
+      warn(`<use> of "${href}" is ignored: only references within the same file are supported`);
+    } else if (!target) {
+      warn(`<use> references missing element #${id}`);
+    } else if (chain.includes(id)) {
+      warn(`<use> of #${id} refers back to itself and is ignored`);
+    }
+    if (!target || chain.includes(id)) {
+      use.parentNode.removeChild(use);
+      return;
+    }
+
+    const group = document.createElementNS(SVG_NS, 'g');
+    for (const { name, value } of Array.from(use.attributes)) {
+      if (!USE_ATTRIBUTES.includes(name)) group.setAttribute(name, value);
+    }
+    const x = parseFloat(use.getAttribute('x')) || 0;
+    const y = parseFloat(use.getAttribute('y')) || 0;
+    if (x !== 0 || y !== 0) {
+      group.setAttribute('transform', `${use.getAttribute('transform') || ''} translate(${x} ${y})`.trim());
+    }
+
+    group.appendChild(instantiate(target, use, document));
+    use.parentNode.replaceChild(group, use);
+
+    Array.from(group.getElementsByTagName('use')).forEach(inner => expand(inner, [...chain, id]));
+  };
+
+  Array.from(document.getElementsByTagName('use')).forEach(use => {
+    // Uses inside a copy made meanwhile are already expanded
+    if (use.parentNode) expand(use, []);
+  });
+
+  Array.from(document.getElementsByTagName('symbol')).forEach(symbol => symbol.parentNode.removeChild(symbol));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Clip paths and masks
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Copy a <clipPath>'s or <mask>'s content as a solid region next to the
+// element it clips, in that element's user space
+function createClipRegion(source, element, regionId, document) {
+  const region = document.createElementNS(SVG_NS, 'g');
+  region.setAttribute(CLIP_REGION_ATTRIBUTE, regionId);
+  if (element.getAttribute('transform')) region.setAttribute('transform', element.getAttribute('transform'));
+
+  const content = document.createElementNS(SVG_NS, 'g');
+  if (source.getAttribute('transform')) content.setAttribute('transform', source.getAttribute('transform'));
+  region.appendChild(content);
+
+  const isClipPath = source.localName === 'clipPath';
+  Array.from(source.children).forEach(child => {
+    const copy = child.cloneNode(true);
+    const originals = [child, ...child.querySelectorAll('*')];
+    const copies = [copy, ...copy.querySelectorAll('*')];
+
+    // Everything in a clip path counts as filled, with clip-rule as its fill rule
+    copies.forEach((element, i) => {
+      element.removeAttribute('id');
+      setInlineStyle(element, [
+        ...parseDeclarations(element.getAttribute('style') || ''),
+        { name: 'fill', value: '#000' },
+        { name: 'stroke', value: 'none' },
+        ...(isClipPath ? [{ name: 'fill-rule', value: getInheritedStyle(originals[i], 'clip-rule') || 'nonzero' }] : [])
+      ]);
+    });
+    content.appendChild(copy);
+  });
+
+  if (element.parentNode && element.parentNode.nodeType === 1) {
+    element.parentNode.insertBefore(region, element);
+  } else {
+    element.appendChild(region);
+  }
+}
+
+// SVGLoader warns about url() paints and hands them to THREE.Color, which
+// warns again. Paint such elements black while it parses them and keep the
+// paint in an attribute instead.
+function setPaintsAside(document) {
+  document.querySelectorAll('*').forEach(element => {
+    Object.entries(PAINT_ATTRIBUTES).forEach(([name, attribute]) => {
+      const paint = getOwnStyle(element, name);
+      if (!paint.startsWith('url(')) return;
+      removeProperty(element, name);
+      element.setAttribute(name, '#000');
+      element.setAttribute(attribute, paint);
+    });
+  });
+}
+
+// Turn clip-path and mask references into clip regions. Masks are
+// approximated by the shapes they contain.
+function prepareClipping(document, warn) {
+  const defined = (element) => {
+    for (let current = element; current && current.nodeType === 1; current = current.parentNode) {
+      if (['defs', 'clipPath', 'mask', 'symbol'].includes(current.localName)) return true;
+    }
+    return false;
+  };
+
+  let nextRegion = 1;
+
+  Array.from(document.querySelectorAll('*')).forEach(element => {
+    const regions = [];
+
+    ['clip-path', 'mask'].forEach(property => {
+      const value = getOwnStyle(element, property);
+      if (!value || value === 'none' || defined(element)) return;
+      removeProperty(element, property);
+
+      const tag = property === 'clip-path' ? 'clipPath' : 'mask';
+      const id = parseURLReference(value);
+      const source = id && findById(document, id);
+      const unitsAttribute = property === 'clip-path' ? 'clipPathUnits' : 'maskContentUnits';
+
+      if (!id) {
+        warn(`Unsupported ${property} value "${value}" is ignored`);
+      } else if (!source || source.localName !== tag) {
+        warn(`${property} references missing <${tag}> #${id}`);
+      } else if (source.getAttribute(unitsAttribute) === 'objectBoundingBox') {
+        warn(`<${tag}> #${id} uses objectBoundingBox units, which aren't supported; it is ignored`);
+      } else {
+        if (tag === 'mask') warn(`<mask> #${id} is applied as a clip path of its shapes; luminance and opacity are ignored`);
+        if (getOwnStyle(source, 'clip-path')) warn(`clip-path on <${tag}> #${id} is ignored`);
+
+        const regionId = String(nextRegion++);
+        createClipRegion(source, element, regionId, document);
+        regions.push(regionId);
+      }
+    });
+
+    if (regions.length > 0) element.setAttribute(CLIP_ATTRIBUTE, regions.join(' '));
+  });
+
+  Array.from(document.querySelectorAll('clipPath, mask')).forEach(element => {
+    element.parentNode.removeChild(element);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Rewrite an SVG document in place; returns warnings for whatever couldn't
+// be resolved. `fonts` are passed on to convertTextToPaths.
+export function normalizeSVG(document, { fonts = [] } = {}) {
+  const warnings = new Set();
+  const warn = (message) => warnings.add(message);
+
+  inlineStylesheets(document, warn);
+  expandUses(document, warn);
+  convertTextToPaths(document, fonts).forEach(warn);
+  prepareClipping(document, warn);
+  setPaintsAside(document);
+
+  return [...warnings];
+}
+
+// Take the paths of clip regions out of svgData.paths. Returns a Map of
+// region id -> [ShapePath], in the same coordinates as the other paths.
+export function extractClipRegions(svgData) {
+  const regions = new Map();
+
+  svgData.paths = svgData.paths.filter(path => {
+    for (let node = path.userData.node; node && node.nodeType === 1; node = node.parentNode) {
+      const id = node.getAttribute(CLIP_REGION_ATTRIBUTE);
+      if (id) {
+        if (!regions.has(id)) regions.set(id, []);
+        regions.get(id).push(path);
+        return false;
+      }
+    }
+    return true;
+  });
+
+  return regions;
+}
+
+// Put the paints setPaintsAside took off back into the styles of parsed
+// paths. A path's fill or stroke is the paint of the nearest element, from
+// its own node up, that sets it.
+export function restorePaints(paths) {
+  paths.forEach(({ userData: { node, style } }) => {
+    Object.entries(PAINT_ATTRIBUTES).forEach(([name, attribute]) => {
+      for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+        if (!getOwnStyle(current, name)) continue;
+        if (current.hasAttribute(attribute)) style[name] = current.getAttribute(attribute);
+        return;
+      }
+    });
+  });
+}
+
+// Ids of the clip regions that apply to an element: its own and its ancestors'
+export function getClipRegionIds(node) {
+  const ids = [];
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    const value = current.getAttribute(CLIP_ATTRIBUTE);
+    if (value) ids.push(...value.split(' '));
+  }
+  return ids;
+}
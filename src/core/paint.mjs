@@ -0,0 +1,531 @@
+/**
+ * Gradient and pattern fills ("paint servers"). parsePaintServers reads the
+ * <linearGradient>, <radialGradient> and <pattern> definitions of a parsed
+ * SVG; createPaintSampler evaluates one for a painted element at any point,
+ * and the result is written to a mesh either as vertex colors or as a baked
+ * texture with planar UVs.
+ *
+ * Patterns are rasterized from their filled shapes; strokes, nested paint
+ * servers and images inside a pattern are ignored.
+ */
+
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { getOwnStyle } from './style.mjs';
+import { restorePaints } from './normalize.mjs';
+import { subdivideGeometry } from './geometry.mjs';
+
+// Longest side of a baked paint texture in pixels
+const TEXTURE_SIZE = 512;
+
+// Vertex-colored paints are subdivided until no triangle edge spans more
+// than this fraction of the painted area
+const VERTEX_COLOR_DIVISIONS = 32;
+
+// Curve segments for the outlines of pattern shapes
+const PATTERN_CURVE_SEGMENTS = 12;
+
+// Id referenced by a url(#id) paint, or null
+export function getPaintReference(paint) {
+  const match = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(paint || '');
+  return match ? match[1] : null;
+}
+
+// sRGB components [r, g, b] (0-1) of a CSS color; black if it can't be parsed
+function parseColor(value) {
+  const color = new THREE.Color(0, 0, 0);
+  if (value && value !== 'currentColor' && value !== 'none') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('#') || trimmed in THREE.Color.NAMES || /^(rgb|hsl)a?\(/.test(trimmed)) {
+      color.setStyle(trimmed);
+    }
+  }
+  const { r, g, b } = color.getRGB({}, THREE.SRGBColorSpace);
+  return [r, g, b];
+}
+
+// SVG transform attribute -> Matrix3
+function parseTransform(text) {
+  const matrix = new THREE.Matrix3();
+  if (!text) return matrix;
+
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const values = match[2].trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    const [a = 0, b = 0, c = 0, d = 0, e = 0, f = 0] = values;
+    const args = values.length;
+    const step = new THREE.Matrix3();
+
+    switch (match[1]) {
+      case 'matrix':
+        step.set(a, c, e, b, d, f, 0, 0, 1);
+        break;
+      case 'translate':
+        step.makeTranslation(a, args > 1 ? b : 0);
+        break;
+      case 'scale':
+        step.makeScale(a, args > 1 ? b : a);
+        break;
+      case 'rotate': {
+        const angle = a * Math.PI / 180;
+        step.makeTranslation(b, c)
+          .multiply(new THREE.Matrix3().makeRotation(angle))
+          .multiply(new THREE.Matrix3().makeTranslation(-b, -c));
+        break;
+      }
+      case 'skewX':
+        step.set(1, Math.tan(a * Math.PI / 180), 0, 0, 1, 0, 0, 0, 1);
+        break;
+      case 'skewY':
+        step.set(1, 0, 0, Math.tan(a * Math.PI / 180), 1, 0, 0, 0, 1);
+        break;
+    }
+    matrix.multiply(step);
+  }
+  return matrix;
+}
+
+// Transform from an element's user space to the document's (SVGLoader bakes
+// these into path coordinates)
+function getUserSpaceMatrix(node) {
+  const matrix = new THREE.Matrix3();
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    matrix.premultiply(parseTransform(current.getAttribute('transform')));
+  }
+  return matrix;
+}
+
+// Width and height that userSpaceOnUse percentages refer to
+function getViewportSize(root) {
+  const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) return [viewBox[2], viewBox[3]];
+  return [parseFloat(root.getAttribute('width')) || 100, parseFloat(root.getAttribute('height')) || 100];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Follow a paint server's href chain: attributes and content (stops,
+// pattern children) come from the first element in the chain that has them
+function createTemplateLookup(element, byId) {
+  const chain = [];
+  for (let current = element; current && !chain.includes(current);) {
+    chain.push(current);
+    const href = current.getAttribute('href') || current.getAttribute('xlink:href') || '';
+    current = href.startsWith('#') ? byId.get(href.slice(1)) : null;
+  }
+
+  return {
+    attribute: (name) => {
+      const source = chain.find(e => e.hasAttribute(name));
+      return source ? source.getAttribute(name) : null;
+    },
+    content: (test) => chain.map(e => Array.from(e.children).filter(test)).find(list => list.length > 0) || []
+  };
+}
+
+function parseGradient(element, byId, viewport) {
+  const template = createTemplateLookup(element, byId);
+  const units = template.attribute('gradientUnits') === 'userSpaceOnUse' ? 'userSpaceOnUse' : 'objectBoundingBox';
+  const [width, height] = units === 'userSpaceOnUse' ? viewport : [1, 1];
+  const diagonal = Math.hypot(width, height) / Math.SQRT2;
+
+  const length = (name, fallback, reference) => {
+    const value = template.attribute(name) ?? fallback;
+    return value.trim().endsWith('%') ? parseFloat(value) / 100 * reference : parseFloat(value) || 0;
+  };
+
+  let previous = 0;
+  const stops = template.content(child => child.localName === 'stop').map(stop => {
+    const offsetValue = stop.getAttribute('offset') || '0';
+    const offset = offsetValue.trim().endsWith('%') ? parseFloat(offsetValue) / 100 : parseFloat(offsetValue) || 0;
+    previous = Math.max(previous, Math.min(1, Math.max(0, offset)));
+
+    const opacity = parseFloat(getOwnStyle(stop, 'stop-opacity'));
+    return {
+      offset: previous,
+      color: parseColor(getOwnStyle(stop, 'stop-color') || 'black'),
+      opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1
+    };
+  });
+
+  const gradient = {
+    type: element.localName,
+    units,
+    transform: parseTransform(template.attribute('gradientTransform')),
+    spread: template.attribute('spreadMethod') || 'pad',
+    stops
+  };
+
+  if (element.localName === 'linearGradient') {
+    gradient.start = new THREE.Vector2(length('x1', '0%', width), length('y1', '0%', height));
+    gradient.end = new THREE.Vector2(length('x2', '100%', width), length('y2', '0%', height));
+  } else {
+    gradient.center = new THREE.Vector2(length('cx', '50%', width), length('cy', '50%', height));
+    gradient.radius = length('r', '50%', diagonal);
+    gradient.focus = new THREE.Vector2(
+      template.attribute('fx') !== null ? length('fx', '0', width) : gradient.center.x,
+      template.attribute('fy') !== null ? length('fy', '0', height) : gradient.center.y
+    );
+    gradient.focalRadius = length('fr', '0%', diagonal);
+  }
+  return gradient;
+}
+
+// The pattern's filled shapes, in pattern content coordinates, bottom to top
+function parsePatternShapes(children, warn, id) {
+  if (children.length === 0) return [];
+
+  const serialize = (node) => typeof XMLSerializer !== 'undefined'
+    ? new XMLSerializer().serializeToString(node)
+    : String(node);
+  const source = `<svg xmlns="http://www.w3.org/2000/svg">${children.map(serialize).join('')}</svg>`;
+  const { paths } = new SVGLoader().parse(source);
+  restorePaints(paths);
+
+  const shapes = [];
+  paths.forEach(path => {
+    const { style } = path.userData;
+    if (style.stroke && style.stroke !== 'none') warn(`Strokes inside <pattern> #${id} are ignored`);
+    if (!style.fill || style.fill === 'none') return;
+    if (getPaintReference(style.fill)) {
+      warn(`Gradient and pattern fills inside <pattern> #${id} are ignored`);
+      return;
+    }
+
+    const color = parseColor(style.fill);
+    const opacity = (style.fillOpacity ?? 1) * (style.opacity ?? 1);
+    SVGLoader.createShapes(path).forEach(shape => {
+      const { shape: outer, holes } = shape.extractPoints(PATTERN_CURVE_SEGMENTS);
+      shapes.push({ color, opacity, outer, holes });
+    });
+  });
+  return shapes;
+}
+
+function parsePattern(element, byId, viewport, warn) {
+  const template = createTemplateLookup(element, byId);
+  const id = element.getAttribute('id');
+  const units = template.attribute('patternUnits') === 'userSpaceOnUse' ? 'userSpaceOnUse' : 'objectBoundingBox';
+  const [width, height] = units === 'userSpaceOnUse' ? viewport : [1, 1];
+
+  const length = (name, reference) => {
+    const value = template.attribute(name) || '0';
+    return value.trim().endsWith('%') ? parseFloat(value) / 100 * reference : parseFloat(value) || 0;
+  };
+
+  const children = template.content(child => child.nodeType === 1);
+  if (children.some(child => child.localName === 'image')) warn(`Images inside <pattern> #${id} are ignored`);
+
+  return {
+    type: 'pattern',
+    units,
+    contentUnits: template.attribute('patternContentUnits') === 'objectBoundingBox' ? 'objectBoundingBox' : 'userSpaceOnUse',
+    transform: parseTransform(template.attribute('patternTransform')),
+    tile: [length('x', width), length('y', height), length('width', width), length('height', height)],
+    viewBox: template.attribute('viewBox'),
+    preserveAspectRatio: template.attribute('preserveAspectRatio'),
+    shapes: parsePatternShapes(children, warn, id)
+  };
+}
+
+// Paint servers referenced by the parsed SVG's paths: Map of id -> gradient
+// or pattern. Also returns warnings for references that can't be resolved.
+export function parsePaintServers(svgData) {
+  const servers = new Map();
+  const warnings = new Set();
+  const root = svgData.xml;
+  if (!root || !root.querySelectorAll) return { servers, warnings: [] };
+
+  const byId = new Map();
+  root.querySelectorAll('[id]').forEach(element => {
+    if (!byId.has(element.getAttribute('id'))) byId.set(element.getAttribute('id'), element);
+  });
+  const viewport = getViewportSize(root);
+
+  svgData.paths.forEach(path => {
+    const { style } = path.userData;
+    [style.fill, style.stroke].forEach(paint => {
+      const id = getPaintReference(paint);
+      if (!id || servers.has(id)) return;
+
+      const element = byId.get(id);
+      if (!element) {
+        warnings.add(`Paint #${id} not found, using the fallback color`);
+      } else if (element.localName === 'linearGradient' || element.localName === 'radialGradient') {
+        const gradient = parseGradient(element, byId, viewport);
+        if (gradient.stops.length === 0) {
+          warnings.add(`Gradient #${id} has no stops, using the fallback color`);
+        } else {
+          servers.set(id, gradient);
+        }
+      } else if (element.localName === 'pattern') {
+        servers.set(id, parsePattern(element, byId, viewport, message => warnings.add(message)));
+      } else {
+        warnings.add(`Paint #${id} is a <${element.localName}>, not a gradient or pattern`);
+      }
+    });
+  });
+
+  return { servers, warnings: [...warnings] };
+}
+
+// Flat color used when a paint server can't be: the fallback after url(...),
+// for example "url(#g) red", or null
+export function getPaintFallback(paint) {
+  const fallback = (paint || '').replace(/^url\([^)]*\)/, '').trim();
+  return fallback && fallback !== 'none' ? fallback : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sampling
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Gradient position t -> [0, 1] by spreadMethod
+function applySpread(t, spread) {
+  if (spread === 'repeat') return t - Math.floor(t);
+  if (spread === 'reflect') {
+    const period = t - 2 * Math.floor(t / 2);
+    return period > 1 ? 2 - period : period;
+  }
+  return Math.min(1, Math.max(0, t));
+}
+
+// [r, g, b, a] (sRGB, 0-1) at position t along the stops
+function sampleStops(stops, t) {
+  if (t <= stops[0].offset) return [...stops[0].color, stops[0].opacity];
+
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    if (t <= b.offset) {
+      const f = b.offset > a.offset ? (t - a.offset) / (b.offset - a.offset) : 1;
+      return [
+        a.color[0] + (b.color[0] - a.color[0]) * f,
+        a.color[1] + (b.color[1] - a.color[1]) * f,
+        a.color[2] + (b.color[2] - a.color[2]) * f,
+        a.opacity + (b.opacity - a.opacity) * f
+      ];
+    }
+  }
+
+  const last = stops[stops.length - 1];
+  return [...last.color, last.opacity];
+}
+
+// Position along a radial gradient: the largest t whose circle, interpolated
+// from the focal circle (t = 0) to the end circle (t = 1), passes through p
+function radialPosition({ center, radius, focus, focalRadius }, p) {
+  const cdx = center.x - focus.x;
+  const cdy = center.y - focus.y;
+  const dr = radius - focalRadius;
+  const px = p.x - focus.x;
+  const py = p.y - focus.y;
+
+  const a = cdx * cdx + cdy * cdy - dr * dr;
+  const b = px * cdx + py * cdy + focalRadius * dr;
+  const c = px * px + py * py - focalRadius * focalRadius;
+
+  // a t² - 2 b t + c = 0, keeping roots whose circle has a radius
+  if (Math.abs(a) < 1e-12) return b !== 0 ? c / (2 * b) : 0;
+
+  const discriminant = b * b - a * c;
+  if (discriminant < 0) return 0;
+  const roots = [(b + Math.sqrt(discriminant)) / a, (b - Math.sqrt(discriminant)) / a]
+    .filter(t => focalRadius + t * dr >= 0);
+  return roots.length > 0 ? Math.max(...roots) : 0;
+}
+
+function pointInContour(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Topmost pattern shape color at a content point, transparent if none
+function samplePatternShapes(shapes, x, y) {
+  for (let i = shapes.length - 1; i >= 0; i--) {
+    const { color, opacity, outer, holes } = shapes[i];
+    if (pointInContour(x, y, outer) && !holes.some(hole => pointInContour(x, y, hole))) {
+      return [...color, opacity];
+    }
+  }
+  return [1, 1, 1, 0];
+}
+
+// Maps a pattern tile point to its content coordinates
+function createPatternContentMatrix(pattern, bounds) {
+  const [, , tileWidth, tileHeight] = pattern.tile;
+
+  if (pattern.viewBox) {
+    const [minX, minY, boxWidth, boxHeight] = pattern.viewBox.trim().split(/[\s,]+/).map(parseFloat);
+    if (boxWidth > 0 && boxHeight > 0) {
+      const [align = 'xMidYMid', meetOrSlice = 'meet'] = (pattern.preserveAspectRatio || '').trim().split(/\s+/);
+      let scaleX = tileWidth / boxWidth;
+      let scaleY = tileHeight / boxHeight;
+      let offsetX = 0;
+      let offsetY = 0;
+      if (align !== 'none') {
+        const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        const alignment = { Min: 0, Mid: 0.5, Max: 1 };
+        offsetX = (tileWidth - boxWidth * scale) * (alignment[align.slice(1, 4)] ?? 0.5);
+        offsetY = (tileHeight - boxHeight * scale) * (alignment[align.slice(5, 8)] ?? 0.5);
+        scaleX = scaleY = scale;
+      }
+      // content -> tile, inverted
+      return new THREE.Matrix3()
+        .makeTranslation(offsetX - minX * scaleX, offsetY - minY * scaleY)
+        .multiply(new THREE.Matrix3().makeScale(scaleX, scaleY))
+        .invert();
+    }
+  }
+
+  if (pattern.contentUnits === 'objectBoundingBox') {
+    return new THREE.Matrix3().makeScale(1 / (bounds.max.x - bounds.min.x || 1), 1 / (bounds.max.y - bounds.min.y || 1));
+  }
+  return new THREE.Matrix3();
+}
+
+// Sampler for a paint server painting `node`, whose shapes are given in
+// document coordinates: (x, y) in the document -> [r, g, b, a] (sRGB, 0-1)
+export function createPaintSampler(server, node, shapes, curveSegments) {
+  const toUserSpace = getUserSpaceMatrix(node).invert();
+
+  // Bounding box in the element's user space, for objectBoundingBox units
+  const bounds = new THREE.Box2();
+  const point = new THREE.Vector2();
+  shapes.forEach(shape => {
+    shape.getPoints(curveSegments).forEach(p => bounds.expandByPoint(point.copy(p).applyMatrix3(toUserSpace)));
+  });
+
+  // User space -> the paint server's own coordinates
+  const toServerSpace = server.units === 'objectBoundingBox'
+    ? new THREE.Matrix3()
+      .makeTranslation(bounds.min.x, bounds.min.y)
+      .multiply(new THREE.Matrix3().makeScale(bounds.max.x - bounds.min.x || 1, bounds.max.y - bounds.min.y || 1))
+    : new THREE.Matrix3();
+  toServerSpace.multiply(server.transform).invert().multiply(toUserSpace);
+
+  const p = new THREE.Vector2();
+
+  if (server.type === 'pattern') {
+    const [tileX, tileY, tileWidth, tileHeight] = server.tile;
+    const toContent = createPatternContentMatrix(server, bounds);
+    const c = new THREE.Vector2();
+
+    return (x, y) => {
+      if (!(tileWidth > 0 && tileHeight > 0)) return [1, 1, 1, 0];
+      p.set(x, y).applyMatrix3(toServerSpace);
+      const localX = p.x - tileX - Math.floor((p.x - tileX) / tileWidth) * tileWidth;
+      const localY = p.y - tileY - Math.floor((p.y - tileY) / tileHeight) * tileHeight;
+      c.set(localX, localY).applyMatrix3(toContent);
+      return samplePatternShapes(server.shapes, c.x, c.y);
+    };
+  }
+
+  if (server.type === 'linearGradient') {
+    const direction = new THREE.Vector2().subVectors(server.end, server.start);
+    const lengthSq = direction.lengthSq();
+    return (x, y) => {
+      p.set(x, y).applyMatrix3(toServerSpace).sub(server.start);
+      const t = lengthSq > 0 ? p.dot(direction) / lengthSq : 1;
+      return sampleStops(server.stops, applySpread(t, server.spread));
+    };
+  }
+
+  return (x, y) => {
+    p.set(x, y).applyMatrix3(toServerSpace);
+    return sampleStops(server.stops, applySpread(radialPosition(server, p), server.spread));
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Writing to meshes
+// ─────────────────────────────────────────────────────────────────────────────
+
+// glTF alpha mode that sampled alpha values (0-1) need: OPAQUE when all are
+// opaque, MASK when they are only ever fully on or off (pattern gaps, hard
+// transparent stops), BLEND otherwise
+function getAlphaMode(alphas) {
+  let mode = 'OPAQUE';
+  for (const alpha of alphas) {
+    if (alpha > 0 && alpha < 1) return 'BLEND';
+    if (alpha === 0) mode = 'MASK';
+  }
+  return mode;
+}
+
+// COLOR_0: the paint at every vertex (positions in document coordinates), on
+// a copy of the geometry subdivided finely enough to show it. Colors are RGBA
+// when the paint has any transparency. Returns { geometry, alphaMode }.
+export function applyVertexColors(geometry, sampler) {
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const maxLength = Math.max(max.x - min.x, max.y - min.y) / VERTEX_COLOR_DIVISIONS;
+  const colored = maxLength > 0 ? subdivideGeometry(geometry, maxLength) : geometry.clone();
+
+  const position = colored.getAttribute('position');
+  const samples = [];
+  for (let i = 0; i < position.count; i++) samples.push(sampler(position.getX(i), position.getY(i)));
+
+  const alphaMode = getAlphaMode(samples.map(rgba => rgba[3]));
+  const itemSize = alphaMode === 'OPAQUE' ? 3 : 4;
+  const colors = new Float32Array(position.count * itemSize);
+  const color = new THREE.Color();
+
+  samples.forEach(([r, g, b, a], i) => {
+    color.setRGB(r, g, b, THREE.SRGBColorSpace).toArray(colors, i * itemSize);
+    if (itemSize === 4) colors[i * 4 + 3] = a;
+  });
+  colored.setAttribute('color', new THREE.BufferAttribute(colors, itemSize));
+  return { geometry: colored, alphaMode };
+}
+
+// Bake the paint over the geometry's X/Y bounds into an RGBA texture and give
+// the geometry planar UVs onto it. Row 0 is the top (smallest SVG Y), as glTF
+// expects. Returns { texture, alphaMode }.
+export function bakePaintTexture(geometry, sampler) {
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  const width = max.x - min.x || 1;
+  const height = max.y - min.y || 1;
+
+  const pixelSize = Math.max(width, height) / TEXTURE_SIZE;
+  const columns = Math.max(1, Math.min(TEXTURE_SIZE, Math.ceil(width / pixelSize)));
+  const rows = Math.max(1, Math.min(TEXTURE_SIZE, Math.ceil(height / pixelSize)));
+  const data = new Uint8Array(columns * rows * 4);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const rgba = sampler(min.x + (column + 0.5) / columns * width, min.y + (row + 0.5) / rows * height);
+      const offset = (row * columns + column) * 4;
+      for (let k = 0; k < 4; k++) data[offset + k] = Math.round(rgba[k] * 255);
+    }
+  }
+
+  const position = geometry.getAttribute('position');
+  const uvs = new Float32Array(position.count * 2);
+  for (let i = 0; i < position.count; i++) {
+    uvs[i * 2] = (position.getX(i) - min.x) / width;
+    uvs[i * 2 + 1] = (position.getY(i) - min.y) / height;
+  }
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+  const texture = new THREE.DataTexture(data, columns, rows, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  const alphas = [];
+  for (let i = 3; i < data.length; i += 4) alphas.push(data[i] / 255);
+  return { texture, alphaMode: getAlphaMode(alphas) };
+}
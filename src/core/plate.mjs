@@ -0,0 +1,282 @@
+/**
+ * Backing plates for signs and keychains: a base under the artwork shaped
+ * as a rounded rectangle, a circle or the artwork's own outline grown by a
+ * margin, with optional keyring and screw holes and a magnet pocket in the
+ * back. Everything here is 2D in SVG units; svg-mesh.mjs stacks the artwork
+ * on the plate, or engraves it into the plate, as one stepped solid (see
+ * buildReliefGeometry).
+ */
+
+import * as THREE from 'three';
+import { unionShapes, intersectShapes, subtractShapes, offsetShapes } from './polygon.mjs';
+import { PLATE_SHAPES } from './modes.mjs';
+
+// Countersinks are 90° cones twice the hole's diameter, at most this much
+// of the plate deep
+const MAX_COUNTERSINK_DEPTH = 0.75;
+
+// Magnet pockets leave at least this much of the plate in front of them
+const MIN_POCKET_FLOOR = 0.2;
+
+function circleShape(center, radius) {
+  const shape = new THREE.Shape();
+  shape.absarc(center.x, center.y, radius, 0, Math.PI * 2, false);
+  return shape;
+}
+
+function roundedRectangleShape(box, radius) {
+  const { min, max } = box;
+  const r = Math.min(radius, (max.x - min.x) / 2, (max.y - min.y) / 2);
+  const shape = new THREE.Shape();
+  shape.moveTo(min.x + r, min.y);
+  shape.lineTo(max.x - r, min.y);
+  if (r > 0) shape.absarc(max.x - r, min.y + r, r, -Math.PI / 2, 0, false);
+  shape.lineTo(max.x, max.y - r);
+  if (r > 0) shape.absarc(max.x - r, max.y - r, r, 0, Math.PI / 2, false);
+  shape.lineTo(min.x + r, max.y);
+  if (r > 0) shape.absarc(min.x + r, max.y - r, r, Math.PI / 2, Math.PI, false);
+  shape.lineTo(min.x, min.y + r);
+  if (r > 0) shape.absarc(min.x + r, min.y + r, r, Math.PI, Math.PI * 1.5, false);
+  return shape;
+}
+
+function shapesBox(shapes, curveSegments) {
+  const box = new THREE.Box2();
+  shapes.forEach(shape => shape.getPoints(curveSegments).forEach(p => box.expandByPoint(p)));
+  return box;
+}
+
+// Shapes flipped left to right (around x = 0), e.g. to engrave a stamp or
+// mold that prints the artwork the right way round
+export function mirrorShapes(shapes, curveSegments) {
+  const mirror = points => points.map(p => new THREE.Vector2(-p.x, p.y));
+  return shapes.map(shape => {
+    const { shape: outline, holes } = shape.extractPoints(curveSegments);
+    const mirrored = new THREE.Shape(mirror(outline));
+    mirrored.holes = holes.map(hole => new THREE.Path(mirror(hole)));
+    return mirrored;
+  });
+}
+
+// The plate's outline around the artwork, without holes
+function getPlateOutline(kind, artwork, { margin, cornerRadius, curveSegments }) {
+  const box = shapesBox(artwork, curveSegments);
+
+  if (kind === 'circle') {
+    const center = box.getCenter(new THREE.Vector2());
+    let radius = 0;
+    artwork.forEach(shape => shape.getPoints(curveSegments).forEach(p => {
+      radius = Math.max(radius, p.distanceTo(center));
+    }));
+    return [circleShape(center, radius + margin)];
+  }
+
+  if (kind === 'outline') {
+    // Holes in the artwork (the inside of an "O") are filled in
+    return offsetShapes(artwork, margin, curveSegments).map(shape => new THREE.Shape(shape.getPoints()));
+  }
+
+  return [roundedRectangleShape(box.expandByScalar(margin), cornerRadius)];
+}
+
+// The outline point furthest towards one side of the plate
+function getEdgePoint(shapes, side, curveSegments) {
+  const score = {
+    top: p => -p.y,
+    left: p => -p.x,
+    right: p => p.x
+  }[side];
+
+  let best = null;
+  shapes.forEach(shape => shape.getPoints(curveSegments).forEach(p => {
+    if (!best || score(p) > score(best)) best = p;
+  }));
+  return best;
+}
+
+// Where screw holes would go: 2 either side of the middle or 4 in the
+// corners, `inset` in from the plate's bounding box (on the rim of a circle
+// plate)
+function getScrewCenters(kind, shapes, count, inset, curveSegments) {
+  if (count === 0) return [];
+
+  const box = shapesBox(shapes, curveSegments);
+  const center = box.getCenter(new THREE.Vector2());
+
+  if (kind === 'circle') {
+    const radius = (box.max.x - box.min.x) / 2 - inset;
+    const angles = count === 2 ? [0, Math.PI] : [1, 3, 5, 7].map(k => k * Math.PI / 4);
+    return angles.map(angle => new THREE.Vector2(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle)));
+  }
+
+  const left = box.min.x + inset;
+  const right = box.max.x - inset;
+  if (count === 2) return [new THREE.Vector2(left, center.y), new THREE.Vector2(right, center.y)];
+
+  const top = box.min.y + inset;
+  const bottom = box.max.y - inset;
+  return [
+    new THREE.Vector2(left, top),
+    new THREE.Vector2(right, top),
+    new THREE.Vector2(right, bottom),
+    new THREE.Vector2(left, bottom)
+  ];
+}
+
+// Whether `point` lies inside `points` (a closed contour), by ray casting
+function insideContour(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// `point` if it lies in `shapes`, else the closest point on their edges
+// (null without shapes)
+function closestPointIn(shapes, point, curveSegments) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const shape of shapes) {
+    const { shape: outline, holes } = shape.extractPoints(curveSegments);
+    if (insideContour(point, outline) && !holes.some(hole => insideContour(point, hole))) return point.clone();
+
+    [outline, ...holes].forEach(points => points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const edge = new THREE.Vector2().subVectors(b, a);
+      const t = THREE.MathUtils.clamp(new THREE.Vector2().subVectors(point, a).dot(edge) / (edge.lengthSq() || 1), 0, 1);
+      const candidate = a.clone().addScaledVector(edge, t);
+      const distance = candidate.distanceTo(point);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }));
+  }
+  return best;
+}
+
+// The plate for `artwork` (shapes in SVG units); lengths in `options` are
+// in SVG units too. Returns null without a plate, else
+// {
+//   shapes,        the plate's area, keyring tab included
+//   holes,         shapes of the through holes, cut from plate and artwork
+//   countersinks,  [{ center, radius, depth, head }] at the screw holes,
+//                  `head` being the shape of the cone's top
+//   pocket,        { shapes, depth } of the magnet pocket, or null
+//   warnings,      e.g. screw holes left out for lack of room
+// }
+export function createPlate(artwork, {
+  shape: kind,
+  thickness,
+  margin,
+  cornerRadius = 0,
+  keyring = 'none',
+  keyringDiameter = 0,
+  screwHoles = 0,
+  screwDiameter = 0,
+  countersink = false,
+  magnetDiameter = 0,
+  magnetDepth = 0,
+  curveSegments
+}) {
+  if (!PLATE_SHAPES.includes(kind) || kind === 'none' || artwork.length === 0 || !(thickness > 0)) return null;
+
+  let shapes = getPlateOutline(kind, artwork, { margin, cornerRadius, curveSegments });
+  if (shapes.length === 0) return null;
+  const holes = [];
+
+  // A round tab sticking out of the plate's edge, the hole just past it
+  if (keyring !== 'none' && keyringDiameter > 0) {
+    const radius = keyringDiameter / 2;
+    const edge = getEdgePoint(shapes, keyring, curveSegments);
+    const direction = { top: [0, -1], left: [-1, 0], right: [1, 0] }[keyring];
+    const center = new THREE.Vector2(edge.x + direction[0] * radius, edge.y + direction[1] * radius);
+    shapes = unionShapes([...shapes, circleShape(center, radius * 2)], curveSegments);
+    holes.push(circleShape(center, radius));
+  }
+
+  // Screw holes (and their countersinks' heads) keep a wall of half the
+  // screw's diameter to the plate's edge and the keyring hole: each moves
+  // to the closest spot that leaves one, and is left out if there's none
+  // or it would run into a hole placed before it
+  const countersinks = [];
+  const warnings = [];
+  if (screwDiameter > 0 && screwHoles > 0) {
+    const radius = screwDiameter / 2;
+    const clearance = (countersink ? radius * 2 : radius) + radius;
+    const inset = Math.max(screwDiameter * 1.5, kind === 'rectangle' ? cornerRadius * (1 - Math.SQRT1_2) + screwDiameter : 0);
+    const room = offsetShapes(subtractShapes(shapes, holes, curveSegments), -clearance, curveSegments);
+    const centers = [];
+    getScrewCenters(kind, shapes, screwHoles, inset, curveSegments).forEach(candidate => {
+      const center = closestPointIn(room, candidate, curveSegments);
+      if (center && centers.every(other => other.distanceTo(center) >= clearance * 2)) centers.push(center);
+    });
+    if (centers.length < screwHoles) {
+      warnings.push(`Only ${centers.length} of ${screwHoles} screw holes fit on the plate`);
+    }
+
+    centers.forEach(center => {
+      holes.push(circleShape(center, radius));
+      if (countersink) {
+        countersinks.push({
+          center,
+          radius,
+          depth: Math.min(radius, thickness * MAX_COUNTERSINK_DEPTH),
+          head: circleShape(center, radius * 2)
+        });
+      }
+    });
+  }
+
+  let pocket = null;
+  if (magnetDiameter > 0 && magnetDepth > 0) {
+    const center = shapesBox(shapes, curveSegments).getCenter(new THREE.Vector2());
+    pocket = {
+      shapes: [circleShape(center, magnetDiameter / 2)],
+      depth: Math.min(magnetDepth, thickness * (1 - MIN_POCKET_FLOOR))
+    };
+  }
+
+  return { shapes, holes, countersinks, pocket, warnings };
+}
+
+// Split stepped-solid regions ({ shapes, height, ... }) where the magnet
+// pocket reaches into them: the parts over the pocket start at its depth
+export function cutPocket(regions, pocket, curveSegments) {
+  if (!pocket) return regions;
+
+  return regions.flatMap(region => {
+    if (region.shapes.length === 0) return [region];
+    return [
+      { ...region, shapes: subtractShapes(region.shapes, pocket.shapes, curveSegments) },
+      { ...region, shapes: intersectShapes(region.shapes, pocket.shapes, curveSegments), base: pocket.depth }
+    ];
+  });
+}
+
+// Sink each countersink's cone into a stepped solid geometry built with the
+// plate's `thickness` as the height of its rings: the hole's rim comes down
+// by the countersink depth and the hole's wall shortens to match
+export function sinkCountersinks(geometry, countersinks, thickness) {
+  if (countersinks.length === 0) return;
+
+  const position = geometry.attributes.position;
+  countersinks.forEach(({ center, radius, depth }) => {
+    const reach = radius * (1 + 1e-3);
+    const factor = (thickness - depth) / thickness;
+    for (let i = 0; i < position.count; i++) {
+      const z = position.getZ(i);
+      if (z <= 0 || z > thickness * (1 + 1e-6)) continue;
+      if (Math.hypot(position.getX(i) - center.x, position.getY(i) - center.y) > reach) continue;
+      position.setZ(i, z * factor);
+    }
+  });
+  position.needsUpdate = true;
+  geometry.computeVertexNormals();
+}
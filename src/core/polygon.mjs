@@ -0,0 +1,320 @@
+/**
+ * 2D polygon booleans and stroke outlining on top of Clipper. Shapes go in
+ * and come out as THREE.Shape objects; the integer scaling Clipper needs
+ * stays in here.
+ */
+
+import * as THREE from 'three';
+import ClipperLib from 'clipper-lib';
+
+const { Clipper, ClipperOffset, ClipType, PolyType, PolyFillType, PolyTree, JoinType, EndType } = ClipperLib;
+
+const FILL_TYPES = {
+  nonzero: PolyFillType.pftNonZero,
+  evenodd: PolyFillType.pftEvenOdd
+};
+
+// SVG stroke-linejoin -> Clipper join. Clipper has no true bevel join; its
+// square join (cut off at the stroke's half width) is the closest match.
+const JOIN_TYPES = {
+  miter: JoinType.jtMiter,
+  'miter-clip': JoinType.jtMiter,
+  arcs: JoinType.jtRound,
+  round: JoinType.jtRound,
+  bevel: JoinType.jtSquare
+};
+
+const OFFSET_JOIN_TYPES = {
+  round: JoinType.jtRound,
+  miter: JoinType.jtMiter,
+  square: JoinType.jtSquare
+};
+
+// SVG stroke-linecap -> Clipper end type for open sub-paths
+const END_TYPES = {
+  butt: EndType.etOpenButt,
+  round: EndType.etOpenRound,
+  square: EndType.etOpenSquare
+};
+
+// Clipper works on integers: scale so the largest coordinate (plus any
+// offset `margin`) uses ~28 bits, leaving headroom below its fast 30-bit range
+function getScale(contours, margin = 0) {
+  let max = 0;
+  contours.forEach(points => points.forEach(p => {
+    max = Math.max(max, Math.abs(p.x), Math.abs(p.y));
+  }));
+  max += margin;
+  return max > 0 ? 2 ** 28 / max : 1;
+}
+
+function toClipperPaths(contours, scale) {
+  return contours.map(points => points.map(p => ({
+    X: Math.round(p.x * scale),
+    Y: Math.round(p.y * scale)
+  })));
+}
+
+// Back to float coordinates, dropping the near-duplicate and collinear
+// points Clipper leaves behind (within ~1e-6 of the extent, see getScale);
+// they triangulate into slivers
+function toVectors(path, scale) {
+  return Clipper.CleanPolygon(path, 2 ** 8).map(p => new THREE.Vector2(p.X / scale, p.Y / scale));
+}
+
+// Walk a PolyTree: every outer contour becomes a Shape with its direct
+// children as holes; islands inside holes become shapes of their own.
+// Contours that clean up to less than a triangle are dropped.
+function polyTreeToShapes(tree, scale) {
+  const shapes = [];
+
+  const addOuter = (node) => {
+    const outline = toVectors(node.Contour(), scale);
+    if (outline.length < 3) return;
+
+    const shape = new THREE.Shape(outline);
+    node.Childs().forEach(hole => {
+      const points = toVectors(hole.Contour(), scale);
+      if (points.length >= 3) shape.holes.push(new THREE.Path(points));
+      hole.Childs().forEach(addOuter);
+    });
+    shapes.push(shape);
+  };
+
+  tree.Childs().forEach(addOuter);
+  return shapes;
+}
+
+// Run a boolean over closed contours (arrays of Vector2) and return shapes
+function booleanToShapes(clipType, subject, clip, fillRule = 'nonzero') {
+  const scale = getScale(subject.concat(clip));
+  const fillType = FILL_TYPES[fillRule] ?? PolyFillType.pftNonZero;
+
+  const clipper = new Clipper();
+  clipper.AddPaths(toClipperPaths(subject, scale), PolyType.ptSubject, true);
+  if (clip.length > 0) {
+    clipper.AddPaths(toClipperPaths(clip, scale), PolyType.ptClip, true);
+  }
+
+  const tree = new PolyTree();
+  clipper.Execute(clipType, tree, fillType, fillType);
+  return polyTreeToShapes(tree, scale);
+}
+
+// Outer contours counter-clockwise and holes clockwise, so a nonzero
+// union of several shapes adds their areas and keeps their holes
+function shapesToContours(shapes, curveSegments) {
+  const contours = [];
+
+  shapes.forEach(shape => {
+    const { shape: outer, holes } = shape.extractPoints(curveSegments);
+    contours.push(THREE.ShapeUtils.isClockWise(outer) ? outer.slice().reverse() : outer);
+    holes.forEach(hole => {
+      contours.push(THREE.ShapeUtils.isClockWise(hole) ? hole : hole.slice().reverse());
+    });
+  });
+
+  return contours;
+}
+
+// Filled region of an SVGLoader ShapePath, resolving its sub-paths with the
+// path's fill-rule (evenodd/nonzero) into non-overlapping shapes with holes
+export function shapePathToShapes(shapePath, curveSegments) {
+  const contours = shapePath.subPaths
+    .map(subPath => subPath.getPoints(curveSegments))
+    .filter(points => points.length >= 3);
+  if (contours.length === 0) return [];
+
+  const fillRule = shapePath.userData?.style?.fillRule || 'nonzero';
+  return booleanToShapes(ClipType.ctUnion, contours, [], fillRule);
+}
+
+// Union of shapes (with holes) into non-intersecting shapes
+export function unionShapes(shapes, curveSegments) {
+  if (shapes.length === 0) return [];
+  return booleanToShapes(ClipType.ctUnion, shapesToContours(shapes, curveSegments), []);
+}
+
+// The parts of `shapes` inside `clipShapes`
+export function intersectShapes(shapes, clipShapes, curveSegments) {
+  if (shapes.length === 0 || clipShapes.length === 0) return [];
+  return booleanToShapes(
+    ClipType.ctIntersection,
+    shapesToContours(shapes, curveSegments),
+    shapesToContours(clipShapes, curveSegments)
+  );
+}
+
+// The parts of `shapes` outside `clipShapes`
+export function subtractShapes(shapes, clipShapes, curveSegments) {
+  if (shapes.length === 0) return [];
+  if (clipShapes.length === 0) return unionShapes(shapes, curveSegments);
+  return booleanToShapes(
+    ClipType.ctDifference,
+    shapesToContours(shapes, curveSegments),
+    shapesToContours(clipShapes, curveSegments)
+  );
+}
+
+// Shapes grown by `delta` (shrunk when negative), holes shrinking as the
+// outlines grow. Corners are `join` (one of OFFSET_JOINS): round ones get
+// about `curveSegments` points per quarter turn, miters are cut off past
+// SVG's default limit of 4 times the offset.
+export function offsetShapes(shapes, delta, curveSegments, join = 'round') {
+  const contours = shapesToContours(shapes, curveSegments);
+  if (contours.length === 0) return [];
+
+  const scale = getScale(contours, Math.abs(delta));
+  const steps = 4 * curveSegments;
+  const offset = new ClipperOffset(4, Math.abs(delta) * scale * (1 - Math.cos(Math.PI / steps)));
+  offset.AddPaths(toClipperPaths(contours, scale), OFFSET_JOIN_TYPES[join] ?? JoinType.jtRound, EndType.etClosedPolygon);
+
+  const tree = new PolyTree();
+  offset.Execute(tree, delta * scale);
+  return polyTreeToShapes(tree, scale);
+}
+
+// What stays visible of each list of shapes (given in paint order) once the
+// lists painted after it cover it up. All lists share one Clipper scale, so
+// the borders between neighbouring regions come out on the same points.
+export function visibleRegions(shapeLists, curveSegments) {
+  const pathLists = shapeLists.map(shapes => shapesToContours(shapes, curveSegments));
+  const scale = getScale(pathLists.flat());
+  const fillType = PolyFillType.pftNonZero;
+
+  const regions = new Array(pathLists.length);
+  let covered = [];
+  for (let i = pathLists.length - 1; i >= 0; i--) {
+    const paths = toClipperPaths(pathLists[i], scale);
+
+    const difference = new Clipper();
+    difference.AddPaths(paths, PolyType.ptSubject, true);
+    difference.AddPaths(covered, PolyType.ptClip, true);
+    const tree = new PolyTree();
+    difference.Execute(ClipType.ctDifference, tree, fillType, fillType);
+    regions[i] = polyTreeToShapes(tree, scale);
+
+    const union = new Clipper();
+    union.AddPaths(covered, PolyType.ptSubject, true);
+    union.AddPaths(paths, PolyType.ptClip, true);
+    const unioned = [];
+    union.Execute(ClipType.ctUnion, unioned, fillType, fillType);
+    covered = unioned;
+  }
+
+  return regions;
+}
+
+// Split a polyline into the "on" pieces of an SVG dash pattern. `dashes` is
+// already even-length; `dashOffset` shifts where the pattern starts.
+function dashPolyline(points, dashes, dashOffset) {
+  const period = dashes.reduce((sum, d) => sum + d, 0);
+  const pieces = [];
+
+  // Find where in the pattern the path starts
+  let dashIndex = 0;
+  let remaining = dashes[0];
+  let offset = ((dashOffset % period) + period) % period;
+  while (offset > 0) {
+    if (offset < remaining) {
+      remaining -= offset;
+      break;
+    }
+    offset -= remaining;
+    dashIndex = (dashIndex + 1) % dashes.length;
+    remaining = dashes[dashIndex];
+  }
+
+  let current = dashIndex % 2 === 0 ? [points[0].clone()] : null;
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1];
+    const end = points[i];
+    const length = start.distanceTo(end);
+    let travelled = 0;
+
+    while (length - travelled > remaining) {
+      travelled += remaining;
+      const point = start.clone().lerp(end, travelled / length);
+      if (current) {
+        current.push(point);
+        pieces.push(current);
+        current = null;
+      } else {
+        current = [point];
+      }
+      dashIndex = (dashIndex + 1) % dashes.length;
+      remaining = dashes[dashIndex];
+    }
+
+    remaining -= length - travelled;
+    if (current) current.push(end.clone());
+  }
+
+  if (current && current.length > 1) pieces.push(current);
+  return pieces;
+}
+
+// Elements whose outline is closed without a Z command
+const CLOSED_ELEMENTS = new Set(['rect', 'circle', 'ellipse', 'polygon']);
+
+// Outline of a stroked ShapePath as fillable shapes with holes, honoring
+// style.strokeWidth, strokeLineJoin, strokeLineCap and strokeMiterLimit.
+// `dashes` is the stroke-dasharray in path units (empty for a solid line).
+// Overlapping parts of the stroke are unioned, so the outline never
+// self-intersects. Round joins and caps get about `curveSegments` points
+// per quarter turn.
+export function strokeToShapes(shapePath, style, curveSegments, { dashes = [], dashOffset = 0 } = {}) {
+  const width = style.strokeWidth !== undefined ? parseFloat(style.strokeWidth) : 1;
+  if (!(width > 0)) return [];
+
+  const joinType = JOIN_TYPES[style.strokeLineJoin] ?? JoinType.jtMiter;
+  const endType = END_TYPES[style.strokeLineCap] ?? EndType.etOpenButt;
+  const miterLimit = parseFloat(style.strokeMiterLimit) || 4;
+
+  const pattern = dashes.length % 2 === 1 ? dashes.concat(dashes) : dashes;
+  const dashed = pattern.length > 0 &&
+    pattern.every(d => d >= 0) &&
+    pattern.some(d => d > 0);
+
+  // Sub-paths ended by Z (which SVGLoader records as autoClose) and the
+  // outlines of basic shapes are closed: they repeat their first point at the
+  // end, which is dropped, and are offset as closed lines unless dashing
+  // breaks them open. Other sub-paths get caps even where they end on their
+  // first point.
+  const closedElement = CLOSED_ELEMENTS.has(shapePath.userData?.node?.nodeName);
+  const closedLines = [];
+  const openLines = [];
+  shapePath.subPaths.forEach(subPath => {
+    const points = subPath.getPoints(curveSegments);
+    if (points.length === 0) return;
+
+    const closed = points.length > 2 && (subPath.autoClose || closedElement);
+    if (dashed) {
+      openLines.push(...dashPolyline(points, pattern, dashOffset));
+    } else if (closed) {
+      closedLines.push(points[0].equals(points[points.length - 1]) ? points.slice(0, -1) : points);
+    } else {
+      openLines.push(points);
+    }
+  });
+  if (closedLines.length === 0 && openLines.length === 0) return [];
+
+  const delta = width / 2;
+  const scale = getScale(closedLines.concat(openLines), delta);
+
+  // Clipper's miter limit is in multiples of the offset, which is the same
+  // ratio as SVG's miter length to stroke width
+  const steps = 4 * curveSegments;
+  const offset = new ClipperOffset(miterLimit, delta * scale * (1 - Math.cos(Math.PI / steps)));
+  if (closedLines.length > 0) {
+    offset.AddPaths(toClipperPaths(closedLines, scale), joinType, EndType.etClosedLine);
+  }
+  if (openLines.length > 0) {
+    offset.AddPaths(toClipperPaths(openLines, scale), joinType, endType);
+  }
+
+  const tree = new PolyTree();
+  offset.Execute(tree, delta * scale);
+  return polyTreeToShapes(tree, scale);
+}
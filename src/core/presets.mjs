@@ -0,0 +1,61 @@
+/**
+ * Named settings presets and the JSON file they are shared in:
+ *
+ *   { "format": "svg2gltf-presets", "version": 1,
+ *     "presets": { "keychain 3mm": { ...settings }, ... } }
+ *
+ * Loading goes through pickSettings, so files written by other versions
+ * lose unknown keys and fall back to defaults for missing and invalid ones.
+ */
+
+import { createSettings, pickSettings } from './settings.mjs';
+
+export const PRESET_FILE_FORMAT = 'svg2gltf-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Plain, complete copy of a settings object to store as a preset
+export function presetFromSettings(settings) {
+  return createSettings(pickSettings(settings));
+}
+
+// Presets map ({ name: settings }) -> JSON text
+export function serializePresets(presets) {
+  const file = {
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    presets: {}
+  };
+  Object.keys(presets).sort().forEach(name => {
+    file.presets[name] = presetFromSettings(presets[name]);
+  });
+  return JSON.stringify(file, null, 2);
+}
+
+// JSON text -> presets map. Throws on anything that isn't a preset file;
+// `warn` gets a message for every invalid setting left out of a preset.
+export function parsePresets(text, warn = () => {}) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+
+  if (!file || typeof file !== 'object' || (file.format && file.format !== PRESET_FILE_FORMAT)) {
+    throw new Error(`Not a ${PRESET_FILE_FORMAT} file`);
+  }
+  if (file.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset file version ${file.version} is newer than this app supports (${PRESET_FILE_VERSION})`);
+  }
+  if (!file.presets || typeof file.presets !== 'object' || Array.isArray(file.presets)) {
+    throw new Error('Preset file has no "presets" object');
+  }
+
+  const presets = {};
+  Object.entries(file.presets).forEach(([name, values]) => {
+    const trimmed = name.trim();
+    if (!trimmed || !values || typeof values !== 'object') return;
+    presets[trimmed] = createSettings(pickSettings(values, message => warn(`Preset "${trimmed}": ${message}`)));
+  });
+  return presets;
+}
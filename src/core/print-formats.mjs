@@ -0,0 +1,203 @@
+/**
+ * STL, OBJ and 3MF encoders for 3D printing. Slicers expect millimeters and
+ * Z up, so meshes are baked from the Y-up meter scene into that space first.
+ */
+
+import * as THREE from 'three';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { zipSync, strToU8 } from 'fflate';
+
+const METERS_TO_MM = 1000;
+
+// Swap two corners of every triangle to reverse its winding
+function flipWinding(geometry) {
+  if (geometry.index) {
+    const index = geometry.index.array;
+    for (let i = 0; i < index.length; i += 3) {
+      const tmp = index[i + 1];
+      index[i + 1] = index[i + 2];
+      index[i + 2] = tmp;
+    }
+    geometry.index.needsUpdate = true;
+    return;
+  }
+
+  const position = geometry.getAttribute('position');
+  for (let i = 0; i < position.count; i += 3) {
+    const x = position.getX(i + 1), y = position.getY(i + 1), z = position.getZ(i + 1);
+    position.setXYZ(i + 1, position.getX(i + 2), position.getY(i + 2), position.getZ(i + 2));
+    position.setXYZ(i + 2, x, y, z);
+  }
+  position.needsUpdate = true;
+}
+
+// Bake every visible mesh under `object` into millimeter, Z-up geometry with
+// identity transforms. Mirrored transforms (the SVG Y flip) turn triangles
+// inside out once baked, so their winding is flipped back to face outward.
+export function bakeForPrinting(object) {
+  object.updateWorldMatrix(true, true);
+
+  const parentInverse = object.parent
+    ? object.parent.matrixWorld.clone().invert()
+    : new THREE.Matrix4();
+  const toPrintSpace = new THREE.Matrix4()
+    .makeScale(METERS_TO_MM, METERS_TO_MM, METERS_TO_MM)
+    .multiply(new THREE.Matrix4().makeRotationX(Math.PI / 2)); // Y up -> Z up
+
+  const root = new THREE.Group();
+  root.name = object.name;
+
+  object.traverse((child) => {
+    if (!child.isMesh || !child.visible) return;
+
+    const matrix = toPrintSpace.clone()
+      .multiply(parentInverse)
+      .multiply(child.matrixWorld);
+
+    const geometry = child.geometry.clone();
+    geometry.applyMatrix4(matrix);
+    if (matrix.determinant() < 0) flipWinding(geometry);
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geometry, child.material);
+    mesh.name = child.name;
+    root.add(mesh);
+  });
+
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+function disposeBaked(root) {
+  root.traverse(child => child.geometry?.dispose());
+}
+
+export function encodeSTL(object, { binary = true } = {}) {
+  const baked = bakeForPrinting(object);
+  try {
+    const result = new STLExporter().parse(baked, { binary });
+    return binary ? result.buffer : result;
+  } finally {
+    disposeBaked(baked);
+  }
+}
+
+export function encodeOBJ(object) {
+  const baked = bakeForPrinting(object);
+  try {
+    return new OBJExporter().parse(baked);
+  } finally {
+    disposeBaked(baked);
+  }
+}
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+// 3MF package: one object per mesh, colored through a shared basematerials group
+export function encode3MF(object) {
+  const baked = bakeForPrinting(object);
+
+  try {
+    const materialIndices = new Map(); // material -> index in basematerials
+    const bases = [];
+    const objects = [];
+    let nextId = 2; // id 1 is the basematerials group
+
+    const getMaterialIndex = (material) => {
+      if (!materialIndices.has(material)) {
+        materialIndices.set(material, bases.length);
+        const hex = material.color ? material.color.getHexString().toUpperCase() : 'FFFFFF';
+        const alpha = material.transparent ? Math.round(material.opacity * 255) : 255;
+        const displayColor = `#${hex}${alpha.toString(16).padStart(2, '0').toUpperCase()}`;
+        bases.push(`      <base name="${escapeXML(material.name || `#${hex}`)}" displaycolor="${displayColor}"/>`);
+      }
+      return materialIndices.get(material);
+    };
+
+    baked.children.forEach((mesh) => {
+      // Meshes with a material per geometry group (the relief) color each
+      // triangle through its group
+      const multiMaterial = Array.isArray(mesh.material);
+      const materialIndexes = (multiMaterial ? mesh.material : [mesh.material]).map(getMaterialIndex);
+
+      const geometry = mesh.geometry.index ? mesh.geometry : mesh.geometry.toNonIndexed();
+      const position = geometry.getAttribute('position');
+      const index = geometry.index ? geometry.index.array : null;
+      const triangleCount = index ? index.length / 3 : position.count / 3;
+      if (triangleCount === 0) return;
+
+      const vertices = [];
+      for (let i = 0; i < position.count; i++) {
+        vertices.push(`          <vertex x="${position.getX(i)}" y="${position.getY(i)}" z="${position.getZ(i)}"/>`);
+      }
+
+      const triangles = [];
+      for (let i = 0; i < triangleCount; i++) {
+        const a = index ? index[i * 3] : i * 3;
+        const b = index ? index[i * 3 + 1] : i * 3 + 1;
+        const c = index ? index[i * 3 + 2] : i * 3 + 2;
+        const group = multiMaterial ? geometry.groups.find(g => i * 3 >= g.start && i * 3 < g.start + g.count) : null;
+        const property = group ? ` pid="1" p1="${materialIndexes[group.materialIndex] ?? materialIndexes[0]}"` : '';
+        triangles.push(`          <triangle v1="${a}" v2="${b}" v3="${c}"${property}/>`);
+      }
+
+      const id = nextId++;
+      objects.push({
+        id,
+        xml: [
+          `    <object id="${id}" type="model" name="${escapeXML(mesh.name)}" pid="1" pindex="${materialIndexes[0]}">`,
+          '      <mesh>',
+          '        <vertices>', ...vertices, '        </vertices>',
+          '        <triangles>', ...triangles, '        </triangles>',
+          '      </mesh>',
+          '    </object>'
+        ].join('\n')
+      });
+    });
+
+    const model = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+      `  <metadata name="Title">${escapeXML(object.name)}</metadata>`,
+      '  <metadata name="Application">SVG → GLTF</metadata>',
+      '  <resources>',
+      '    <basematerials id="1">',
+      ...bases,
+      '    </basematerials>',
+      ...objects.map(o => o.xml),
+      '  </resources>',
+      '  <build>',
+      ...objects.map(o => `    <item objectid="${o.id}"/>`),
+      '  </build>',
+      '</model>',
+      ''
+    ].join('\n');
+
+    const archive = zipSync({
+      '[Content_Types].xml': strToU8(CONTENT_TYPES_XML),
+      '_rels/.rels': strToU8(RELS_XML),
+      '3D/3dmodel.model': strToU8(model)
+    });
+    return archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.byteLength);
+  } finally {
+    disposeBaked(baked);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * The relief ramp: { color, height } stops that map a fill color to a height,
+ * by its luminance or by the nearest color along the ramp. Used by the
+ * relief build (see relief.mjs) and the ramp editor on the page.
+ */
+
+import * as THREE from 'three';
+
+// Heights in meters: dark paths stand tall, light ones stay low
+export const DEFAULT_RELIEF_RAMP = [
+  { color: '#000000', height: 0.01 },
+  { color: '#ffffff', height: 0.002 }
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Whether a value (e.g. from a preset file) is a usable ramp
+export function isValidReliefRamp(ramp) {
+  return Array.isArray(ramp) && ramp.length > 0 && ramp.every(stop =>
+    Boolean(stop) &&
+    typeof stop.color === 'string' && HEX_COLOR.test(stop.color) &&
+    Number.isFinite(stop.height) && stop.height >= 0
+  );
+}
+
+const toRGB = (color) => {
+  const { r, g, b } = new THREE.Color(color).getRGB(new THREE.Color(), THREE.SRGBColorSpace);
+  return [r, g, b];
+};
+
+// Luma of a color in 0..1 (Rec. 709 weights on sRGB values)
+export function getLuminance(color) {
+  const [r, g, b] = toRGB(color);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// The ramp's stops with a position in 0..1 along it, sorted by position.
+// By luminance a stop sits at its own luma; by color the stops are spread
+// evenly in the order given.
+export function getRampStops(mode, ramp) {
+  const stops = ramp.map((stop, i) => ({
+    color: stop.color,
+    height: stop.height,
+    rgb: toRGB(stop.color),
+    position: mode === 'luminance'
+      ? getLuminance(stop.color)
+      : i / Math.max(1, ramp.length - 1)
+  }));
+  return mode === 'luminance' ? stops.sort((a, b) => a.position - b.position) : stops;
+}
+
+// Where a color falls on the ramp: its luma, or by color the point of the
+// RGB polyline through the stops that's closest to it
+export function getRampPosition(stops, mode, color) {
+  if (mode === 'luminance' || stops.length === 1) {
+    return mode === 'luminance' ? getLuminance(color) : stops[0].position;
+  }
+
+  const rgb = toRGB(color);
+  let best = { distance: Infinity, position: 0 };
+  for (let i = 0; i < stops.length - 1; i++) {
+    const from = stops[i].rgb;
+    const to = stops[i + 1].rgb;
+    const direction = to.map((value, k) => value - from[k]);
+    const lengthSq = direction.reduce((sum, d) => sum + d * d, 0);
+    const t = lengthSq > 0
+      ? THREE.MathUtils.clamp(direction.reduce((sum, d, k) => sum + d * (rgb[k] - from[k]), 0) / lengthSq, 0, 1)
+      : 0;
+    const distance = rgb.reduce((sum, value, k) => sum + (value - from[k] - direction[k] * t) ** 2, 0);
+    if (distance < best.distance) {
+      best = { distance, position: THREE.MathUtils.lerp(stops[i].position, stops[i + 1].position, t) };
+    }
+  }
+  return best.position;
+}
+
+// Height at a position on the ramp, linear between stops and held beyond them
+export function getRampHeight(stops, position) {
+  if (position <= stops[0].position) return stops[0].height;
+
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    if (position <= to.position) {
+      const span = to.position - from.position;
+      return span > 0
+        ? THREE.MathUtils.lerp(from.height, to.height, (position - from.position) / span)
+        : to.height;
+    }
+  }
+  return stops[stops.length - 1].height;
+}
+
+// color -> height in meters for the relief settings
+export function createHeightMap(mode, ramp) {
+  const stops = getRampStops(mode, ramp);
+  return color => getRampHeight(stops, getRampPosition(stops, mode, color));
+}
@@ -0,0 +1,470 @@
+/**
+ * Relief mode: instead of one extrusion depth, every visible region of the
+ * drawing stands as tall as its fill color says through a ramp of
+ * { color, height } stops (see ramp.mjs), either by luminance or by the
+ * nearest color on the ramp. The regions become a single stepped solid, with
+ * walls shared between neighbours of different heights, so it stays manifold.
+ */
+
+import * as THREE from 'three';
+import { unionShapes, subtractShapes } from './polygon.mjs';
+
+// Points closer than this (relative to the drawing's size) are the same
+// point. Clipper output is already snapped to ~1e-6 of it (see polygon.mjs).
+const RELATIVE_TOLERANCE = 1e-5;
+
+// Radius of the bridges over pinch points (see findPinches), relative to
+// the drawing's size: wide enough that the borders leaving the pinch are
+// clearly apart where they cross the bridge's edge
+const RELATIVE_BRIDGE_RADIUS = 1e-3;
+
+// 2D points welded within a tolerance, with lookups through a uniform grid
+function createPointSet(tolerance, cellSize) {
+  const points = []; // [x, y]
+  const cells = new Map();
+  const cellOf = value => Math.floor(value / cellSize);
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+
+  // Ids of points inside the box, give or take a cell
+  const query = (minX, minY, maxX, maxY) => {
+    const ids = [];
+    for (let cx = cellOf(minX); cx <= cellOf(maxX); cx++) {
+      for (let cy = cellOf(minY); cy <= cellOf(maxY); cy++) {
+        const cell = cells.get(cellKey(cx, cy));
+        if (cell) ids.push(...cell);
+      }
+    }
+    return ids;
+  };
+
+  const add = (x, y) => {
+    const near = query(x - tolerance, y - tolerance, x + tolerance, y + tolerance)
+      .find(id => Math.hypot(points[id][0] - x, points[id][1] - y) <= tolerance);
+    if (near !== undefined) return near;
+
+    const key = cellKey(cellOf(x), cellOf(y));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(points.length);
+    points.push([x, y]);
+    return points.length - 1;
+  };
+
+  return { points, add, query };
+}
+
+const loopArea = (loop, points) => loop.reduce((sum, id, i) => {
+  const [x1, y1] = points[id];
+  const [x2, y2] = points[loop[(i + 1) % loop.length]];
+  return sum + x1 * y2 - x2 * y1;
+}, 0) / 2;
+
+// A shape's outline and holes as loops of point ids: welded, without
+// repeated points, outlines counter-clockwise and holes clockwise
+function shapeToLoops(shape, pointSet) {
+  const toLoop = (vectors, counterClockwise) => {
+    const loop = [];
+    vectors.forEach(({ x, y }) => {
+      const id = pointSet.add(x, y);
+      if (loop[loop.length - 1] !== id) loop.push(id);
+    });
+    while (loop.length > 1 && loop[0] === loop[loop.length - 1]) loop.pop();
+    if (loop.length < 3) return null;
+    return (loopArea(loop, pointSet.points) > 0) === counterClockwise ? loop : loop.reverse();
+  };
+
+  const outline = toLoop(shape.getPoints(), true);
+  if (!outline) return null;
+  return { outline, holes: shape.holes.map(hole => toLoop(hole.getPoints(), false)).filter(Boolean) };
+}
+
+// Add every point lying on an edge of the loop into that edge, so regions
+// whose borders were cut at different points still share the same edges
+function conformLoop(loop, pointSet, tolerance) {
+  const { points } = pointSet;
+  const result = [];
+
+  loop.forEach((a, i) => {
+    const b = loop[(i + 1) % loop.length];
+    const [ax, ay] = points[a];
+    const [bx, by] = points[b];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+
+    result.push(a);
+    if (lengthSq === 0) return;
+
+    const inserted = pointSet.query(
+      Math.min(ax, bx) - tolerance, Math.min(ay, by) - tolerance,
+      Math.max(ax, bx) + tolerance, Math.max(ay, by) + tolerance
+    ).map(id => {
+      const [px, py] = points[id];
+      const t = ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+      const distance = Math.abs((px - ax) * dy - (py - ay) * dx) / Math.sqrt(lengthSq);
+      return { id, t, distance };
+    }).filter(({ id, t, distance }) => id !== a && id !== b && t > 0 && t < 1 && distance <= tolerance);
+
+    inserted.sort((p, q) => p.t - q.t).forEach(({ id }) => {
+      if (result[result.length - 1] !== id) result.push(id);
+    });
+  });
+
+  return result;
+}
+
+// Drop the spikes (a, b, a) conforming leaves where a sliver narrower than
+// the tolerance collapses; null if nothing of the loop is left
+function removeSpikes(loop) {
+  const result = [];
+  loop.forEach(id => {
+    if (result[result.length - 1] === id) return;
+    if (result[result.length - 2] === id) {
+      result.pop();
+      return;
+    }
+    result.push(id);
+  });
+
+  // Same across the start of the loop
+  for (let changed = true; changed && result.length >= 3;) {
+    const last = result.length - 1;
+    changed = true;
+    if (result[0] === result[last]) {
+      result.pop();
+    } else if (result[0] === result[last - 1]) {
+      result.splice(last - 1, 2);
+    } else if (result[1] === result[last]) {
+      result.splice(0, 2);
+    } else {
+      changed = false;
+    }
+  }
+  return result.length >= 3 ? result : null;
+}
+
+// A loop that runs through one of its points twice, as Clipper leaves a
+// region pinched to a point, cut into the simple loops between the visits
+function splitLoop(loop) {
+  const pieces = [];
+  const path = [];
+  const at = new Map(); // point id -> index in path
+  loop.forEach(id => {
+    if (!at.has(id)) {
+      at.set(id, path.length);
+      path.push(id);
+      return;
+    }
+    const piece = path.splice(at.get(id) + 1);
+    piece.forEach(other => at.delete(other));
+    pieces.push([id, ...piece]);
+  });
+  pieces.push(path);
+  return pieces.filter(piece => piece.length >= 3);
+}
+
+function insideLoop([x, y], loop, points) {
+  let inside = false;
+  loop.forEach((a, i) => {
+    const [ax, ay] = points[a];
+    const [bx, by] = points[loop[(i + 1) % loop.length]];
+    if ((ay > y) !== (by > y) && x < ax + (y - ay) / (by - ay) * (bx - ax)) inside = !inside;
+  });
+  return inside;
+}
+
+// Polygons made of simple loops only, which earcut needs: pinched loops are
+// split, pieces winding like outlines become outlines of their own and the
+// others holes of the smallest outline around them
+function untanglePolygons(polygons, points) {
+  if (polygons.every(({ outline, holes }) => [outline, ...holes].every(loop => new Set(loop).size === loop.length))) {
+    return polygons;
+  }
+
+  const loops = polygons.flatMap(({ outline, holes }) => [outline, ...holes]).flatMap(splitLoop);
+  const outlines = loops.filter(loop => loopArea(loop, points) > 0).map(outline => ({ outline, holes: [] }));
+  loops.filter(loop => loopArea(loop, points) < 0).forEach(hole => {
+    const [ax, ay] = points[hole[0]];
+    const [bx, by] = points[hole[1]];
+    const probe = [(ax + bx) / 2, (ay + by) / 2];
+    const around = outlines
+      .filter(({ outline }) => insideLoop(probe, outline, points))
+      .sort((p, q) => loopArea(p.outline, points) - loopArea(q.outline, points))[0];
+    around?.holes.push(hole);
+  });
+  return outlines;
+}
+
+// Distance from p to the segment a-b, or Infinity past its ends
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : -1;
+  return t > 0 && t < 1 ? Math.abs((px - ax) * dy - (py - ay) * dx) / Math.sqrt(lengthSq) : Infinity;
+}
+
+// The loop without the points on straight runs between its corners
+function cornerPoints(loop, points, tolerance) {
+  const corners = [];
+  loop.forEach((id, i) => {
+    const previous = corners.length > 0 ? corners[corners.length - 1] : loop[loop.length - 1];
+    const next = loop[(i + 1) % loop.length];
+    if (distanceToSegment(points[id], points[previous], points[next]) > tolerance) corners.push(id);
+  });
+  return corners.length >= 3 ? corners : loop;
+}
+
+// Split triangles at every loop point (of `loopIds`) on one of their edges,
+// until none is left as a T-junction
+function splitAtLoopPoints(triangles, loopIds, pointSet, tolerance) {
+  const { points } = pointSet;
+  const result = [];
+  const queue = triangles.slice();
+
+  while (queue.length > 0) {
+    const triangle = queue.pop();
+    let split = null;
+    for (let k = 0; k < 3 && !split; k++) {
+      const a = triangle[k];
+      const b = triangle[(k + 1) % 3];
+      const [ax, ay] = points[a];
+      const [bx, by] = points[b];
+      const id = pointSet.query(
+        Math.min(ax, bx) - tolerance, Math.min(ay, by) - tolerance,
+        Math.max(ax, bx) + tolerance, Math.max(ay, by) + tolerance
+      ).find(id => id !== a && id !== b && loopIds.has(id) && distanceToSegment(points[id], points[a], points[b]) <= tolerance);
+      if (id !== undefined) split = { k, id };
+    }
+
+    if (!split) {
+      result.push(triangle);
+      continue;
+    }
+    const [a, b, c] = [0, 1, 2].map(j => triangle[(split.k + j) % 3]);
+    queue.push([a, split.id, c], [split.id, b, c]);
+  }
+
+  return result;
+}
+
+// Triangulate a polygon so that its triangles conform to every point of its
+// loops, which the walls and the neighbouring regions' faces share. Earcut
+// gets the corners only (points on straight runs turn into zero-area
+// slivers there); every loop point that then lies on a triangle's edge,
+// whether dropped from a straight run or a hole's corner that earcut ran a
+// diagonal past, splits that triangle.
+function triangulateLoops({ outline, holes }, pointSet, tolerance) {
+  const { points } = pointSet;
+  const loops = [outline, ...holes];
+  const [corners, ...holeCorners] = loops.map(loop => cornerPoints(loop, points, tolerance));
+  const ids = [corners, ...holeCorners].flat();
+  const toVectors = loop => loop.map(id => new THREE.Vector2(...points[id]));
+  const triangles = THREE.ShapeUtils.triangulateShape(toVectors(corners), holeCorners.map(toVectors))
+    .map(face => face.map(i => ids[i]));
+
+  return splitAtLoopPoints(triangles, new Set(loops.flat()), pointSet, tolerance);
+}
+
+// The regions' shapes as loops of welded point ids, per region. Every
+// region's points go in before any loop is conformed, so each border picks
+// up the corners its neighbours have on it and both sides of a border walk
+// the very same points.
+function weldRegions(solid, pointSet, tolerance) {
+  return solid
+    .map(({ shapes }) => shapes.map(shape => shapeToLoops(shape, pointSet)).filter(Boolean))
+    .map(regionLoops => regionLoops
+      .map(({ outline, holes }) => ({
+        outline: removeSpikes(conformLoop(outline, pointSet, tolerance)),
+        holes: holes.map(hole => removeSpikes(conformLoop(hole, pointSet, tolerance))).filter(Boolean)
+      }))
+      .filter(({ outline }) => outline))
+    .map(regionPolygons => untanglePolygons(regionPolygons, pointSet.points));
+}
+
+// Points where, between two levels, the solid around the point splits into
+// separate runs: regions touching only at a corner, or a curve touching a
+// border, with something lower (or nothing) between them. Their walls
+// would share one vertical edge four ways, which no welding makes
+// manifold. Returns { id, region } with the tallest region at each point.
+function findPinches(polygons, solid, levels, points) {
+  // Point id -> [{ neighbour, region, outgoing }] for every border edge at it
+  const edges = new Map();
+  const addEdge = (id, neighbour, region, outgoing) => {
+    if (!edges.has(id)) edges.set(id, []);
+    edges.get(id).push({ neighbour, region, outgoing });
+  };
+  polygons.forEach((regionPolygons, r) => regionPolygons.forEach(({ outline, holes }) => {
+    [outline, ...holes].forEach(loop => loop.forEach((a, i) => {
+      const b = loop[(i + 1) % loop.length];
+      addEdge(a, b, r, true);
+      addEdge(b, a, r, false);
+    }));
+  }));
+
+  const pinches = [];
+  edges.forEach((pointEdges, id) => {
+    const [px, py] = points[id];
+    const angle = n => Math.atan2(points[n][1] - py, points[n][0] - px);
+    const neighbours = [...new Set(pointEdges.map(edge => edge.neighbour))].sort((m, n) => angle(m) - angle(n));
+    if (neighbours.length < 4) return;
+
+    // Regions sit left of their border edges: counter-clockwise after an
+    // outgoing edge and clockwise before an incoming one
+    const sectors = neighbours.map((n, k) => {
+      const next = neighbours[(k + 1) % neighbours.length];
+      const edge = pointEdges.find(e => (e.outgoing && e.neighbour === n) || (!e.outgoing && e.neighbour === next));
+      return edge ? solid[edge.region] : null;
+    });
+
+    const pinched = levels.slice(1).some((top, l) => {
+      const bottom = levels[l];
+      const filled = sectors.map(region => Boolean(region) && region.base <= bottom && region.height >= top);
+      return filled.filter((isFilled, k) => isFilled && !filled[(k + filled.length - 1) % filled.length]).length > 1;
+    });
+    if (!pinched) return;
+
+    const tallest = sectors.reduce((best, region) => (region && (!best || region.height > best.height) ? region : best), null);
+    pinches.push({ id, region: solid.indexOf(tallest) });
+  });
+  return pinches;
+}
+
+// The regions with a small disc around each pinch point added to the
+// tallest region there and cut from the others, so the solid holds
+// together around the point instead of meeting along a single edge
+function bridgePinches(solid, pinches, points, radius) {
+  let result = solid;
+  pinches.forEach(({ id, region }) => {
+    const [x, y] = points[id];
+    const disc = new THREE.Shape();
+    disc.absarc(x, y, radius, 0, Math.PI * 2, false);
+    result = result.map((other, r) => ({
+      ...other,
+      shapes: r === region ? unionShapes([...other.shapes, disc], 2) : subtractShapes(other.shapes, [disc], 2)
+    }));
+  });
+  return result;
+}
+
+// One solid for the relief. `regions` are { shapes, height, base, group }:
+// the visible, non-overlapping parts of the drawing (see visibleRegions in
+// polygon.mjs) with their heights in SVG units. Every region gets a top
+// face at its height and a bottom at its base (0 if unset; raised for a
+// pocket in the back), and each border gets walls wherever one side stands
+// beyond the other, split at every height in between so the walls of
+// adjacent borders meet edge to edge. Triangles come out in geometry groups
+// by the regions' `group`.
+export function buildReliefGeometry(regions) {
+  const filled = regions.filter(region => region.shapes.length > 0);
+
+  const box = new THREE.Box2();
+  filled.forEach(({ shapes }) => shapes.forEach(shape => {
+    shape.getPoints().forEach(point => box.expandByPoint(point));
+  }));
+  if (box.isEmpty()) return null;
+
+  const size = box.getSize(new THREE.Vector2());
+  const extent = Math.max(size.x, size.y);
+  const tolerance = extent * RELATIVE_TOLERANCE;
+
+  // Heights within the tolerance of each other are one level, so rounding
+  // errors leave no walls or slabs without thickness
+  const levels = [0];
+  const toLevel = z => {
+    const level = levels.find(other => Math.abs(other - z) <= tolerance);
+    if (level !== undefined) return level;
+    levels.push(z);
+    return z;
+  };
+  let solid = filled
+    .map(region => ({ ...region, base: toLevel(region.base || 0), height: toLevel(region.height) }))
+    .filter(region => region.height > region.base);
+  if (solid.length === 0) return null;
+  levels.sort((a, b) => a - b);
+
+  const cellSize = extent / 64 + tolerance;
+  let pointSet = createPointSet(tolerance, cellSize);
+  let polygons = weldRegions(solid, pointSet, tolerance);
+
+  const pinches = findPinches(polygons, solid, levels, pointSet.points);
+  if (pinches.length > 0) {
+    solid = bridgePinches(solid, pinches, pointSet.points, extent * RELATIVE_BRIDGE_RADIUS);
+    pointSet = createPointSet(tolerance, cellSize);
+    polygons = weldRegions(solid, pointSet, tolerance);
+  }
+
+  // Which region each directed border edge belongs to
+  const edgeRegions = new Map();
+  polygons.forEach((regionPolygons, r) => regionPolygons.forEach(({ outline, holes }) => {
+    [outline, ...holes].forEach(loop => loop.forEach((a, i) => {
+      edgeRegions.set(`${a},${loop[(i + 1) % loop.length]}`, r);
+    }));
+  }));
+
+  // 3D vertices are 2D points at one of the levels
+  const positions = [];
+  const vertices = new Map();
+  const vertex = (id, z) => {
+    const key = `${id}|${z}`;
+    if (!vertices.has(key)) {
+      vertices.set(key, positions.length / 3);
+      positions.push(...pointSet.points[id], z);
+    }
+    return vertices.get(key);
+  };
+
+  const trianglesByGroup = new Map();
+  const addTriangle = (group, a, b, c) => {
+    if (a === b || b === c || c === a) return;
+    if (!trianglesByGroup.has(group)) trianglesByGroup.set(group, []);
+    trianglesByGroup.get(group).push(a, b, c);
+  };
+
+  polygons.forEach((regionPolygons, r) => {
+    const { height, base, group } = solid[r];
+
+    regionPolygons.forEach(polygon => {
+      // Top and bottom faces, facing up and down
+      triangulateLoops(polygon, pointSet, tolerance).forEach(triangle => {
+        const [a, b, c] = loopArea(triangle, pointSet.points) > 0 ? triangle : triangle.slice().reverse();
+        addTriangle(group, vertex(a, height), vertex(b, height), vertex(c, height));
+        addTriangle(group, vertex(c, base), vertex(b, base), vertex(a, base));
+      });
+
+      // Walls facing out of the region where it stands above or below the
+      // neighbour across each edge
+      const addWall = (a, b, bottom, top) => {
+        const steps = levels.filter(z => z >= bottom && z <= top);
+        for (let s = 0; s < steps.length - 1; s++) {
+          const [z0, z1] = [steps[s], steps[s + 1]];
+          addTriangle(group, vertex(a, z0), vertex(b, z0), vertex(b, z1));
+          addTriangle(group, vertex(a, z0), vertex(b, z1), vertex(a, z1));
+        }
+      };
+
+      [polygon.outline, ...polygon.holes].forEach(loop => loop.forEach((a, i) => {
+        const b = loop[(i + 1) % loop.length];
+        const neighbour = solid[edgeRegions.get(`${b},${a}`)];
+        if (!neighbour) {
+          addWall(a, b, base, height);
+          return;
+        }
+        if (neighbour.height < height) addWall(a, b, Math.max(base, neighbour.height), height);
+        if (neighbour.base > base) addWall(a, b, base, Math.min(height, neighbour.base));
+      }));
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+  const indices = [];
+  [...trianglesByGroup.keys()].sort((a, b) => a - b).forEach(group => {
+    const groupIndices = trianglesByGroup.get(group);
+    geometry.addGroup(indices.length, groupIndices.length, group);
+    groupIndices.forEach(index => indices.push(index));
+  });
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -0,0 +1,178 @@
+/**
+ * Revolve (lathe) mode: one SVG path is the half-profile of a solid of
+ * revolution (a vase, a bottle, a chess piece) and gets spun around an axis.
+ * Profiles are worked on in the axis frame, x being the distance from the
+ * axis and y the height along it.
+ */
+
+import * as THREE from 'three';
+import { shapePathToShapes, intersectShapes } from './polygon.mjs';
+
+// The axis to turn around in SVG coordinates, as { origin, direction } with
+// `direction` a unit vector pointing up the finished model. 'left' runs up
+// the profile's left edge, 'center' up the middle of the viewBox ([minX,
+// minY, width, height], or the profile's `bounds` without one) and 'guide'
+// along the line through the `guide` points.
+export function getRevolveAxis(axis, { bounds, viewBox = null, guide = null }) {
+  const up = new THREE.Vector2(0, -1);
+
+  if (axis === 'guide') {
+    if (!guide || guide.length < 2) throw new Error('Revolve axis: no guide line found');
+    const direction = guide[guide.length - 1].clone().sub(guide[0]);
+    if (direction.lengthSq() === 0) throw new Error('Revolve axis: the guide line has no length');
+
+    // A guide drawn downwards still means up the model
+    direction.normalize();
+    if (direction.y > 1e-9 || (Math.abs(direction.y) <= 1e-9 && direction.x < 0)) direction.negate();
+    return { origin: guide[0].clone(), direction };
+  }
+
+  if (axis === 'center') {
+    const x = viewBox ? viewBox[0] + viewBox[2] / 2 : (bounds.min.x + bounds.max.x) / 2;
+    return { origin: new THREE.Vector2(x, bounds.max.y), direction: up };
+  }
+
+  return { origin: new THREE.Vector2(bounds.min.x, bounds.max.y), direction: up };
+}
+
+// An SVG point in the frame of `axis`
+function toAxisFrame(point, { origin, direction }) {
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  return new THREE.Vector2(dy * direction.x - dx * direction.y, dx * direction.x + dy * direction.y);
+}
+
+function shapesArea(shapes, curveSegments) {
+  return shapes.reduce((sum, shape) => {
+    const { shape: outline, holes } = shape.extractPoints(curveSegments);
+    return holes.reduce(
+      (area, hole) => area - Math.abs(THREE.ShapeUtils.area(hole)),
+      sum + Math.abs(THREE.ShapeUtils.area(outline))
+    );
+  }, 0);
+}
+
+function mirrorShape(shape, curveSegments) {
+  const { shape: outline, holes } = shape.extractPoints(curveSegments);
+  const mirror = points => points.map(p => new THREE.Vector2(-p.x, p.y));
+  const mirrored = new THREE.Shape(mirror(outline));
+  mirrored.holes = holes.map(hole => new THREE.Path(mirror(hole)));
+  return mirrored;
+}
+
+// What to revolve of an SVGLoader ShapePath: shapes in the axis frame with
+// x >= 0. A filled path gives its filled region; sub-paths of an unfilled
+// one that don't close are closed along the axis, so a line drawn from the
+// base to the rim is enough. Of a profile crossing the axis, the side with
+// more area is kept, mirrored over if needed.
+export function getRevolveProfile(shapePath, axis, { filled, curveSegments }) {
+  const framed = new THREE.ShapePath();
+  framed.userData = shapePath.userData;
+
+  shapePath.subPaths.forEach(subPath => {
+    const points = subPath.getPoints(curveSegments).map(p => toAxisFrame(p, axis));
+    if (points.length < 2) return;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (!filled && !first.equals(last)) {
+      points.push(new THREE.Vector2(0, last.y), new THREE.Vector2(0, first.y));
+    }
+    framed.subPaths.push(new THREE.Path(points));
+  });
+
+  const shapes = shapePathToShapes(framed, curveSegments);
+  if (shapes.length === 0) return [];
+
+  // Half-planes either side of the axis, reaching past the whole profile
+  let extent = 0;
+  shapes.forEach(shape => shape.getPoints(curveSegments).forEach(p => {
+    extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+  }));
+  extent = extent * 2 + 1;
+  const halfPlane = sign => new THREE.Shape([
+    new THREE.Vector2(0, -extent),
+    new THREE.Vector2(sign * extent, -extent),
+    new THREE.Vector2(sign * extent, extent),
+    new THREE.Vector2(0, extent)
+  ]);
+
+  const right = intersectShapes(shapes, [halfPlane(1)], curveSegments);
+  const left = intersectShapes(shapes, [halfPlane(-1)], curveSegments);
+  return shapesArea(left, curveSegments) > shapesArea(right, curveSegments)
+    ? left.map(shape => mirrorShape(shape, curveSegments))
+    : right;
+}
+
+// Revolve a profile shape (axis frame, x >= 0) by `angle` radians around
+// +Z in `segments` steps: x becomes the radius and y the height. Less than
+// a full turn gets flat caps at both ends. Points on the axis leave
+// degenerate triangles for mergeExtrudedGeometries to remove. Returns a
+// non-indexed geometry with positions and normals.
+export function revolveShape(shape, { angle, segments, curveSegments }) {
+  const { shape: outline, holes } = shape.extractPoints(curveSegments);
+
+  // Outline counter-clockwise and holes clockwise, so the surface faces out
+  let contour = outline;
+  if (THREE.ShapeUtils.isClockWise(contour)) {
+    contour = contour.reverse();
+    holes.forEach((hole, h) => {
+      if (!THREE.ShapeUtils.isClockWise(hole)) holes[h] = hole.reverse();
+    });
+  }
+
+  // Triangulation drops duplicated end points from the contours, so it comes first
+  const faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+  const loops = [contour, ...holes];
+  const points = loops.flat();
+
+  const fullTurn = angle >= Math.PI * 2 - 1e-6;
+  const sweep = fullTurn ? Math.PI * 2 : angle;
+  const steps = Math.max(fullTurn ? 3 : 1, Math.round(segments));
+
+  // One column of the profile per step; a full turn reuses the first at the end
+  const columns = [];
+  for (let j = 0; j < (fullTurn ? steps : steps + 1); j++) {
+    const phi = sweep * j / steps;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    columns.push(points.map(p => [p.x * cos, p.x * sin, p.y]));
+  }
+  const column = j => columns[j % columns.length];
+
+  const positions = [];
+  const addTriangle = (a, b, c) => positions.push(...a, ...b, ...c);
+
+  // Surface swept by each profile edge
+  let loopStart = 0;
+  loops.forEach(loop => {
+    for (let i = 0; i < loop.length; i++) {
+      const k = loopStart + i;
+      const l = loopStart + (i + 1) % loop.length;
+      for (let j = 0; j < steps; j++) {
+        const a = column(j)[k];
+        const b = column(j)[l];
+        const c = column(j + 1)[l];
+        const d = column(j + 1)[k];
+        addTriangle(a, c, b);
+        addTriangle(a, d, c);
+      }
+    }
+    loopStart += loop.length;
+  });
+
+  // Caps: the profile itself at the start and end of the sweep
+  if (!fullTurn) {
+    const start = column(0);
+    const end = column(steps);
+    faces.forEach(([a, b, c]) => {
+      addTriangle(start[a], start[b], start[c]);
+      addTriangle(end[c], end[b], end[a]);
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -0,0 +1,182 @@
+/**
+ * Conversion settings shared by the web app and the CLI.
+ */
+
+import { isValidDepthRule } from './depth-rules.mjs';
+import { DEFAULT_BEVEL_CURVE, isValidBevelCurve } from './extrude.mjs';
+import { DEFAULT_RELIEF_RAMP, isValidReliefRamp } from './ramp.mjs';
+import { isValidLODLevel } from './lod.mjs';
+import { GENERATION_MODES, LAYER_MODES, BEVEL_PROFILES, BEVEL_SIDES, GRADIENT_MODES, RELIEF_MODES, REVOLVE_AXES, PLATE_SHAPES, KEYRING_POSITIONS, SCREW_HOLE_COUNTS, OFFSET_JOINS } from './modes.mjs';
+
+export const DEFAULT_SETTINGS = {
+  scaleMeters: 1,        // Target size in meters (longest dimension)
+  extrudeDepth: 0.05,    // Extrusion depth in meters (5cm default)
+  bevelThickness: 0,     // Bevel depth beyond each beveled face in meters (0 = no bevel)
+  bevelSize: 0,          // How far the bevel reaches out from the outline in meters (0 = same as thickness)
+  bevelSegments: 2,
+  bevelProfile: 'round', // One of BEVEL_PROFILES, see extrude.mjs
+  bevelCurve: [...DEFAULT_BEVEL_CURVE], // Custom profile curve control points
+  bevelSides: 'both',    // Bevel the 'front' face, the 'back' face or 'both'
+  curveSegments: 4,
+  simplifyTolerance: 0,
+  mergeDistance: 0.001,
+  meshColor: '#ff6b35',
+  overrideColor: false,  // Use meshColor for everything instead of SVG colors
+  preserveHierarchy: true, // One named node per SVG element (false = one mesh per color)
+  depthRules: [],        // Per-path depth/offset overrides, see depth-rules.mjs
+  stackLayers: false,    // Raise each later path in paint order to avoid z-fighting
+  layerStep: 0.001,      // Per-layer step in meters
+  layerMode: 'offset',   // 'offset' lifts the whole path, 'height' makes it taller
+  unionFills: false,     // Resolve fill-rules and union overlapping fills into manifold shapes
+  gradientMode: 'vertex', // Gradient/pattern fills as 'vertex' colors or a baked 'texture'
+  generationMode: 'extrude', // One of GENERATION_MODES
+  profilePath: '',       // Name of the path to revolve or sweep ('' = the first one that isn't the guide or spine)
+  revolveAxis: 'left',   // One of REVOLVE_AXES, see revolve.mjs
+  revolveGuide: '',      // Name of the guide line path ('' = one marked "axis"/"guide" or the first straight line)
+  revolveAngle: 360,     // Sweep angle in degrees
+  revolveSegments: 48,   // Steps around the sweep
+  spinePath: '',         // Name of the path to sweep along ('' = one marked "spine", else the last)
+  spineSvgText: '',      // Separate SVG file holding the spine ('' = the spine is in the converted SVG)
+  sweepTwist: 0,         // Turn of the section over the whole spine in degrees
+  sweepScaleStart: 1,    // Section scale at the start of the spine
+  sweepScaleEnd: 1,      // Section scale at the end of the spine
+  sweepSegments: 64,     // Steps along each spine curve, and along the whole spine when it twists or scales
+  reliefMode: 'off',     // 'luminance' or 'color' builds a relief with heights from reliefRamp
+  reliefRamp: DEFAULT_RELIEF_RAMP.map(stop => ({ ...stop })), // Relief { color, height } stops, heights in meters
+  plateShape: 'none',    // Backing plate under the artwork, one of PLATE_SHAPES, see plate.mjs
+  plateThickness: 0.003, // Plate thickness in meters; the artwork stands on top of it
+  plateMargin: 0.003,    // How far the plate reaches past the artwork in meters
+  plateCornerRadius: 0.003, // Corner radius of a rectangle plate in meters
+  keyringHole: 'none',   // Side of the plate with a keyring tab, one of KEYRING_POSITIONS
+  keyringDiameter: 0.005, // Keyring hole diameter in meters
+  screwHoles: 0,         // 0, 2 or 4 mounting holes through the plate
+  screwDiameter: 0.004,  // Screw hole diameter in meters
+  screwCountersink: true, // Countersink the screw holes from the front
+  magnetDiameter: 0,     // Magnet pocket in the plate's back in meters (0 = none)
+  magnetDepth: 0.002,    // Magnet pocket depth in meters
+  engrave: false,        // Cut the artwork into the plate instead of raising it
+  engraveDepth: 0.001,   // Engraving depth in meters (relief heights and depth rules win)
+  engraveMirror: false,  // Mirror the engraved artwork, for stamps and molds
+  contourOffset: 0,      // Grow (+) or shrink (-) every shape and hole by this many millimeters
+  contourJoin: 'round',  // Corners of offset contours, one of OFFSET_JOINS, see polygon.mjs
+  inlaySocket: false,    // Add a socket the drawn artwork fits into, beside the (offset) inlay
+  lodLevels: [],         // LOD1…LODn { simplifyTolerance, curveSegments, coverage }, see lod.mjs
+  wireframe: false,
+  highlightIssues: false // Draw mesh check problems over the preview
+};
+
+// Numeric settings that can't take any number: above `min` (or from it
+// without `exclusive`), up to `max`, and whole with `integer`
+export const SETTING_RANGES = {
+  scaleMeters: { min: 0, exclusive: true },
+  extrudeDepth: { min: 0, exclusive: true },
+  bevelThickness: { min: 0 },
+  bevelSize: { min: 0 },
+  bevelSegments: { min: 1, integer: true },
+  curveSegments: { min: 1, integer: true },
+  simplifyTolerance: { min: 0 },
+  mergeDistance: { min: 0 },
+  layerStep: { min: 0, exclusive: true },
+  revolveAngle: { min: 0, exclusive: true, max: 360 },
+  revolveSegments: { min: 3, integer: true },
+  sweepScaleStart: { min: 0, exclusive: true },
+  sweepScaleEnd: { min: 0, exclusive: true },
+  sweepSegments: { min: 1, integer: true },
+  plateThickness: { min: 0, exclusive: true },
+  plateMargin: { min: 0 },
+  plateCornerRadius: { min: 0 },
+  keyringDiameter: { min: 0, exclusive: true },
+  screwDiameter: { min: 0, exclusive: true },
+  magnetDiameter: { min: 0 },
+  magnetDepth: { min: 0, exclusive: true },
+  engraveDepth: { min: 0, exclusive: true }
+};
+
+// Settings that take one of a list of values
+export const SETTING_CHOICES = {
+  bevelProfile: BEVEL_PROFILES,
+  bevelSides: BEVEL_SIDES,
+  layerMode: LAYER_MODES,
+  gradientMode: GRADIENT_MODES,
+  generationMode: GENERATION_MODES,
+  revolveAxis: REVOLVE_AXES,
+  reliefMode: RELIEF_MODES,
+  plateShape: PLATE_SHAPES,
+  keyringHole: KEYRING_POSITIONS,
+  screwHoles: SCREW_HOLE_COUNTS,
+  contourJoin: OFFSET_JOINS
+};
+
+// Whether `value` is a finite number within the range of setting `key`
+// (see SETTING_RANGES; settings without one take any)
+export function isInSettingRange(key, value) {
+  const { min = -Infinity, exclusive = false, max = Infinity, integer = false } = SETTING_RANGES[key] || {};
+  return Number.isFinite(value) &&
+    (exclusive ? value > min : value >= min) && value <= max &&
+    (!integer || Number.isInteger(value));
+}
+
+// Fresh settings object with defaults filled in for anything not overridden
+export function createSettings(overrides = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  // Nested values are copied so settings objects never share them
+  settings.depthRules = settings.depthRules.map(rule => ({ ...rule }));
+  settings.bevelCurve = [...settings.bevelCurve];
+  settings.reliefRamp = settings.reliefRamp.map(stop => ({ ...stop }));
+  settings.lodLevels = settings.lodLevels.map(level => ({ ...level }));
+  return settings;
+}
+
+// Whether `value` is usable for setting `key`: of its default's type, in
+// its range or list of choices, and well-formed for the structured ones.
+// Depth rules and LOD levels are checked one by one (see pickSettings).
+function isValidSetting(key, value) {
+  const fallback = DEFAULT_SETTINGS[key];
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return false;
+    if (key === 'bevelCurve') return isValidBevelCurve(value);
+    if (key === 'reliefRamp') return isValidReliefRamp(value);
+    return true;
+  }
+  if (typeof value !== typeof fallback) return false;
+  if (key in SETTING_CHOICES) return SETTING_CHOICES[key].includes(value);
+  if (key === 'meshColor') return /^#[0-9a-f]{6}$/i.test(value);
+  return typeof value !== 'number' || isInSettingRange(key, value);
+}
+
+// The known, valid settings in `values`, for settings that come from
+// outside (preset files, localStorage). Missing and unknown keys are
+// skipped quietly; `warn` gets a message for every invalid value left out.
+export function pickSettings(values, warn = () => {}) {
+  const picked = {};
+  if (!values || typeof values !== 'object') return picked;
+
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    const value = values[key];
+    if (value === undefined) return;
+    if (isValidSetting(key, value)) {
+      picked[key] = value;
+    } else {
+      warn(`Ignoring invalid ${key}: ${JSON.stringify(value)}`);
+    }
+  });
+
+  if (picked.reliefRamp) {
+    picked.reliefRamp = picked.reliefRamp.map(stop => ({ color: stop.color, height: stop.height }));
+  }
+  if (picked.depthRules) {
+    const rules = picked.depthRules.filter(isValidDepthRule);
+    if (rules.length < picked.depthRules.length) {
+      warn(`Ignoring ${picked.depthRules.length - rules.length} invalid depth rule(s)`);
+    }
+    picked.depthRules = rules.map(rule => ({ match: rule.match, value: rule.value, depth: rule.depth, offset: rule.offset || 0 }));
+  }
+  if (picked.lodLevels) {
+    const levels = picked.lodLevels.filter(isValidLODLevel);
+    if (levels.length < picked.lodLevels.length) {
+      warn(`Ignoring ${picked.lodLevels.length - levels.length} invalid LOD level(s)`);
+    }
+    picked.lodLevels = levels.map(({ simplifyTolerance, curveSegments, coverage }) => ({ simplifyTolerance, curveSegments, coverage }));
+  }
+  return picked;
+}
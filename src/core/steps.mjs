@@ -0,0 +1,42 @@
+/**
+ * Long-running pipeline stages are written as generators that yield progress
+ * ({ phase, done, total }) between units of work. These drive them either in
+ * one go (CLI) or in time slices that hand the thread back to the event loop,
+ * so a worker can take new messages and cancel work that went stale.
+ */
+
+// Work this long before yielding to the event loop
+const SLICE_MS = 16;
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Run a step generator to completion and return its result
+export function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+// Run a step generator in time slices. `onProgress` gets the latest progress
+// at each slice boundary. Rejects with the signal's AbortError once aborted.
+export async function runStepsAsync(steps, { signal, onProgress } = {}) {
+  try {
+    signal?.throwIfAborted();
+    let sliceStart = performance.now();
+    let step = steps.next();
+    
+    while (!step.done) {
+      if (performance.now() - sliceStart > SLICE_MS) {
+        onProgress?.(step.value);
+        await yieldToEventLoop();
+        signal?.throwIfAborted();
+        sliceStart = performance.now();
+      }
+      step = steps.next();
+    }
+    return step.value;
+  } finally {
+    // Runs the generator's cleanup if it was abandoned midway
+    steps.return();
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Reading SVG presentation properties that SVGLoader doesn't parse itself
+ * (dash arrays, font properties...). CSS stylesheet rules are not applied.
+ */
+
+// A property set on `node` itself, from its inline style or presentation attribute
+export function getOwnStyle(node, name) {
+  const inline = node.style && node.style.getPropertyValue
+    ? node.style.getPropertyValue(name)
+    : '';
+  if (inline && inline !== 'inherit') return inline.trim();
+
+  const attribute = node.getAttribute(name);
+  if (attribute && attribute !== 'inherit') return attribute.trim();
+  return '';
+}
+
+// A property's value on `node` or, since these properties inherit, its
+// nearest ancestor that sets it
+export function getInheritedStyle(node, name) {
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    const value = getOwnStyle(current, name);
+    if (value) return value;
+  }
+  return '';
+}
+
+// An opacity value (number or percentage) clamped to 0-1; 1 if unset or invalid
+export function parseOpacity(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 1;
+  return Math.min(1, Math.max(0, value.trim().endsWith('%') ? number / 100 : number));
+}
+
+// Effective `opacity` of a node. Unlike the properties above it doesn't
+// inherit but compounds: every group fades everything inside it.
+export function getGroupOpacity(node) {
+  let opacity = 1;
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    opacity *= parseOpacity(getOwnStyle(current, 'opacity'));
+  }
+  return opacity;
+}
+
+// Declarations of a CSS block or style attribute, in order:
+// [{ name, value, important }]. Semicolons inside url(...) are kept.
+export function parseDeclarations(text) {
+  return text.split(/;(?![^(]*\))/).flatMap(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon < 0) return [];
+    
+    const name = declaration.slice(0, colon).trim().toLowerCase();
+    let value = declaration.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/!\s*important$/i, '').trim();
+    return name && value ? [{ name, value, important }] : [];
+  });
+}
+
+// Replace `node`'s style attribute with `declarations`; later ones win
+export function setInlineStyle(node, declarations) {
+  const values = new Map();
+  declarations.forEach(({ name, value }) => {
+    values.delete(name);
+    values.set(name, value);
+  });
+
+  if (values.size === 0) {
+    node.removeAttribute('style');
+  } else {
+    node.setAttribute('style', [...values].map(([name, value]) => `${name}: ${value}`).join('; '));
+  }
+}
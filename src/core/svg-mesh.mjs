@@ -0,0 +1,883 @@
+/**
+ * SVG → Three.js mesh conversion. Everything here takes its settings as an
+ * argument so the same pipeline runs in the browser and in the Node CLI.
+ */
+
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { simplifyShape, mergeExtrudedGeometries } from './geometry.mjs';
+import { extrudeShape, getBevelProfile } from './extrude.mjs';
+import { findDepthRule } from './depth-rules.mjs';
+import { shapePathToShapes, unionShapes, intersectShapes, offsetShapes, strokeToShapes, visibleRegions } from './polygon.mjs';
+import { buildReliefGeometry } from './relief.mjs';
+import { createHeightMap } from './ramp.mjs';
+import { createPlate, cutPocket, sinkCountersinks, mirrorShapes } from './plate.mjs';
+import { getRevolveAxis, getRevolveProfile, revolveShape } from './revolve.mjs';
+import { centerProfile, createSpine, foldsAlongSpine, sweepShape } from './sweep.mjs';
+import { runSteps, runStepsAsync } from './steps.mjs';
+import { getInheritedStyle, getGroupOpacity } from './style.mjs';
+import { needsNormalizing, normalizeSVG, restorePaints, extractClipRegions, getClipRegionIds } from './normalize.mjs';
+import { parsePaintServers, getPaintReference, getPaintFallback, createPaintSampler, applyVertexColors, bakePaintTexture } from './paint.mjs';
+
+// Gap between an inlay and its socket in meters
+const SOCKET_GAP = 0.005;
+
+// Parse SVG source. Features SVGLoader ignores or gets wrong (stylesheets,
+// <use>, <text>, clip paths, masks and url() paints) are first rewritten by
+// normalizeSVG, with `fonts` (from loadFont) used for text. svgData.warnings
+// lists anything that couldn't be converted faithfully, svgData.clipRegions
+// the clip shapes (see extractClipRegions) and svgData.paintServers the
+// gradients and patterns used as paints (see parsePaintServers).
+export function parseSVG(svgText, { fonts = [] } = {}) {
+  let source = svgText;
+  let warnings = [];
+  
+  if (needsNormalizing(svgText)) {
+    const document = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    warnings = normalizeSVG(document, { fonts });
+    source = typeof XMLSerializer !== 'undefined'
+      ? new XMLSerializer().serializeToString(document)
+      : String(document);
+  }
+  
+  const loader = new SVGLoader();
+  const svgData = loader.parse(source);
+  restorePaints(svgData.paths);
+  svgData.clipRegions = extractClipRegions(svgData);
+  
+  const { servers, warnings: paintWarnings } = parsePaintServers(svgData);
+  svgData.paintServers = servers;
+  svgData.warnings = [...warnings, ...paintWarnings];
+  return svgData;
+}
+
+// Resolve an SVG paint (fill/stroke) to a flat color. Gradients and patterns
+// that can't be sampled use their fallback color ("url(#g) red"), and
+// currentColor the mesh color, as does everything when the color override is on.
+function resolvePaintColor(paint, settings) {
+  const color = new THREE.Color(settings.meshColor);
+  if (settings.overrideColor) return color;
+  
+  const flatPaint = paint.startsWith('url(') ? getPaintFallback(paint) : paint;
+  if (!flatPaint || flatPaint === 'currentColor') return color;
+  color.setStyle(flatPaint);
+  return color;
+}
+
+// Alpha below which MASK materials (binary transparency) discard fragments
+const ALPHA_CUTOFF = 0.5;
+
+// Material parameters for a paint's opacity and the alpha mode of its sampled
+// colors (see paint.mjs). GLTFExporter writes transparent materials as BLEND
+// and alphaTest ones as MASK. Blended surfaces don't write depth, so they
+// don't hide what's behind them.
+function getAlphaParameters(opacity, alphaMode = 'OPAQUE') {
+  if (opacity < 1 || alphaMode === 'BLEND') return { opacity, transparent: true, depthWrite: false };
+  if (alphaMode === 'MASK') return { alphaTest: ALPHA_CUTOFF };
+  return {};
+}
+
+// Key and name for a flat paint: its hex color, plus alpha when translucent
+function getColorKey(color, opacity) {
+  const alpha = opacity < 1 ? Math.round(opacity * 255).toString(16).padStart(2, '0') : '';
+  return `${color.getHexString()}${alpha}`;
+}
+
+// stroke-dasharray and stroke-dashoffset aren't parsed by SVGLoader
+function getStrokeDashes(node) {
+  const dasharray = getInheritedStyle(node, 'stroke-dasharray');
+  const dashes = dasharray && dasharray !== 'none'
+    ? dasharray.split(/[\s,]+/).map(parseFloat).filter(Number.isFinite)
+    : [];
+  
+  return { dashes, dashOffset: parseFloat(getInheritedStyle(node, 'stroke-dashoffset')) || 0 };
+}
+
+// Name a glTF node after its SVG element's id, falling back to the tag name
+// plus a counter. Names are kept unique so engines can look parts up by name.
+function createNodeNamer() {
+  const usedNames = new Set();
+  const counters = {};
+  
+  return (element) => {
+    const id = element.getAttribute && element.getAttribute('id');
+    let name = id;
+    if (!name) {
+      counters[element.nodeName] = (counters[element.nodeName] || 0) + 1;
+      name = `${element.nodeName}_${counters[element.nodeName]}`;
+    }
+    
+    let uniqueName = name;
+    for (let i = 2; usedNames.has(uniqueName); i++) {
+      uniqueName = `${name}_${i}`;
+    }
+    usedNames.add(uniqueName);
+    return uniqueName;
+  };
+}
+
+// Preview-friendly standard material; `parameters` add color, maps and alpha
+function createMaterial(settings, name, parameters) {
+  return new THREE.MeshStandardMaterial({
+    name,
+    metalness: 0.1,
+    roughness: 0.6,
+    side: THREE.DoubleSide, // DoubleSide for preview (both faces visible)
+    wireframe: settings.wireframe,
+    ...parameters
+  });
+}
+
+// Materials by key from the `materials` cache, created on first use. Levels
+// of detail pass LOD0's cache so they render with the same instances.
+function createMaterialGetter(settings, materials) {
+  return (key, name, parameters) => {
+    if (!materials.has(key)) {
+      materials.set(key, createMaterial(settings, name, parameters));
+    }
+    return materials.get(key);
+  };
+}
+
+// Names for every path in svgData.paths (element id or tag name plus a
+// counter, as for glTF nodes), for picking paths by name in settings
+export function getPathNames(svgData) {
+  const nameNode = createNodeNamer();
+  return svgData.paths.map(path => nameNode(path.userData.node));
+}
+
+// Center the meshes' geometries around their combined bounding box, then
+// scale, flip and rotate the group so it lies on the ground plane, Z up
+// becoming Y up. Returns the vertex and triangle totals.
+function placeOnGround(group, meshes, scaleFactor) {
+  const box = new THREE.Box3();
+  meshes.forEach(({ geometry }) => {
+    geometry.computeBoundingBox();
+    box.union(geometry.boundingBox);
+  });
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  
+  let totalVertices = 0;
+  let totalTriangles = 0;
+  meshes.forEach(({ geometry }) => {
+    geometry.translate(-center.x, -center.y, -center.z);
+    totalVertices += geometry.attributes.position.count;
+    totalTriangles += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+  });
+  
+  // Scale to target size in meters
+  group.scale.setScalar(scaleFactor);
+  
+  // Flip Y axis (SVG coordinate system is inverted)
+  group.scale.y *= -1;
+  
+  // Rotate to lay flat on XZ plane (SVG extrudes along Z, we want it along Y)
+  group.rotation.x = -Math.PI / 2;
+  
+  // Rest the centered extrusion on the ground plane (now in actual meters)
+  group.position.y = (size.z * scaleFactor) / 2;
+  
+  return { totalVertices, totalTriangles };
+}
+
+// The root viewBox as [minX, minY, width, height], or the document size
+// when there's none; null without either. SVGLoader works in viewBox units.
+function getViewBox(root) {
+  if (!root?.getAttribute) return null;
+  
+  const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return viewBox;
+  }
+  
+  const width = parseFloat(root.getAttribute('width'));
+  const height = parseFloat(root.getAttribute('height'));
+  return width > 0 && height > 0 ? [0, 0, width, height] : null;
+}
+
+// What a conversion that produced nothing returns
+function createEmptyResult() {
+  return { group: new THREE.Group(), shapeCount: 0, totalVertices: 0, totalTriangles: 0, materialCount: 0, warnings: [] };
+}
+
+// Index of the path called `name` in `names` (from getPathNames); throws
+// naming the `role` the path was wanted for when there's none
+function findNamedPath(names, name, role) {
+  const index = names.indexOf(name);
+  if (index < 0) throw new Error(`${role}: no path named "${name}"`);
+  return index;
+}
+
+// Whether a path's element id or class contains `pattern`, marking its role
+function isMarkedPath(path, pattern) {
+  const node = path.userData.node;
+  return pattern.test(`${node.getAttribute('id') || ''} ${node.getAttribute('class') || ''}`);
+}
+
+// Revolve and sweep modes: one mesh from the geometries built for a profile
+// path, named after it and colored with its fill (or stroke). The scale
+// factor comes from the solid's own size.
+function createProfileSolid(svgData, settings, getMaterial, { geometries, profile, name, shapeCount, warnings = [] }) {
+  if (geometries.length === 0) return createEmptyResult();
+  
+  const box = new THREE.Box3();
+  geometries.forEach(geometry => {
+    geometry.computeBoundingBox();
+    box.union(geometry.boundingBox);
+  });
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const scaleFactor = maxDim > 0 ? settings.scaleMeters / maxDim : 1;
+  
+  const geometry = mergeExtrudedGeometries(geometries, settings.mergeDistance / scaleFactor);
+  geometries.forEach(g => g.dispose());
+  if (!geometry) return createEmptyResult();
+  
+  const { fill, stroke } = profile.userData.style;
+  const paint = fill && fill !== 'none' ? fill : stroke || '';
+  const color = resolvePaintColor(paint === 'none' ? '' : paint, settings);
+  const key = getColorKey(color, 1);
+  const mesh = new THREE.Mesh(geometry, getMaterial(key, `#${key}`, { color }));
+  mesh.name = name;
+  
+  const group = new THREE.Group();
+  group.name = svgData.xml?.getAttribute?.('id') || 'svg';
+  group.add(mesh);
+  return { group, shapeCount, ...placeOnGround(group, [mesh], scaleFactor), materialCount: 1, warnings };
+}
+
+// Revolve mode: one path (settings.profilePath, or the first that isn't the
+// guide) spun around an axis into a single mesh (see revolve.mjs). With a
+// guide axis the line is settings.revolveGuide, else a path whose id or
+// class says "axis" or "guide", else the first straight line.
+function* revolveSteps(svgData, settings, getMaterial) {
+  const paths = svgData.paths;
+  const names = getPathNames(svgData);
+  yield { phase: 'outline', done: 0, total: 1 };
+  
+  let guideIndex = -1;
+  if (settings.revolveAxis === 'guide') {
+    const isStraight = (path, index) => names[index] !== settings.profilePath &&
+      path.subPaths.length === 1 &&
+      path.subPaths[0].getPoints(settings.curveSegments).length === 2;
+    
+    guideIndex = settings.revolveGuide
+      ? findNamedPath(names, settings.revolveGuide, 'Revolve guide')
+      : paths.findIndex(path => isMarkedPath(path, /axis|guide/i));
+    if (guideIndex < 0) guideIndex = paths.findIndex(isStraight);
+  }
+  
+  const profileIndex = settings.profilePath
+    ? findNamedPath(names, settings.profilePath, 'Revolve profile')
+    : paths.findIndex((path, index) => index !== guideIndex);
+  if (profileIndex < 0) return createEmptyResult();
+  
+  const profile = paths[profileIndex];
+  const style = profile.userData.style;
+  const hasFill = style.fill && style.fill !== 'none' && style.fill !== '';
+  const points = profile.subPaths.flatMap(subPath => subPath.getPoints(settings.curveSegments));
+  if (points.length < 2) return createEmptyResult();
+  
+  const axis = getRevolveAxis(settings.revolveAxis, {
+    bounds: new THREE.Box2().setFromPoints(points),
+    viewBox: getViewBox(svgData.xml),
+    guide: guideIndex >= 0 ? paths[guideIndex].subPaths[0].getPoints(settings.curveSegments) : null
+  });
+  
+  let shapes = getRevolveProfile(profile, axis, { filled: hasFill, curveSegments: settings.curveSegments });
+  if (settings.simplifyTolerance > 0) {
+    shapes = shapes.map(shape => simplifyShape(shape, settings.simplifyTolerance, settings.curveSegments));
+  }
+  
+  const geometries = [];
+  for (const [shapeIndex, shape] of shapes.entries()) {
+    yield { phase: 'revolve', done: shapeIndex, total: shapes.length };
+    geometries.push(revolveShape(shape, {
+      angle: THREE.MathUtils.degToRad(settings.revolveAngle),
+      segments: settings.revolveSegments,
+      curveSegments: settings.curveSegments
+    }));
+  }
+  
+  return createProfileSolid(svgData, settings, getMaterial, { geometries, profile, name: names[profileIndex], shapeCount: shapes.length });
+}
+
+// Sweep mode: the region of one path (settings.profilePath, or the first
+// filled one that isn't the spine) carried along another (see sweep.mjs).
+// The spine is settings.spinePath in settings.spineSvgText, or in the
+// converted SVG when that's empty; unnamed, it's a path whose id or class
+// says "spine", else the last path that isn't the profile.
+function* sweepSteps(svgData, settings, getMaterial) {
+  const paths = svgData.paths;
+  const names = getPathNames(svgData);
+  yield { phase: 'outline', done: 0, total: 1 };
+  
+  const spineData = settings.spineSvgText ? parseSVG(settings.spineSvgText) : svgData;
+  const spineNames = spineData === svgData ? names : getPathNames(spineData);
+  
+  const namedSpine = settings.spinePath
+    ? findNamedPath(spineNames, settings.spinePath, 'Sweep spine')
+    : spineData.paths.findIndex(path => isMarkedPath(path, /spine/i));
+  const isSpine = (index) => spineData === svgData && index === namedSpine;
+  
+  // A stroke-only path has no region to sweep, only its centerline
+  const isFilled = ({ userData: { style } }) => Boolean(style.fill) && style.fill !== 'none';
+  const profileIndex = settings.profilePath
+    ? findNamedPath(names, settings.profilePath, 'Sweep profile')
+    : paths.findIndex((path, index) => !isSpine(index) && isFilled(path));
+  if (profileIndex < 0) throw new Error('Sweep profile: no filled path to sweep; pick a closed, filled path as the profile');
+  
+  const spineIndex = namedSpine >= 0
+    ? namedSpine
+    : spineData.paths.findLastIndex((path, index) => spineData !== svgData || index !== profileIndex);
+  if (spineIndex < 0) throw new Error('Sweep spine: no path to sweep along');
+  
+  // The spine's curves get their own resolution: its path decides the shape
+  const spinePoints = spineData.paths[spineIndex].subPaths
+    .map(subPath => subPath.getPoints(Math.max(settings.curveSegments, settings.sweepSegments)))
+    .find(points => points.length >= 2);
+  const varies = settings.sweepTwist !== 0 || settings.sweepScaleStart !== settings.sweepScaleEnd;
+  const spine = spinePoints && createSpine(spinePoints, varies ? settings.sweepSegments : 1);
+  if (!spine) throw new Error(`Sweep spine: "${spineNames[spineIndex]}" has no length`);
+  
+  const profile = paths[profileIndex];
+  let shapes = shapePathToShapes(profile, settings.curveSegments);
+  if (settings.simplifyTolerance > 0) {
+    shapes = shapes.map(shape => simplifyShape(shape, settings.simplifyTolerance, settings.curveSegments));
+  }
+  shapes = centerProfile(shapes, settings.curveSegments);
+  
+  const geometries = [];
+  for (const [shapeIndex, shape] of shapes.entries()) {
+    yield { phase: 'sweep', done: shapeIndex, total: shapes.length };
+    geometries.push(sweepShape(shape, spine, {
+      twist: THREE.MathUtils.degToRad(settings.sweepTwist),
+      scaleStart: settings.sweepScaleStart,
+      scaleEnd: settings.sweepScaleEnd,
+      curveSegments: settings.curveSegments
+    }));
+  }
+  
+  // How far the sections reach across the spine; twisted ones turn every
+  // point of the profile across it at some point
+  const reach = Math.max(settings.sweepScaleStart, settings.sweepScaleEnd) * Math.max(0, ...shapes.flatMap(shape => {
+    const { shape: outline } = shape.extractPoints(settings.curveSegments);
+    return outline.map(p => (settings.sweepTwist !== 0 ? p.length() : Math.abs(p.x)));
+  }));
+  const warnings = foldsAlongSpine(spine, reach)
+    ? [`Sweep profile "${names[profileIndex]}" is wider than the spine's tightest bend, so the solid folds through itself`]
+    : [];
+  
+  return createProfileSolid(svgData, settings, getMaterial, { geometries, profile, name: names[profileIndex], shapeCount: shapes.length, warnings });
+}
+
+// Layers stacked by height overlap where later paints cover earlier ones,
+// so they're built as one stepped solid of what each paint leaves visible
+function isStackedByHeight(settings) {
+  return settings.stackLayers && settings.layerMode === 'height' && settings.reliefMode === 'off' && !settings.engrave;
+}
+
+// Relief mode, backing plates, engraving and layers stacked by height
+// replace the extrusions with one stepped solid (see relief.mjs). In relief
+// mode regions stand as tall as their SVG colors map to, otherwise
+// extrudeDepth tall, plus a layer step per paint below them when stacked.
+// Engraving cuts them into the plate instead (a rectangle unless another
+// shape is chosen), engraveDepth deep outside relief mode. A matching depth
+// rule sets a paint's height instead; offsets and bevels don't apply, and
+// paints count as opaque. `warn` gets what the plate had to leave out.
+function createSteppedMesh(elements, settings, scaleFactor, getMaterial, warn) {
+  const relief = settings.reliefMode !== 'off';
+  const engrave = settings.engrave;
+  const layerStep = isStackedByHeight(settings) ? settings.layerStep : 0;
+  const paints = elements.flatMap(({ node, fillShapes, fillPaint, strokeShapes, strokePaint }) => [
+    { node, shapes: fillShapes, paint: fillPaint },
+    { node, shapes: strokeShapes, paint: strokePaint }
+  ]).filter(({ shapes }) => shapes.length > 0);
+  if (engrave && settings.engraveMirror) {
+    paints.forEach(paint => {
+      paint.shapes = mirrorShapes(paint.shapes, settings.curveSegments);
+    });
+  }
+  
+  const plate = createPlate(paints.flatMap(({ shapes }) => shapes), {
+    shape: engrave && settings.plateShape === 'none' ? 'rectangle' : settings.plateShape,
+    thickness: settings.plateThickness / scaleFactor,
+    margin: settings.plateMargin / scaleFactor,
+    cornerRadius: settings.plateCornerRadius / scaleFactor,
+    keyring: settings.keyringHole,
+    keyringDiameter: settings.keyringDiameter / scaleFactor,
+    screwHoles: settings.screwHoles,
+    screwDiameter: settings.screwDiameter / scaleFactor,
+    countersink: settings.screwCountersink,
+    magnetDiameter: settings.magnetDiameter / scaleFactor,
+    magnetDepth: settings.magnetDepth / scaleFactor,
+    curveSegments: settings.curveSegments
+  });
+  
+  if (!relief && !plate && layerStep === 0) return null;
+  plate?.warnings.forEach(warn);
+  
+  const getHeight = relief
+    ? createHeightMap(settings.reliefMode, settings.reliefRamp)
+    : () => (engrave ? settings.engraveDepth : settings.extrudeDepth);
+  
+  // One geometry group per material, in the order they're first needed
+  const groupMaterials = [];
+  const getGroup = (color) => {
+    const key = getColorKey(color, 1);
+    const material = getMaterial(key, `#${key}`, { color });
+    if (!groupMaterials.includes(material)) groupMaterials.push(material);
+    return groupMaterials.indexOf(material);
+  };
+  
+  // The artwork stands on the plate, or sinks into it down to the floor of
+  // each cut (all the way through if it's deeper than the plate).
+  // Countersinks are plate around the screw holes, and the holes (the last
+  // list) cut through everything.
+  const plateThickness = plate ? settings.plateThickness / scaleFactor : 0;
+  const plateRegion = shapes => ({ shapes, height: plateThickness, group: getGroup(new THREE.Color(settings.meshColor)) });
+  const shapeLists = [
+    plate ? plate.shapes : [],
+    ...paints.map(({ shapes }) => shapes),
+    plate ? plate.countersinks.map(({ head }) => head) : [],
+    plate ? plate.holes : []
+  ];
+  const regionShapes = visibleRegions(shapeLists, settings.curveSegments).slice(0, -1);
+  
+  const paintRegions = paints.map(({ node, paint }, i) => {
+    const shapes = regionShapes[i + 1];
+    const rule = findDepthRule(settings.depthRules, node, paint);
+    const height = (rule && rule.depth > 0
+      ? rule.depth
+      : getHeight(resolvePaintColor(paint, { ...settings, overrideColor: false }))) + layerStep * i;
+    if (!(height > 0) || shapes.length === 0) {
+      return plate ? plateRegion(shapes) : { shapes: [], height: 0, group: -1 };
+    }
+    return {
+      shapes,
+      height: engrave ? plateThickness - height / scaleFactor : plateThickness + height / scaleFactor,
+      group: getGroup(resolvePaintColor(paint, settings))
+    };
+  });
+  const regions = plate
+    ? cutPocket([plateRegion(regionShapes[0]), ...paintRegions, plateRegion(regionShapes[regionShapes.length - 1])], plate.pocket, settings.curveSegments)
+    : paintRegions;
+  
+  const geometry = buildReliefGeometry(regions);
+  if (!geometry) return null;
+  if (plate) sinkCountersinks(geometry, plate.countersinks, plateThickness);
+  
+  const mesh = new THREE.Mesh(geometry, groupMaterials);
+  mesh.name = relief ? 'relief' : engrave ? 'engraving' : plate ? 'plate' : 'layers';
+  return mesh;
+}
+
+// The conversion itself, as a step generator (see steps.mjs) that yields
+// { phase, done, total } after each path, element, union layer and mesh and
+// returns { group, shapeCount, totalVertices, totalTriangles, materialCount,
+// warnings }. New materials go into the `materials` cache.
+function* meshSteps(svgData, settings, materials) {
+  // Materials are shared between all meshes of the same color and opacity and
+  // between vertex-colored meshes with the same alpha; every baked paint
+  // texture gets its own
+  const getMaterial = createMaterialGetter(settings, materials);
+  if (settings.generationMode === 'revolve') return yield* revolveSteps(svgData, settings, getMaterial);
+  if (settings.generationMode === 'sweep') return yield* sweepSteps(svgData, settings, getMaterial);
+  
+  const paths = svgData.paths;
+  const elements = []; // { node, outline: [path], fillShapes, fillPaint, fillOpacity, strokeShapes, strokePaint, strokeOpacity }
+  
+  let shapeCount = 0;
+  
+  // Clip regions as shapes, built the first time an element needs them
+  const clipShapes = new Map();
+  const getClipShapes = (id) => {
+    if (!clipShapes.has(id)) {
+      const regionPaths = svgData.clipRegions?.get(id) || [];
+      const shapes = regionPaths.flatMap(path => shapePathToShapes(path, settings.curveSegments));
+      clipShapes.set(id, unionShapes(shapes, settings.curveSegments));
+    }
+    return clipShapes.get(id);
+  };
+  
+  // Clip to every region on the element and its ancestors, then simplify
+  // if tolerance is set
+  const finishShapes = (rawShapes, clipIds) => {
+    let shapes = rawShapes;
+    clipIds.forEach(id => {
+      shapes = intersectShapes(shapes, getClipShapes(id), settings.curveSegments);
+    });
+    
+    shapeCount += shapes.length;
+    return settings.simplifyTolerance > 0
+      ? shapes.map(shape => simplifyShape(shape, settings.simplifyTolerance, settings.curveSegments))
+      : shapes;
+  };
+  
+  // First pass: collect all shapes and stroke geometries per SVG element
+  for (const [pathIndex, path] of paths.entries()) {
+    yield { phase: 'outline', done: pathIndex, total: paths.length };
+    
+    // SVGLoader inherits `opacity` like any property; it actually compounds
+    // through groups. Fully transparent paints are skipped like 'none'.
+    const style = path.userData.style;
+    const opacity = getGroupOpacity(path.userData.node);
+    const fillOpacity = opacity * style.fillOpacity;
+    const strokeOpacity = opacity * style.strokeOpacity;
+    const hasFill = style.fill && style.fill !== 'none' && style.fill !== '' && fillOpacity > 0;
+    const hasStroke = style.stroke && style.stroke !== 'none' && style.stroke !== '' && strokeOpacity > 0;
+    const clipIds = getClipRegionIds(path.userData.node);
+    
+    const element = {
+      node: path.userData.node,
+      outline: path.subPaths,
+      fillShapes: [],
+      fillPaint: style.fill,
+      fillOpacity,
+      strokeShapes: [],
+      strokePaint: style.stroke,
+      strokeOpacity
+    };
+    
+    // Handle filled paths. With union on, sub-paths are resolved by polygon
+    // booleans using the path's fill-rule so the shapes never self-overlap.
+    if (hasFill) {
+      const shapes = settings.unionFills
+        ? shapePathToShapes(path, settings.curveSegments)
+        : SVGLoader.createShapes(path);
+      
+      element.fillShapes = finishShapes(shapes, clipIds);
+    }
+    
+    // Handle stroked paths: outline the stroke (joins, caps, dashes) into
+    // shapes that extrude exactly like fills
+    if (hasStroke) {
+      const strokeShapes = strokeToShapes(path, style, settings.curveSegments, getStrokeDashes(path.userData.node));
+      element.strokeShapes = finishShapes(strokeShapes, clipIds);
+    }
+    
+    if (element.fillShapes.length > 0 || element.strokeShapes.length > 0) {
+      elements.push(element);
+    }
+  }
+  
+  const emptyResult = createEmptyResult();
+  
+  if (elements.length === 0) {
+    return emptyResult;
+  }
+  
+  // Compute 2D bounding box from fill and stroke shapes
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  
+  elements.forEach(({ fillShapes, strokeShapes }) => {
+    fillShapes.concat(strokeShapes).forEach(shape => {
+      const points = shape.getPoints(settings.curveSegments);
+      points.forEach(p => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y);
+        maxY = Math.max(maxY, p.y);
+      });
+    });
+  });
+  
+  const svgWidth = maxX - minX;
+  const svgHeight = maxY - minY;
+  const maxSvgDim = Math.max(svgWidth, svgHeight);
+  
+  // Calculate scale factor: SVG units -> meters
+  const scaleFactor = maxSvgDim > 0 ? settings.scaleMeters / maxSvgDim : 1;
+  
+  // Scale bevel from meters to SVG units
+  // So that after final scaling, it becomes the desired meters.
+  // A bevel size of 0 follows the thickness.
+  const bevelThickness = settings.bevelThickness / scaleFactor;
+  const bevel = bevelThickness > 0 ? {
+    thickness: bevelThickness,
+    size: (settings.bevelSize > 0 ? settings.bevelSize : settings.bevelThickness) / scaleFactor,
+    profile: getBevelProfile(settings.bevelProfile, settings.bevelSegments, settings.bevelCurve),
+    front: settings.bevelSides !== 'back',
+    back: settings.bevelSides !== 'front'
+  } : null;
+  
+  const group = new THREE.Group();
+  group.name = svgData.xml?.getAttribute?.('id') || 'svg';
+  
+  // What the build had to leave out (see createPlate), once each
+  const warnings = new Set();
+  const warn = (message) => warnings.add(message);
+  
+  // Contour offset: every shape and hole grows (or shrinks) by contourOffset
+  // millimeters. An inlay's socket is cut for the artwork as drawn.
+  const drawnElements = elements.map(element => ({ ...element }));
+  if (settings.contourOffset !== 0) {
+    const delta = settings.contourOffset / 1000 / scaleFactor;
+    elements.forEach(element => {
+      element.fillShapes = offsetShapes(element.fillShapes, delta, settings.curveSegments, settings.contourJoin);
+      element.strokeShapes = offsetShapes(element.strokeShapes, delta, settings.curveSegments, settings.contourJoin);
+    });
+  }
+  
+  // The result for the finished meshes, with the inlay's socket beside them:
+  // the drawn artwork engraved as deep as the inlay is tall into a plate
+  // that much thicker
+  const finish = (meshes) => {
+    if (meshes.length === 0) return emptyResult;
+    
+    const socket = settings.inlaySocket && createSteppedMesh(drawnElements, {
+      ...settings,
+      reliefMode: 'off',
+      depthRules: [],
+      engrave: true,
+      engraveDepth: settings.extrudeDepth,
+      engraveMirror: false,
+      plateThickness: settings.plateThickness + settings.extrudeDepth
+    }, scaleFactor, getMaterial, warn);
+    if (socket) {
+      const box = new THREE.Box3();
+      meshes.forEach(({ geometry }) => {
+        geometry.computeBoundingBox();
+        box.union(geometry.boundingBox);
+      });
+      socket.geometry.computeBoundingBox();
+      const socketBox = socket.geometry.boundingBox;
+      socket.geometry.translate(
+        box.max.x - socketBox.min.x + SOCKET_GAP / scaleFactor,
+        (box.min.y + box.max.y - socketBox.min.y - socketBox.max.y) / 2,
+        0
+      );
+      socket.name = 'socket';
+      group.add(socket);
+      meshes.push(socket);
+    }
+    
+    return { group, shapeCount, ...placeOnGround(group, meshes, scaleFactor), materialCount: materials.size, warnings: [...warnings] };
+  };
+  
+  if (settings.reliefMode !== 'off' || settings.engrave || settings.plateShape !== 'none' || isStackedByHeight(settings)) {
+    const phase = settings.reliefMode !== 'off' ? 'relief' : settings.engrave ? 'engrave' : settings.plateShape !== 'none' ? 'plate' : 'layers';
+    yield { phase, done: 0, total: 1 };
+    const mesh = createSteppedMesh(elements, settings, scaleFactor, getMaterial, warn);
+    if (!mesh) return emptyResult;
+    
+    group.add(mesh);
+    return finish([mesh]);
+  }
+  
+  // With stacked layers, every paint (fill, then stroke, in SVG paint order)
+  // sits one layer step above the one painted before it
+  let layerIndex = 0;
+  const layerStep = settings.stackLayers ? settings.layerStep : 0;
+  
+  // Depth and Z offset (in SVG units) for one paint of an element, taken from
+  // the first matching depth rule or the global depth, plus its layer step
+  const getExtrusion = (node, paint) => {
+    const rule = findDepthRule(settings.depthRules, node, paint);
+    let depth = rule && rule.depth > 0 ? rule.depth : settings.extrudeDepth;
+    let offset = rule && rule.offset ? rule.offset : 0;
+    
+    const layerShift = layerStep * layerIndex++;
+    if (settings.layerMode === 'height') {
+      depth += layerShift;
+    } else {
+      offset += layerShift;
+    }
+    
+    return { depth: depth / scaleFactor, offset: offset / scaleFactor };
+  };
+  
+  const extrudeShapes = (shapes, depth, offset) => shapes.map(shape => {
+    const geometry = extrudeShape(shape, { depth, curveSegments: settings.curveSegments, bevel });
+    if (offset) geometry.translate(0, 0, offset);
+    return geometry;
+  });
+  
+  // When flattening with union on, fills and strokes that end up with the
+  // same color, opacity, depth and offset form one layer and are unioned
+  // across elements
+  const unionAcrossElements = settings.unionFills && !settings.preserveHierarchy;
+  const unionLayers = new Map(); // layer key -> { color, opacity, depth, offset, shapes }
+  
+  // Gradient and pattern paints are sampled across the element (see paint.mjs)
+  // and never unioned, since their colors depend on the element's own geometry
+  const getPaintSampler = (element, paint) => {
+    if (settings.overrideColor) return null;
+    const paintId = getPaintReference(paint);
+    const server = paintId && svgData.paintServers?.get(paintId);
+    if (!server) return null;
+    
+    return {
+      paintId,
+      sampler: createPaintSampler(server, element.node, element.outline, settings.curveSegments)
+    };
+  };
+  
+  // Second pass: extrude each paint with its depth and offset.
+  // Each element keeps one list per paint: [{ kind, color, opacity, paintId, sampler, geometries }]
+  const extrudedElements = [];
+  for (const [elementIndex, element] of elements.entries()) {
+    yield { phase: 'extrude', done: elementIndex, total: elements.length };
+    const paints = [];
+    
+    const addPaint = (kind, shapes, paint, opacity) => {
+      if (shapes.length === 0) return;
+      
+      const { depth, offset } = getExtrusion(element.node, paint);
+      const sampled = getPaintSampler(element, paint);
+      if (sampled) {
+        paints.push({ kind, color: new THREE.Color(0xffffff), opacity, ...sampled, geometries: extrudeShapes(shapes, depth, offset) });
+        return;
+      }
+      
+      const color = resolvePaintColor(paint, settings);
+      if (unionAcrossElements) {
+        const key = `${getColorKey(color, opacity)}|${depth}|${offset}`;
+        if (!unionLayers.has(key)) {
+          unionLayers.set(key, { color, opacity, depth, offset, shapes: [] });
+        }
+        unionLayers.get(key).shapes.push(...shapes);
+      } else {
+        paints.push({ kind, color, opacity, geometries: extrudeShapes(shapes, depth, offset) });
+      }
+    };
+    
+    // Fill first, then stroke, in SVG paint order
+    addPaint('fill', element.fillShapes, element.fillPaint, element.fillOpacity);
+    addPaint('stroke', element.strokeShapes, element.strokePaint, element.strokeOpacity);
+    
+    extrudedElements.push({ node: element.node, paints });
+  }
+  
+  for (const [layerIndex, { color, opacity, depth, offset, shapes }] of [...unionLayers.values()].entries()) {
+    yield { phase: 'union', done: layerIndex, total: unionLayers.size };
+    const unioned = unionShapes(shapes, settings.curveSegments);
+    shapeCount += unioned.length - shapes.length;
+    extrudedElements.push({
+      node: null,
+      paints: [{ kind: 'fill', color, opacity, geometries: extrudeShapes(unioned, depth, offset) }]
+    });
+  }
+  
+  // Mesh for the merged geometry of one paint: flat colors share a material,
+  // gradients and patterns are sampled onto the geometry
+  const paintMesh = (geometry, { color, opacity, paintId, sampler }) => {
+    if (!sampler) {
+      const key = getColorKey(color, opacity);
+      return new THREE.Mesh(geometry, getMaterial(key, `#${key}`, { color, ...getAlphaParameters(opacity) }));
+    }
+    
+    if (settings.gradientMode === 'texture') {
+      const { texture: map, alphaMode } = bakePaintTexture(geometry, sampler);
+      const parameters = { color, map, ...getAlphaParameters(opacity, alphaMode) };
+      return new THREE.Mesh(geometry, getMaterial(`texture_${materials.size}`, paintId, parameters));
+    }
+    
+    const { geometry: colored, alphaMode } = applyVertexColors(geometry, sampler);
+    geometry.dispose();
+    const parameters = { color, vertexColors: true, ...getAlphaParameters(opacity, alphaMode) };
+    return new THREE.Mesh(colored, getMaterial(`vertex-colors|${opacity}|${alphaMode}`, 'vertex_colors', parameters));
+  };
+  
+  // Scale merge distance to SVG units
+  const mergeDistInSvgUnits = settings.mergeDistance / scaleFactor;
+  
+  // Weld a paint's geometries into one mesh, disposing the inputs
+  const buildMesh = (geometries, paint, name) => {
+    const mergedGeometry = geometries.length > 0
+      ? mergeExtrudedGeometries(geometries, mergeDistInSvgUnits)
+      : null;
+    
+    // Dispose individual geometries
+    geometries.forEach(g => g.dispose());
+    
+    if (!mergedGeometry) {
+      if (geometries.length > 0) console.error(`Failed to merge geometries for ${name}`);
+      return null;
+    }
+    
+    const mesh = paintMesh(mergedGeometry, paint);
+    mesh.name = name;
+    return mesh;
+  };
+  
+  const meshes = [];
+  
+  if (settings.preserveHierarchy) {
+    // One node per SVG element, nested under nodes mirroring its <g> ancestors
+    const nameNode = createNodeNamer();
+    const nodeGroups = new Map(); // SVG element -> THREE.Group
+    
+    const getParentObject = (node) => {
+      const parent = node.parentNode;
+      if (!parent || parent.nodeType !== 1 || parent === svgData.xml) return group;
+      
+      if (!nodeGroups.has(parent)) {
+        const parentGroup = new THREE.Group();
+        parentGroup.name = nameNode(parent);
+        nodeGroups.set(parent, parentGroup);
+        getParentObject(parent).add(parentGroup);
+      }
+      return nodeGroups.get(parent);
+    };
+    
+    for (const [elementIndex, { node, paints }] of extrudedElements.entries()) {
+      yield { phase: 'merge', done: elementIndex, total: extrudedElements.length };
+      const name = nameNode(node);
+      
+      // An element with both fill and stroke becomes a group with one mesh per paint
+      const elementMeshes = paints
+        .map(paint => buildMesh(paint.geometries, paint, paints.length > 1 ? `${name}_${paint.kind}` : name))
+        .filter(Boolean);
+      if (elementMeshes.length === 0) continue;
+      
+      let elementObject = elementMeshes[0];
+      if (elementMeshes.length > 1) {
+        elementObject = new THREE.Group();
+        elementObject.name = name;
+        elementMeshes.forEach(mesh => elementObject.add(mesh));
+      }
+      
+      getParentObject(node).add(elementObject);
+      meshes.push(...elementMeshes);
+    }
+  } else {
+    // Flatten everything into one mesh per color, plus one per gradient or
+    // pattern paint
+    const geometriesByColor = new Map();
+    
+    extrudedElements.forEach(({ paints }) => {
+      paints.forEach(paint => {
+        const key = paint.sampler ? `paint_${geometriesByColor.size}` : getColorKey(paint.color, paint.opacity);
+        if (!geometriesByColor.has(key)) {
+          geometriesByColor.set(key, { paint, geometries: [] });
+        }
+        geometriesByColor.get(key).geometries.push(...paint.geometries);
+      });
+    });
+    
+    for (const [colorIndex, [key, { paint, geometries }]] of [...geometriesByColor].entries()) {
+      yield { phase: 'merge', done: colorIndex, total: geometriesByColor.size };
+      const mesh = buildMesh(geometries, paint, paint.sampler ? `paint_${paint.paintId}` : `color_${key}`);
+      if (!mesh) continue;
+      
+      group.add(mesh);
+      meshes.push(mesh);
+    }
+  }
+  
+  return finish(meshes);
+}
+
+// `materials` (key -> material) is the cache new materials go into; pass
+// the same Map to build levels of detail that share them (see createLODMeshes)
+export function createMeshFromSVG(svgData, settings, { materials = new Map() } = {}) {
+  return runSteps(meshSteps(svgData, settings, materials));
+}
+
+// Same as createMeshFromSVG, but hands the thread back between steps so a
+// worker stays responsive; rejects with an AbortError once `signal` aborts
+export function buildMeshFromSVG(svgData, settings, { signal, onProgress, materials = new Map() } = {}) {
+  return runStepsAsync(meshSteps(svgData, settings, materials), { signal, onProgress });
+}
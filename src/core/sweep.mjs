@@ -0,0 +1,196 @@
+/**
+ * Sweep mode: one SVG path is a cross-section carried along another, the
+ * spine (rails, piping, lettering on a ribbon). The spine lies in the SVG's
+ * plane and the section stands upright on it, so frames never flip the way
+ * Frenet frames do at inflections. Twist and scale change along the length.
+ */
+
+import * as THREE from 'three';
+
+// Profile shapes with their bounding box center moved to the origin and
+// y pointing up, the way the section is drawn
+export function centerProfile(shapes, curveSegments) {
+  const box = new THREE.Box2();
+  shapes.forEach(shape => shape.getPoints(curveSegments).forEach(p => box.expandByPoint(p)));
+  const center = box.getCenter(new THREE.Vector2());
+
+  const move = points => points.map(p => new THREE.Vector2(p.x - center.x, center.y - p.y));
+  return shapes.map(shape => {
+    const { shape: outline, holes } = shape.extractPoints(curveSegments);
+    const centered = new THREE.Shape(move(outline));
+    centered.holes = holes.map(hole => new THREE.Path(move(hole)));
+    return centered;
+  });
+}
+
+// Minimum cosine between a corner's tangent and its edges, so sections at
+// very sharp corners aren't stretched more than 4x
+const MIN_MITER_COSINE = 0.25;
+
+// The spine polyline (SVG points along one sub-path) prepared for sweeping:
+// split so no piece is longer than 1/`segments` of the length (pass 1 when
+// nothing changes along it: extra sections only crowd sharp corners), with a
+// tangent, miter stretch and length fraction per point. A spine ending where
+// it starts is closed. Null if it has no length.
+export function createSpine(points, segments) {
+  const path = points.filter((p, i) => i === 0 || !p.equals(points[i - 1]));
+
+  let total = 0;
+  for (let i = 1; i < path.length; i++) total += path[i].distanceTo(path[i - 1]);
+  if (!(total > 0)) return null;
+
+  // Curves like circles end only about where they start
+  const closed = path.length > 3 && path[0].distanceTo(path[path.length - 1]) <= total * 1e-9;
+
+  // Subdivide long pieces so twist and scale change smoothly
+  const maxLength = total / Math.max(1, Math.round(segments));
+  const spinePoints = [path[0]];
+  const lengths = [0];
+  for (let i = 1; i < path.length; i++) {
+    const length = path[i].distanceTo(path[i - 1]);
+    const pieces = Math.max(1, Math.ceil(length / maxLength - 1e-9));
+    for (let k = 1; k <= pieces; k++) {
+      spinePoints.push(path[i - 1].clone().lerp(path[i], k / pieces));
+      lengths.push(lengths[lengths.length - 1] + length / pieces);
+    }
+  }
+  if (closed) {
+    spinePoints.pop();
+    lengths.pop();
+  }
+
+  const count = spinePoints.length;
+  const directions = [];
+  for (let i = 0; i < (closed ? count : count - 1); i++) {
+    directions.push(spinePoints[(i + 1) % count].clone().sub(spinePoints[i]).normalize());
+  }
+
+  // Corner tangents halve the turn; the section stretches across it so the
+  // swept solid keeps its width through the corner
+  const tangents = [];
+  const miters = [];
+  for (let i = 0; i < count; i++) {
+    const before = closed ? directions[(i + count - 1) % count] : directions[Math.max(0, i - 1)];
+    const after = closed ? directions[i] : directions[Math.min(i, count - 2)];
+    const tangent = before.clone().add(after);
+    if (tangent.lengthSq() < 1e-12) {
+      tangents.push(after.clone());
+      miters.push(1);
+    } else {
+      tangent.normalize();
+      tangents.push(tangent);
+      miters.push(1 / Math.max(tangent.dot(after), MIN_MITER_COSINE));
+    }
+  }
+
+  return {
+    points: spinePoints,
+    tangents,
+    miters,
+    positions: lengths.map(length => length / total),
+    closed
+  };
+}
+
+// Whether sections reaching `reach` across the spine on either side fold
+// through each other: each corner pulls the edge on its inside in by
+// reach × tan(half its turn), which mustn't pass the next section's (or the
+// next corner's pull coming the other way)
+export function foldsAlongSpine(spine, reach) {
+  const { points, miters, closed } = spine;
+  const count = points.length;
+  const pieces = closed ? count : count - 1;
+
+  return [1, -1].some(side => {
+    const pulls = points.map((point, i) => {
+      if (miters[i] <= 1 + 1e-9) return 0;
+      const before = point.clone().sub(points[(i + count - 1) % count]);
+      const after = points[(i + 1) % count].clone().sub(point);
+      return Math.sign(before.cross(after)) === side ? reach * Math.sqrt(miters[i] ** 2 - 1) : 0;
+    });
+    for (let i = 0; i < pieces; i++) {
+      const j = (i + 1) % count;
+      if (pulls[i] + pulls[j] > points[i].distanceTo(points[j]) * (1 + 1e-9)) return true;
+    }
+    return false;
+  });
+}
+
+// Sweep a profile shape (from centerProfile) along a spine (from
+// createSpine): the section's x runs across the spine, to the right looking
+// along it, and its y up out of the SVG plane. It turns `twist` radians
+// and scales from `scaleStart` to `scaleEnd` over the length. An open spine
+// gets flat caps at both ends. Returns a non-indexed geometry with
+// positions and normals.
+export function sweepShape(shape, spine, { twist = 0, scaleStart = 1, scaleEnd = 1, curveSegments }) {
+  const { shape: outline, holes } = shape.extractPoints(curveSegments);
+
+  // Outline counter-clockwise and holes clockwise, so the surface faces out
+  let contour = outline;
+  if (THREE.ShapeUtils.isClockWise(contour)) {
+    contour = contour.reverse();
+    holes.forEach((hole, h) => {
+      if (!THREE.ShapeUtils.isClockWise(hole)) holes[h] = hole.reverse();
+    });
+  }
+
+  // Triangulation drops duplicated end points from the contours, so it comes first
+  const faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+  const loops = [contour, ...holes];
+  const points = loops.flat();
+
+  // One section per spine point. Across the spine is the in-plane normal
+  // (up × tangent), up is the SVG plane's normal.
+  const sections = spine.points.map((origin, i) => {
+    const { x: tx, y: ty } = spine.tangents[i];
+    const position = spine.positions[i];
+    const angle = twist * position;
+    const scale = scaleStart + (scaleEnd - scaleStart) * position;
+    const cos = Math.cos(angle) * scale;
+    const sin = Math.sin(angle) * scale;
+    const miter = spine.miters[i];
+
+    return points.map(p => {
+      const across = (p.x * cos - p.y * sin) * miter;
+      const up = p.x * sin + p.y * cos;
+      return [origin.x - ty * across, origin.y + tx * across, up];
+    });
+  });
+  const count = sections.length;
+
+  const positions = [];
+  const addTriangle = (a, b, c) => positions.push(...a, ...b, ...c);
+
+  // Walls between consecutive sections, loop by loop
+  let loopStart = 0;
+  loops.forEach(loop => {
+    for (let i = 0; i < loop.length; i++) {
+      const k = loopStart + i;
+      const l = loopStart + (i + 1) % loop.length;
+      for (let j = 0; j < (spine.closed ? count : count - 1); j++) {
+        const a = sections[j][k];
+        const b = sections[j][l];
+        const c = sections[(j + 1) % count][l];
+        const d = sections[(j + 1) % count][k];
+        addTriangle(a, b, c);
+        addTriangle(a, c, d);
+      }
+    }
+    loopStart += loop.length;
+  });
+
+  // Caps at both ends of an open spine
+  if (!spine.closed) {
+    const start = sections[0];
+    const end = sections[count - 1];
+    faces.forEach(([a, b, c]) => {
+      addTriangle(start[c], start[b], start[a]);
+      addTriangle(end[a], end[b], end[c]);
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
@@ -0,0 +1,421 @@
+/**
+ * SVG <text> support. SVGLoader skips text, so before parsing every <text>
+ * is laid out with a font and replaced by a <g> of glyph outline <path>s
+ * that keeps the text's attributes (transform, fill, stroke, id, class...).
+ *
+ * Fonts are Helvetiker (bundled, regular and bold) plus any TTF/OTF/WOFF
+ * loaded with loadFont. Supported: font-family/-size/-weight/-style,
+ * text-anchor, letter-spacing, word-spacing, x/y/dx/dy/rotate lists and
+ * nested <tspan>s. <textPath> text is laid out on a straight line.
+ */
+
+import helvetikerRegular from 'three/examples/fonts/helvetiker_regular.typeface.json' with { type: 'json' };
+import helvetikerBold from 'three/examples/fonts/helvetiker_bold.typeface.json' with { type: 'json' };
+import { getOwnStyle, getInheritedStyle } from './style.mjs';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const DEFAULT_FONT_SIZE = 16;
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+// CSS absolute font-size keywords in px
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  'small': 13,
+  'medium': 16,
+  'large': 18,
+  'x-large': 24,
+  'xx-large': 32
+};
+
+// CSS length units in px
+const LENGTH_UNITS = {
+  '': 1,
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4
+};
+
+// Attributes that position characters; the replacement <g>s drop them
+const POSITION_ATTRIBUTES = ['x', 'y', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust'];
+
+const normalizeName = (name) => name.trim().replace(/^['"]|['"]$/g, '').trim().toLowerCase();
+
+// A length in px; `em` is the size em and % resolve against
+function parseLength(value, em, percentOf = em) {
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z%]*)$/i.exec(value.trim());
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === 'em') return number * em;
+  if (unit === 'rem') return number * DEFAULT_FONT_SIZE;
+  if (unit === '%') return number / 100 * percentOf;
+  return unit in LENGTH_UNITS ? number * LENGTH_UNITS[unit] : null;
+}
+
+// Comma/space separated length list (x, y, dx, dy attributes)
+function parseLengthList(value, fontSize) {
+  if (!value) return [];
+  return value.trim().split(/[\s,]+/).map(item => parseLength(item, fontSize) ?? 0);
+}
+
+function getFontSize(node) {
+  if (!node || node.nodeType !== 1) return DEFAULT_FONT_SIZE;
+
+  const value = getOwnStyle(node, 'font-size').toLowerCase();
+  if (!value) return getFontSize(node.parentNode);
+  if (value in FONT_SIZE_KEYWORDS) return FONT_SIZE_KEYWORDS[value];
+  if (value === 'larger') return getFontSize(node.parentNode) * 1.2;
+  if (value === 'smaller') return getFontSize(node.parentNode) / 1.2;
+
+  const size = parseLength(value, getFontSize(node.parentNode));
+  return size !== null && size >= 0 ? size : getFontSize(node.parentNode);
+}
+
+function getFontWeight(node) {
+  const value = getInheritedStyle(node, 'font-weight').toLowerCase();
+  if (value === 'bold' || value === 'bolder') return 700;
+  if (value === 'lighter') return 300;
+  return parseInt(value, 10) || 400;
+}
+
+// letter-spacing and word-spacing
+function getSpacing(node, name, fontSize) {
+  const value = getInheritedStyle(node, name);
+  if (!value || value === 'normal') return 0;
+  return parseLength(value, fontSize) ?? 0;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fonts
+//
+// A font is { family, names, weight, italic, unitsPerEm, glyph(char), kerning(a, b) }
+// where glyph returns { advance, commands } (or null if the font lacks it), in
+// font units with Y up. Commands are { type: 'M' | 'L' | 'Q' | 'C' | 'Z', x, y, x1, y1, x2, y2 }.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Font from three.js typeface JSON (the bundled fonts). Its outline strings
+// put each curve's end point before its control points.
+function typefaceFont(data, { weight, italic = false }) {
+  const cache = new Map();
+
+  const parseOutline = (outline) => {
+    const tokens = outline.trim().split(/\s+/);
+    const commands = [];
+    const next = () => parseFloat(tokens[i++]);
+    let i = 0;
+
+    while (i < tokens.length) {
+      const action = tokens[i++];
+      if (action === 'm') {
+        if (commands.length > 0) commands.push({ type: 'Z' });
+        commands.push({ type: 'M', x: next(), y: next() });
+      } else if (action === 'l') {
+        commands.push({ type: 'L', x: next(), y: next() });
+      } else if (action === 'q') {
+        const x = next(), y = next();
+        commands.push({ type: 'Q', x1: next(), y1: next(), x, y });
+      } else if (action === 'b') {
+        const x = next(), y = next();
+        commands.push({ type: 'C', x1: next(), y1: next(), x2: next(), y2: next(), x, y });
+      }
+    }
+    if (commands.length > 0) commands.push({ type: 'Z' });
+    return commands;
+  };
+
+  return {
+    family: data.familyName,
+    names: [normalizeName(data.familyName)],
+    weight,
+    italic,
+    unitsPerEm: data.resolution,
+    glyph(char) {
+      if (!cache.has(char)) {
+        const glyph = data.glyphs[char];
+        cache.set(char, glyph ? { advance: glyph.ha, commands: parseOutline(glyph.o || '') } : null);
+      }
+      return cache.get(char);
+    },
+    kerning: () => 0
+  };
+}
+
+export const DEFAULT_FONTS = [
+  typefaceFont(helvetikerRegular, { weight: 400 }),
+  typefaceFont(helvetikerBold, { weight: 700 })
+];
+
+// Load a TTF, OTF or WOFF font from an ArrayBuffer. opentype.js is only
+// fetched the first time a font is loaded.
+export async function loadFont(buffer) {
+  const { parse } = await import('three/addons/libs/opentype.module.js');
+
+  let font;
+  try {
+    font = parse(buffer);
+  } catch (err) {
+    throw new Error(`Unsupported font file: ${err.message}`);
+  }
+
+  const names = ['preferredFamily', 'fontFamily', 'fullName', 'postScriptName']
+    .map(key => font.getEnglishName(key))
+    .filter(Boolean);
+  if (names.length === 0) throw new Error('Font file has no family name');
+
+  const { os2, head } = font.tables;
+  const cache = new Map();
+
+  return {
+    family: names[0],
+    names: [...new Set(names.map(normalizeName))],
+    weight: os2?.usWeightClass || ((head?.macStyle & 1) ? 700 : 400),
+    italic: Boolean((os2?.fsSelection & 1) || (head?.macStyle & 2)),
+    unitsPerEm: font.unitsPerEm,
+    glyph(char) {
+      if (!cache.has(char)) {
+        const glyph = font.charToGlyph(char);
+        cache.set(char, glyph && glyph.index !== 0
+          ? { advance: glyph.advanceWidth, commands: glyph.path.commands, source: glyph }
+          : null);
+      }
+      return cache.get(char);
+    },
+    kerning(left, right) {
+      const a = this.glyph(left);
+      const b = this.glyph(right);
+      return a && b ? font.getKerningValue(a.source, b.source) : 0;
+    }
+  };
+}
+
+// The closest weight and style within the first font-family that matches
+function selectFont(node, fonts, warn) {
+  const weight = getFontWeight(node);
+  const italic = /italic|oblique/.test(getInheritedStyle(node, 'font-style'));
+  const families = (getInheritedStyle(node, 'font-family') || 'sans-serif').split(',')
+    .map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+    .filter(Boolean);
+  const isGeneric = (family) => GENERIC_FAMILIES.includes(family.toLowerCase());
+
+  const closest = (candidates) => candidates.reduce((best, font) => {
+    const score = Math.abs(font.weight - weight) + (font.italic === italic ? 0 : 1000);
+    return score < best.score ? { font, score } : best;
+  }, { font: null, score: Infinity }).font;
+
+  for (const family of families) {
+    if (isGeneric(family)) break;
+
+    const matches = fonts.filter(font => font.names.includes(normalizeName(family)));
+    if (matches.length > 0) return closest(matches);
+  }
+
+  const fallback = closest(DEFAULT_FONTS);
+  const requested = families.filter(family => !isGeneric(family));
+  if (requested.length > 0) {
+    warn(`Font "${requested.join(', ')}" is not loaded, using ${fallback.family}`);
+  }
+  return fallback;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layout
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Every character of a <text> with the text node and element it came from.
+// Whitespace collapses the way browsers render it unless xml:space="preserve".
+function collectCharacters(text, warn) {
+  const characters = []; // { char, textNode, element }
+  const ranges = []; // { element, start, end } in document order, outer first
+  const preserve = text.getAttribute('xml:space') === 'preserve';
+
+  const visit = (element) => {
+    const range = { element, start: characters.length, end: 0 };
+    ranges.push(range);
+
+    element.childNodes.forEach(child => {
+      if (child.nodeType === 3) {
+        for (const char of child.data.replace(/[\t\r\n]/g, ' ')) {
+          const previous = characters[characters.length - 1];
+          if (!preserve && char === ' ' && (!previous || previous.char === ' ')) continue;
+          characters.push({ char, textNode: child, element });
+        }
+      } else if (child.nodeType === 1 && ['tspan', 'textPath', 'a'].includes(child.localName)) {
+        if (child.localName === 'textPath') {
+          warn('<textPath> is not supported, its text is laid out on a straight line');
+        }
+        visit(child);
+      }
+    });
+
+    range.end = characters.length;
+  };
+
+  visit(text);
+
+  if (!preserve) {
+    while (characters.length > 0 && characters[characters.length - 1].char === ' ') characters.pop();
+    ranges.forEach(range => {
+      range.end = Math.min(range.end, characters.length);
+    });
+  }
+  return { characters, ranges };
+}
+
+// Position every character: absolute x/y start a new text chunk, which is
+// then shifted as a whole for its text-anchor
+function layoutText(text, fonts, warn) {
+  const { characters, ranges } = collectCharacters(text, warn);
+
+  // Per-element properties, then the x/y/dx/dy/rotate lists applied outer
+  // element first so inner ones override
+  const styles = new Map();
+  ranges.forEach(({ element, start, end }) => {
+    const fontSize = getFontSize(element);
+    styles.set(element, {
+      font: selectFont(element, fonts, warn),
+      fontSize,
+      letterSpacing: getSpacing(element, 'letter-spacing', fontSize),
+      wordSpacing: getSpacing(element, 'word-spacing', fontSize),
+      anchor: getInheritedStyle(element, 'text-anchor') || 'start'
+    });
+
+    const lists = {};
+    ['x', 'y', 'dx', 'dy'].forEach(name => {
+      lists[name] = parseLengthList(element.getAttribute(name), fontSize);
+    });
+    const rotate = (element.getAttribute('rotate') || '').trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+
+    for (let i = start; i < end; i++) {
+      const character = characters[i];
+      ['x', 'y', 'dx', 'dy'].forEach(name => {
+        if (i - start < lists[name].length) character[name] = lists[name][i - start];
+      });
+      // The last rotation carries on to the element's remaining characters
+      if (rotate.length > 0) character.rotate = rotate[Math.min(i - start, rotate.length - 1)];
+    }
+  });
+
+  const chunks = [];
+  let chunk = null;
+  let penX = 0;
+  let penY = 0;
+
+  characters.forEach((character, i) => {
+    const { char, element } = character;
+    const { font, fontSize, letterSpacing, wordSpacing, anchor } = styles.get(element);
+    const scale = fontSize / font.unitsPerEm;
+    const previous = characters[i - 1];
+
+    if (!chunk || character.x !== undefined || character.y !== undefined) {
+      chunk = { anchor, start: character.x ?? penX, end: character.x ?? penX, glyphs: [] };
+      chunks.push(chunk);
+    } else if (previous && styles.get(previous.element).font === font) {
+      penX += font.kerning(previous.char, char) * scale;
+    }
+
+    penX = (character.x ?? penX) + (character.dx ?? 0);
+    penY = (character.y ?? penY) + (character.dy ?? 0);
+
+    let glyph = font.glyph(char);
+    if (!glyph) {
+      if (char.trim()) warn(`No glyph for "${char}" in ${font.family}`);
+      glyph = font.glyph(' ') || { advance: font.unitsPerEm / 2, commands: [] };
+    }
+
+    chunk.glyphs.push({ character, glyph, x: penX, y: penY, scale, rotate: character.rotate ?? 0 });
+    penX += glyph.advance * scale;
+    if (char.trim()) chunk.end = penX;
+    penX += letterSpacing + (char === ' ' ? wordSpacing : 0);
+  });
+
+  // text-anchor: shift each chunk by its advance (trailing spaces excluded)
+  const placed = [];
+  chunks.forEach(({ anchor, start, end, glyphs }) => {
+    const width = end - start;
+    const shift = anchor === 'middle' ? -width / 2 : anchor === 'end' ? -width : 0;
+    glyphs.forEach(glyph => {
+      glyph.x += shift;
+      placed.push(glyph);
+    });
+  });
+  return placed;
+}
+
+const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
+
+// Path data for one glyph placed at its pen position, font units -> SVG units
+function glyphPathData({ glyph, x, y, scale, rotate }) {
+  const angle = rotate * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const point = (gx, gy) => {
+    const px = gx * scale;
+    const py = -gy * scale;
+    return `${formatNumber(x + px * cos - py * sin)} ${formatNumber(y + px * sin + py * cos)}`;
+  };
+
+  return glyph.commands.map(command => {
+    switch (command.type) {
+      case 'M':
+      case 'L':
+        return `${command.type}${point(command.x, command.y)}`;
+      case 'Q':
+        return `Q${point(command.x1, command.y1)} ${point(command.x, command.y)}`;
+      case 'C':
+        return `C${point(command.x1, command.y1)} ${point(command.x2, command.y2)} ${point(command.x, command.y)}`;
+      default:
+        return 'Z';
+    }
+  }).join('');
+}
+
+// Mirror a <text>/<tspan> as a <g> with the same attributes minus positioning,
+// with a glyph <path> in place of each of its text nodes
+function buildReplacement(element, pathData, document) {
+  const group = document.createElementNS(SVG_NS, 'g');
+  for (const { name, value } of Array.from(element.attributes)) {
+    if (!POSITION_ATTRIBUTES.includes(name)) group.setAttribute(name, value);
+  }
+
+  element.childNodes.forEach(child => {
+    if (child.nodeType === 3) {
+      const d = pathData.get(child);
+      if (!d) return;
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', d);
+      // Glyph outlines are defined with nonzero winding whatever the text's fill-rule
+      path.setAttribute('fill-rule', 'nonzero');
+      group.appendChild(path);
+    } else if (child.nodeType === 1 && ['tspan', 'textPath', 'a'].includes(child.localName)) {
+      group.appendChild(buildReplacement(child, pathData, document));
+    }
+  });
+  return group;
+}
+
+// Replace every <text> in an SVG document with glyph outlines. `fonts` are
+// fonts from loadFont; unmatched families use the bundled Helvetiker.
+// Returns warnings about missing fonts, glyphs and unsupported features.
+export function convertTextToPaths(document, fonts = []) {
+  const warnings = new Set();
+  const warn = (message) => warnings.add(message);
+
+  Array.from(document.getElementsByTagName('text')).forEach(text => {
+    const pathData = new Map(); // text node -> d
+    layoutText(text, fonts, warn).forEach(placed => {
+      const { textNode } = placed.character;
+      pathData.set(textNode, (pathData.get(textNode) || '') + glyphPathData(placed));
+    });
+
+    text.parentNode.replaceChild(buildReplacement(text, pathData, document), text);
+  });
+
+  return [...warnings];
+}
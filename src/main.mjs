@@ -1,8 +1,18 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
-import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
-import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { zip, strToU8 } from 'fflate';
+import { createSettings } from './core/settings.mjs';
+import { disposeMesh } from './core/dispose.mjs';
+import { EXPORT_FORMATS } from './core/formats.mjs';
+import { RULE_MATCH_TYPES } from './core/depth-rules.mjs';
+import { isWatertight } from './core/analysis.mjs';
+import { createBatchManifest } from './core/manifest.mjs';
+import { createMeshWorker } from './worker/mesh-client.mjs';
+import { getBevelProfile } from './core/extrude.mjs';
+import { getRampStops, getRampPosition, getRampHeight } from './core/ramp.mjs';
+import { isValidLODLevel } from './core/lod.mjs';
+import { presetFromSettings, serializePresets, parsePresets } from './core/presets.mjs';
 
 // ─────────────────────────────────────────────────────────────
 // Scene Setup
@@ -67,821 +77,1151 @@ scene.add(axesHelper);
 // ─────────────────────────────────────────────────────────────
 
 let currentMesh = null;
-let currentSvgData = null;
+let currentReport = null;
+let currentSvgText = null;
 let currentFileName = '';
+let svgWarnings = []; // From loading the SVG; each build adds its own
 
-const settings = {
-  scaleMeters: 1,        // Target size in meters (longest dimension)
-  extrudeDepth: 0.05,    // Extrusion depth in meters (5cm default)
-  bevelThickness: 0,
-  curveSegments: 4,
-  simplifyTolerance: 0,
-  mergeDistance: 0.001,
-  meshColor: '#ff6b35',
-  wireframe: false
-};
+const settings = createSettings();
+
+// Parsing, building and encoding run in a worker; the preview is the GLB it sends back
+const meshWorker = createMeshWorker({ onProgress: showBuildProgress });
+const gltfLoader = new GLTFLoader();
+
+// Bumped by every rebuild, so replies to superseded requests are dropped
+let meshRequest = 0;
 
 // ─────────────────────────────────────────────────────────────
-// SVG Processing
+// Mesh Preview
 // ─────────────────────────────────────────────────────────────
 
-function parseSVG(svgText) {
-  const loader = new SVGLoader();
-  return loader.parse(svgText);
+const PHASE_LABELS = {
+  outline: 'Outlining paths',
+  extrude: 'Extruding',
+  revolve: 'Revolving',
+  sweep: 'Sweeping',
+  relief: 'Building relief',
+  plate: 'Building plate',
+  engrave: 'Engraving',
+  layers: 'Stacking layers',
+  union: 'Merging overlaps',
+  merge: 'Welding meshes',
+  encode: 'Encoding'
+};
+
+const viewportStatus = document.getElementById('viewportStatus');
+const viewportStatusText = document.getElementById('viewportStatusText');
+
+function setRebuilding(rebuilding) {
+  viewportStatus.hidden = !rebuilding;
+  if (rebuilding) viewportStatusText.textContent = 'Rebuilding…';
 }
 
-// Extrude a flat 2D BufferGeometry (like stroke geometry) along Z axis
-function extrudeBufferGeometry(geometry, depth) {
-  const position = geometry.getAttribute('position');
-  if (!position) return null;
-  
-  const vertexCount = position.count;
-  const index = geometry.getIndex();
-  
-  // Helper to create position key for edge comparison
-  const posKey = (idx) => {
-    const x = position.getX(idx).toFixed(6);
-    const y = position.getY(idx).toFixed(6);
-    return `${x},${y}`;
-  };
-  
-  // Build edge map to find boundary edges (edges that appear only once)
-  // Use position-based keys for non-indexed geometry
-  const edgeMap = new Map();
-  const edgeIndices = new Map(); // Store original indices for each edge
-  
-  const addEdge = (a, b) => {
-    const keyA = posKey(a);
-    const keyB = posKey(b);
-    const key = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
-    const count = (edgeMap.get(key) || 0) + 1;
-    edgeMap.set(key, count);
-    // Store the first occurrence's indices
-    if (count === 1) {
-      edgeIndices.set(key, [a, b]);
+function showBuildProgress({ phase, done, total }) {
+  const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+  viewportStatusText.textContent = `${PHASE_LABELS[phase] || 'Rebuilding'}… ${percent}%`;
+}
+
+function loadGLB(glb) {
+  return new Promise((resolve, reject) => {
+    gltfLoader.parse(glb, '', ({ scene }) => {
+      // The exported root node, with its scale/rotation, is the scene's only child
+      resolve(scene.children.length === 1 ? scene.children[0] : scene);
+    }, reject);
+  });
+}
+
+function applyWireframe() {
+  currentMesh?.traverse(child => {
+    if (child.isMesh) child.material.wireframe = settings.wireframe;
+  });
+}
+
+// Rebuild the preview in the worker. A newer call cancels this one, which
+// then resolves without touching the scene.
+async function updateMesh() {
+  if (!currentSvgText) return;
+  
+  const request = ++meshRequest;
+  setRebuilding(true);
+  
+  let result;
+  let group;
+  try {
+    result = await meshWorker.build(settings, currentFileName);
+    if (request !== meshRequest) return;
+    group = await loadGLB(result.glb);
+  } catch (err) {
+    if (request !== meshRequest) return;
+    setRebuilding(false);
+    if (err.name !== 'AbortError') {
+      // The last good mesh stays up; say why it didn't change
+      console.error('Mesh build failed:', err);
+      showSVGWarnings([...svgWarnings, `Build failed: ${err.message}`]);
     }
-  };
+    return;
+  }
+  if (request !== meshRequest) return;
   
-  if (index) {
-    const indexArray = index.array;
-    for (let i = 0; i < indexArray.length; i += 3) {
-      addEdge(indexArray[i], indexArray[i + 1]);
-      addEdge(indexArray[i + 1], indexArray[i + 2]);
-      addEdge(indexArray[i + 2], indexArray[i]);
-    }
-  } else {
-    // Non-indexed: every 3 vertices is a triangle
-    for (let i = 0; i < vertexCount; i += 3) {
-      addEdge(i, i + 1);
-      addEdge(i + 1, i + 2);
-      addEdge(i + 2, i);
-    }
+  if (currentMesh) {
+    scene.remove(currentMesh);
+    disposeMesh(currentMesh);
   }
   
-  // Find boundary edges (count == 1)
-  const boundaryEdges = [];
-  edgeMap.forEach((count, key) => {
-    if (count === 1) {
-      const indices = edgeIndices.get(key);
-      if (indices) {
-        boundaryEdges.push(indices);
-      }
-    }
-  });
+  const { shapeCount, totalVertices, materialCount, warnings } = result;
+  currentMesh = group;
+  scene.add(currentMesh);
+  applyWireframe();
+  setRebuilding(false);
+  showSVGWarnings([...svgWarnings, ...warnings]);
   
-  // Create new positions: front (z=0) and back (z=depth)
-  const newPositions = [];
+  // Update info display
+  document.getElementById('shapeCount').textContent = shapeCount;
+  document.getElementById('materialCount').textContent = materialCount;
+  document.getElementById('vertexCount').textContent = totalVertices.toLocaleString();
   
-  for (let i = 0; i < vertexCount; i++) {
-    newPositions.push(position.getX(i), position.getY(i), 0);
-  }
-  for (let i = 0; i < vertexCount; i++) {
-    newPositions.push(position.getX(i), position.getY(i), depth);
-  }
+  // Enable export buttons
+  document.querySelectorAll('[data-export-format]').forEach(btn => btn.disabled = false);
+  document.getElementById('exportLodFiles').disabled = false;
   
-  // Create indices
-  const indices = [];
+  runMeshCheck(request);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Mesh Check
+// ─────────────────────────────────────────────────────────────
+
+const ISSUE_COLORS = {
+  nonManifold: 0xff4444,
+  boundary: 0xffcc00,
+  winding: 0xff44ff,
+  intersections: 0x00f5d4
+};
+
+// Issue lines live in the scene (not under the mesh) so they never get exported
+const issueOverlay = new THREE.Group();
+scene.add(issueOverlay);
+
+async function runMeshCheck(request) {
+  currentReport = null;
+  updateIssueOverlay();
   
-  if (index) {
-    const indexArray = index.array;
-    // Front face (z = 0)
-    for (let i = 0; i < indexArray.length; i++) {
-      indices.push(indexArray[i]);
-    }
-    // Back face (z = depth, reversed winding)
-    for (let i = 0; i < indexArray.length; i += 3) {
-      indices.push(
-        indexArray[i] + vertexCount,
-        indexArray[i + 2] + vertexCount,
-        indexArray[i + 1] + vertexCount
-      );
-    }
-  } else {
-    // Non-indexed: each set of 3 vertices is a triangle
-    // Front face (z = 0)
-    for (let i = 0; i < vertexCount; i += 3) {
-      indices.push(i, i + 1, i + 2);
-    }
-    // Back face (z = depth, reversed winding)
-    for (let i = 0; i < vertexCount; i += 3) {
-      indices.push(
-        i + vertexCount,
-        i + 2 + vertexCount,
-        i + 1 + vertexCount
-      );
-    }
+  let report;
+  try {
+    report = await meshWorker.check();
+  } catch (err) {
+    console.error('Mesh check failed:', err);
+    return;
   }
-  
-  // Side faces along boundary edges
-  boundaryEdges.forEach(([a, b]) => {
-    const a2 = a + vertexCount;
-    const b2 = b + vertexCount;
-    // Two triangles for the quad
-    indices.push(a, b, a2);
-    indices.push(b, b2, a2);
+  if (request !== meshRequest) return;
+  currentReport = report;
+  
+  document.getElementById('checkPanel').hidden = false;
+  document.getElementById('checkNonManifold').textContent = report.nonManifoldEdges;
+  document.getElementById('checkBoundary').textContent = `${report.boundaryLoops} (${report.boundaryEdges} edges)`;
+  document.getElementById('checkWinding').textContent = report.windingErrors;
+  document.getElementById('checkDegenerate').textContent = report.degenerateTriangles;
+  document.getElementById('checkIntersections').textContent = report.intersectionsSkipped
+    ? `${report.selfIntersections}+ (large mesh, partial)`
+    : report.selfIntersections;
+  document.getElementById('checkOverlaps').textContent = report.intersectionsSkipped
+    ? `${report.meshOverlaps}+ (large mesh, partial)`
+    : report.meshOverlaps;
+  
+  const status = document.getElementById('checkStatus');
+  const ok = isWatertight(report);
+  status.textContent = ok ? 'watertight' : report.triangles === 0 ? 'empty' : 'issues found';
+  status.className = `check-status ${ok ? 'ok' : 'warn'}`;
+  
+  updateIssueOverlay();
+}
+
+function updateIssueOverlay() {
+  issueOverlay.children.forEach(line => {
+    line.geometry.dispose();
+    line.material.dispose();
   });
+  issueOverlay.clear();
   
-  const newGeometry = new THREE.BufferGeometry();
-  newGeometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
-  newGeometry.setIndex(indices);
-  newGeometry.computeVertexNormals();
+  if (!settings.highlightIssues || !currentReport) return;
   
-  return newGeometry;
+  // Segments come in the model root's local space
+  currentMesh.updateMatrixWorld(true);
+  Object.entries(currentReport.segments).forEach(([kind, positions]) => {
+    if (positions.length === 0) return;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.applyMatrix4(currentMesh.matrixWorld);
+    
+    const material = new THREE.LineBasicMaterial({ color: ISSUE_COLORS[kind], depthTest: false });
+    const line = new THREE.LineSegments(geometry, material);
+    line.renderOrder = 1;
+    issueOverlay.add(line);
+  });
 }
 
-// Ramer-Douglas-Peucker algorithm to simplify a path
-function simplifyPath(points, tolerance) {
-  if (points.length <= 2 || tolerance <= 0) return points;
-  
-  // Find the point with the maximum distance from the line between first and last
-  let maxDist = 0;
-  let maxIndex = 0;
+// ─────────────────────────────────────────────────────────────
+// File Handling
+// ─────────────────────────────────────────────────────────────
+
+// What normalizing the SVG couldn't resolve (missing references, fonts...)
+// and what the build had to leave out
+function showSVGWarnings(warnings) {
+  const list = document.getElementById('svgWarnings');
+  list.hidden = warnings.length === 0;
+  list.replaceChildren(...warnings.map(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+}
+
+async function loadSVGFile(file) {
+  currentSvgText = await file.text();
+  currentFileName = file.name.replace('.svg', '');
   
-  const start = points[0];
-  const end = points[points.length - 1];
+  const { targets, paths, warnings } = await meshWorker.load(currentSvgText);
+  updateRuleSuggestions(targets);
+  setReliefColors(targets.color);
+  setModePaths(paths);
+  svgWarnings = warnings;
+  showSVGWarnings(warnings);
+  await updateMesh();
   
-  for (let i = 1; i < points.length - 1; i++) {
-    const dist = perpendicularDistance(points[i], start, end);
-    if (dist > maxDist) {
-      maxDist = dist;
-      maxIndex = i;
-    }
-  }
+  // Update UI - hide empty state
+  document.getElementById('viewportEmpty').style.display = 'none';
+  document.getElementById('fileInfo').hidden = false;
+  document.getElementById('fileName').textContent = file.name;
   
-  // If max distance is greater than tolerance, recursively simplify
-  if (maxDist > tolerance) {
-    const left = simplifyPath(points.slice(0, maxIndex + 1), tolerance);
-    const right = simplifyPath(points.slice(maxIndex), tolerance);
-    return left.slice(0, -1).concat(right);
-  } else {
-    return [start, end];
-  }
+  // Fit camera to object
+  fitCameraToMesh();
 }
 
-function perpendicularDistance(point, lineStart, lineEnd) {
-  const dx = lineEnd.x - lineStart.x;
-  const dy = lineEnd.y - lineStart.y;
-  
-  const lenSq = dx * dx + dy * dy;
-  if (lenSq === 0) {
-    return Math.sqrt((point.x - lineStart.x) ** 2 + (point.y - lineStart.y) ** 2);
-  }
+function resetCamera() {
+  camera.position.set(4, 3, 4); // Isometric-ish view
+  controls.target.set(0, 0, 0);
+  controls.update();
+}
+
+function fitCameraToMesh() {
+  if (!currentMesh) return;
   
-  const t = Math.max(0, Math.min(1, ((point.x - lineStart.x) * dx + (point.y - lineStart.y) * dy) / lenSq));
-  const projX = lineStart.x + t * dx;
-  const projY = lineStart.y + t * dy;
+  const box = new THREE.Box3().setFromObject(currentMesh);
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
   
-  return Math.sqrt((point.x - projX) ** 2 + (point.y - projY) ** 2);
+  // Position camera at a distance based on mesh size
+  const distance = maxDim * 2;
+  camera.position.set(distance, distance * 0.75, distance);
+  controls.target.set(0, 0, 0);
+  controls.update();
 }
 
-// Simplify a THREE.Shape by reducing points in its curves
-function simplifyShape(shape, tolerance) {
-  if (tolerance <= 0) return shape;
-  
-  // Get points from the shape's path
-  const points = shape.getPoints(settings.curveSegments);
-  const simplified = simplifyPath(points, tolerance);
+// ─────────────────────────────────────────────────────────────
+// Export
+// ─────────────────────────────────────────────────────────────
+
+async function exportModel(format = 'glb') {
+  if (!currentMesh) return;
   
-  // Create a new shape from simplified points
-  const newShape = new THREE.Shape(simplified);
+  try {
+    const { data } = await meshWorker.exportModel(format, settings.lodLevels);
+    saveFile(data, `${currentFileName}.${EXPORT_FORMATS[format].extension}`, format);
+  } catch (error) {
+    console.error('Export error:', error);
+  }
+}
+
+// Every level of detail in a file of its own, for engines without MSFT_lod
+async function exportLODFiles(format = 'glb') {
+  if (!currentMesh) return;
   
-  // Also simplify holes
-  if (shape.holes && shape.holes.length > 0) {
-    newShape.holes = shape.holes.map(hole => {
-      const holePoints = hole.getPoints(settings.curveSegments);
-      const simplifiedHole = simplifyPath(holePoints, tolerance);
-      return new THREE.Path(simplifiedHole);
+  try {
+    const { files } = await meshWorker.exportLODs(format, settings.lodLevels);
+    files.forEach((data, i) => {
+      saveFile(data, `${currentFileName}_LOD${i}.${EXPORT_FORMATS[format].extension}`, format);
     });
+  } catch (error) {
+    console.error('Export error:', error);
   }
-  
-  return newShape;
 }
 
-// Remove degenerate (zero-area) triangles
-function removeDegenerateTriangles(geometry, minArea = 1e-10) {
-  const position = geometry.getAttribute('position');
-  const index = geometry.getIndex();
+function saveFile(data, filename, format) {
+  const blob = new Blob([data], { type: EXPORT_FORMATS[format].mimeType });
+  downloadBlob(blob, filename);
+}
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Batch Processing
+// ─────────────────────────────────────────────────────────────
+
+let batchFiles = [];
+
+function addToBatch(files) {
+  const svgFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.svg'));
+  if (svgFiles.length === 0) return;
   
-  if (!index) {
-    // Non-indexed geometry - filter triangles directly
-    const newPositions = [];
-    const oldPositions = position.array;
-    
-    const v0 = new THREE.Vector3();
-    const v1 = new THREE.Vector3();
-    const v2 = new THREE.Vector3();
-    const edge1 = new THREE.Vector3();
-    const edge2 = new THREE.Vector3();
-    const cross = new THREE.Vector3();
-    
-    for (let i = 0; i < position.count; i += 3) {
-      v0.fromBufferAttribute(position, i);
-      v1.fromBufferAttribute(position, i + 1);
-      v2.fromBufferAttribute(position, i + 2);
-      
-      edge1.subVectors(v1, v0);
-      edge2.subVectors(v2, v0);
-      cross.crossVectors(edge1, edge2);
-      
-      const area = cross.length() * 0.5;
-      
-      if (area > minArea) {
-        newPositions.push(
-          oldPositions[i * 3], oldPositions[i * 3 + 1], oldPositions[i * 3 + 2],
-          oldPositions[(i + 1) * 3], oldPositions[(i + 1) * 3 + 1], oldPositions[(i + 1) * 3 + 2],
-          oldPositions[(i + 2) * 3], oldPositions[(i + 2) * 3 + 1], oldPositions[(i + 2) * 3 + 2]
-        );
-      }
-    }
-    
-    const newGeometry = new THREE.BufferGeometry();
-    newGeometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
-    return newGeometry;
-  }
+  batchFiles = svgFiles;
+  updateBatchUI();
   
-  // Indexed geometry - filter indices
-  const indices = index.array;
-  const newIndices = [];
-  
-  const v0 = new THREE.Vector3();
-  const v1 = new THREE.Vector3();
-  const v2 = new THREE.Vector3();
-  const edge1 = new THREE.Vector3();
-  const edge2 = new THREE.Vector3();
-  const cross = new THREE.Vector3();
-  
-  for (let i = 0; i < indices.length; i += 3) {
-    const a = indices[i];
-    const b = indices[i + 1];
-    const c = indices[i + 2];
-    
-    // Skip if any indices are the same (degenerate)
-    if (a === b || b === c || a === c) continue;
-    
-    v0.fromBufferAttribute(position, a);
-    v1.fromBufferAttribute(position, b);
-    v2.fromBufferAttribute(position, c);
-    
-    edge1.subVectors(v1, v0);
-    edge2.subVectors(v2, v0);
-    cross.crossVectors(edge1, edge2);
-    
-    const area = cross.length() * 0.5;
-    
-    if (area > minArea) {
-      newIndices.push(a, b, c);
-    }
+  // Load first file for preview
+  if (svgFiles.length > 0) {
+    loadSVGFile(svgFiles[0]);
   }
-  
-  const newGeometry = geometry.clone();
-  newGeometry.setIndex(newIndices);
-  return newGeometry;
 }
 
-function createMeshFromSVG(svgData) {
-  const paths = svgData.paths;
-  const allShapes = [];
-  const strokeGeometries = []; // For stroke-only paths
-  
-  let shapeCount = 0;
-  
-  // First pass: collect all shapes and stroke geometries
-  paths.forEach((path, pathIndex) => {
-    const style = path.userData.style;
-    const hasFill = style.fill && style.fill !== 'none' && style.fill !== '';
-    const hasStroke = style.stroke && style.stroke !== 'none' && style.stroke !== '';
-    
-    // Debug logging
-    console.log(`Path ${pathIndex}: fill=${style.fill}, stroke=${style.stroke}, strokeWidth=${style.strokeWidth}, subPaths=${path.subPaths?.length || 0}`);
-    
-    // Handle filled paths
-    if (hasFill) {
-      const shapes = SVGLoader.createShapes(path);
-      
-      shapes.forEach((rawShape) => {
-        shapeCount++;
-        
-        // Simplify the shape if tolerance is set
-        const shape = settings.simplifyTolerance > 0 
-          ? simplifyShape(rawShape, settings.simplifyTolerance) 
-          : rawShape;
-        
-        allShapes.push(shape);
-      });
-    }
-    
-    // Handle stroked paths (convert to geometry)
-    if (hasStroke) {
-      const strokeWidth = style.strokeWidth !== undefined ? parseFloat(style.strokeWidth) : 1;
-      
-      // SVGLoader stores path data in subPaths array
-      const subPathsToProcess = path.subPaths && path.subPaths.length > 0 
-        ? path.subPaths 
-        : [];
-      
-      for (const subPath of subPathsToProcess) {
-        // getPoints() converts curves to points
-        const points = subPath.getPoints(settings.curveSegments);
-        if (points.length < 2) continue;
-        
-        // Create stroke geometry using SVGLoader's helper
-        const strokeStyle = {
-          strokeWidth: strokeWidth,
-          strokeLineCap: style.strokeLineCap || 'butt',
-          strokeLineJoin: style.strokeLineJoin || 'miter',
-          strokeMiterLimit: parseFloat(style.strokeMiterLimit) || 4
-        };
-        
-        try {
-          const strokeGeom = SVGLoader.pointsToStroke(points, strokeStyle);
-          if (strokeGeom && strokeGeom.getAttribute('position') && strokeGeom.getAttribute('position').count > 0) {
-            strokeGeometries.push(strokeGeom);
-            shapeCount++;
-          }
-        } catch (e) {
-          console.warn('Failed to create stroke geometry:', e);
-        }
-      }
-      
-      // Also try the currentPath if it exists and has curves
-      if (path.currentPath && path.currentPath.curves && path.currentPath.curves.length > 0) {
-        const points = path.currentPath.getPoints(settings.curveSegments);
-        if (points.length >= 2) {
-          const strokeStyle = {
-            strokeWidth: strokeWidth,
-            strokeLineCap: style.strokeLineCap || 'butt',
-            strokeLineJoin: style.strokeLineJoin || 'miter',
-            strokeMiterLimit: parseFloat(style.strokeMiterLimit) || 4
-          };
-          
-          try {
-            const strokeGeom = SVGLoader.pointsToStroke(points, strokeStyle);
-            if (strokeGeom && strokeGeom.getAttribute('position') && strokeGeom.getAttribute('position').count > 0) {
-              strokeGeometries.push(strokeGeom);
-              shapeCount++;
-            }
-          } catch (e) {
-            console.warn('Failed to create stroke geometry from currentPath:', e);
-          }
-        }
-      }
-    }
-  });
+function updateBatchUI() {
+  const panel = document.getElementById('batchPanel');
+  const list = document.getElementById('batchList');
+  const count = document.getElementById('batchCount');
   
-  if (allShapes.length === 0 && strokeGeometries.length === 0) {
-    return { group: new THREE.Group(), shapeCount: 0, totalVertices: 0 };
+  if (batchFiles.length <= 1) {
+    panel.hidden = true;
+    return;
   }
   
-  // Compute 2D bounding box from shapes and stroke geometries
-  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  panel.hidden = false;
+  count.textContent = `${batchFiles.length} files`;
+  showBatchErrors([]);
+  
+  list.innerHTML = batchFiles.map((file, i) => `
+    <div class="batch-item" data-index="${i}">
+      <span class="batch-item-name">${file.name}</span>
+      <span class="batch-item-status pending" id="status-${i}">pending</span>
+    </div>
+  `).join('');
   
-  allShapes.forEach(shape => {
-    const points = shape.getPoints(settings.curveSegments);
-    points.forEach(p => {
-      minX = Math.min(minX, p.x);
-      maxX = Math.max(maxX, p.x);
-      minY = Math.min(minY, p.y);
-      maxY = Math.max(maxY, p.y);
+  // Click to preview
+  list.querySelectorAll('.batch-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const idx = parseInt(item.dataset.index);
+      loadSVGFile(batchFiles[idx]);
     });
   });
+}
+
+// Failed inputs (and a failed combine) stay listed under the batch until the
+// next export or until it's cleared
+function showBatchErrors(errors) {
+  const list = document.getElementById('batchErrors');
+  list.hidden = errors.length === 0;
+  list.replaceChildren(...errors.map(({ input, error }) => {
+    const item = document.createElement('li');
+    item.textContent = `${input}: ${error.message}`;
+    return item;
+  }));
+}
+
+// Files picked from a folder keep their sub-folder path inside the ZIP
+const batchInputPath = (file) => file.webkitRelativePath || file.name;
+
+// Convert one batch file. When combining, the worker keeps the mesh for the
+// shared scene and only stats come back.
+async function processSVG(worker, file, format, combined) {
+  const text = await file.text();
+  const name = file.name.replace(/\.svg$/i, '');
+  return combined
+    ? worker.collect(text, settings, name, batchInputPath(file))
+    : worker.convert(text, settings, name, format);
+}
+
+async function batchExport() {
+  if (batchFiles.length === 0) return;
+  
+  const progressEl = document.getElementById('batchProgress');
+  const progressFill = document.getElementById('progressFill');
+  const progressText = document.getElementById('progressText');
+  const format = document.getElementById('batchFormat').value;
+  const { extension } = EXPORT_FORMATS[format];
+  const mode = document.getElementById('batchMode').value;
+  const combined = mode !== 'files';
   
-  // Also include stroke geometries in bounding box
-  strokeGeometries.forEach(geom => {
-    const pos = geom.getAttribute('position');
-    for (let i = 0; i < pos.count; i++) {
-      minX = Math.min(minX, pos.getX(i));
-      maxX = Math.max(maxX, pos.getX(i));
-      minY = Math.min(minY, pos.getY(i));
-      maxY = Math.max(maxY, pos.getY(i));
+  progressEl.hidden = false;
+  showBatchErrors([]);
+  
+  // A worker of its own, so preview rebuilds neither wait on nor cancel the batch
+  const batchWorker = createMeshWorker();
+  await Promise.all(fontBuffers.map(buffer => batchWorker.addFont(buffer)));
+  const entries = []; // manifest entries, in input order
+  const outputs = new Set();
+  
+  // Same-named files dropped from different folders get a numbered output
+  const outputPathFor = (input) => {
+    const base = input.replace(/\.svg$/i, '');
+    let output = `${base}.${extension}`;
+    for (let n = 2; outputs.has(output); n++) {
+      output = `${base}_${n}.${extension}`;
     }
-  });
+    outputs.add(output);
+    return output;
+  };
   
-  const svgWidth = maxX - minX;
-  const svgHeight = maxY - minY;
-  const maxSvgDim = Math.max(svgWidth, svgHeight);
-  
-  // Calculate scale factor: SVG units -> meters
-  const scaleFactor = maxSvgDim > 0 ? settings.scaleMeters / maxSvgDim : 1;
-  
-  // Scale extrusion depth from meters to SVG units
-  // So that after final scaling, it becomes the desired meters
-  const extrudeDepthInSvgUnits = settings.extrudeDepth / scaleFactor;
-  const bevelInSvgUnits = settings.bevelThickness / scaleFactor;
-  
-  // Second pass: create extruded geometries with corrected depth
-  const geometries = [];
-  
-  // Extrude filled shapes
-  allShapes.forEach(shape => {
-    const extrudeSettings = {
-      depth: extrudeDepthInSvgUnits,
-      bevelEnabled: bevelInSvgUnits > 0,
-      bevelThickness: bevelInSvgUnits,
-      bevelSize: bevelInSvgUnits,
-      bevelOffset: 0,
-      bevelSegments: 2,
-      curveSegments: settings.curveSegments,
-      steps: 1
-    };
+  for (let i = 0; i < batchFiles.length; i++) {
+    const file = batchFiles[i];
+    const statusEl = document.getElementById(`status-${i}`);
     
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    geometries.push(geometry);
-  });
-  
-  // Extrude stroke geometries (they're flat 2D, we need to give them depth)
-  strokeGeometries.forEach(strokeGeom => {
-    const extrudedStroke = extrudeBufferGeometry(strokeGeom, extrudeDepthInSvgUnits);
-    if (extrudedStroke) {
-      geometries.push(extrudedStroke);
+    statusEl.className = 'batch-item-status active';
+    statusEl.textContent = 'processing';
+    statusEl.title = '';
+    
+    progressFill.style.width = `${(i / batchFiles.length) * 100}%`;
+    progressText.textContent = `${i} / ${batchFiles.length}`;
+    
+    const input = batchInputPath(file);
+    try {
+      const result = await processSVG(batchWorker, file, format, combined);
+      entries.push({ input, output: combined ? null : outputPathFor(input), result });
+      
+      statusEl.className = 'batch-item-status done';
+      statusEl.textContent = 'done';
+    } catch (err) {
+      console.error(`Error processing ${file.name}:`, err);
+      entries.push({ input, error: err });
+      statusEl.className = 'batch-item-status error';
+      statusEl.textContent = 'error';
+      statusEl.title = err.message;
     }
-    strokeGeom.dispose();
-  });
-  
-  if (geometries.length === 0) {
-    return { group: new THREE.Group(), shapeCount: 0, totalVertices: 0 };
   }
   
-  // Normalize all geometries: convert to non-indexed and keep only position
-  const normalizedGeometries = geometries.map(geom => {
-    // Convert to non-indexed
-    let normalized = geom.index ? geom.toNonIndexed() : geom.clone();
-    
-    // Remove uv attribute if present (not needed, causes merge issues)
-    if (normalized.hasAttribute('uv')) {
-      normalized.deleteAttribute('uv');
-    }
-    if (normalized.hasAttribute('normal')) {
-      normalized.deleteAttribute('normal');
+  const converted = entries.filter(entry => entry.result);
+  const errors = entries.filter(entry => entry.error);
+  const zipped = combined ? [] : converted.map(({ output, result }) => ({ output, data: result.data }));
+  
+  // Combined: every converted SVG as a named node of one scene, which goes
+  // into the ZIP in place of the per-file outputs
+  let scene = null;
+  if (combined) {
+    const spacing = parseFloat(document.getElementById('batchSpacing').value) || 0;
+    scene = { output: `svg-to-gltf-scene.${extension}`, layout: mode, spacing };
+    if (converted.length === 0) {
+      scene.error = new Error('No SVG converted');
+    } else {
+      try {
+        const { data, materialCount, nodes } = await batchWorker.combine({ layout: mode, spacing, name: 'batch', format });
+        scene.materials = materialCount;
+        zipped.push({ output: scene.output, data });
+        converted.forEach((entry, i) => {
+          entry.output = scene.output;
+          entry.node = nodes[i];
+        });
+      } catch (err) {
+        console.error('Error combining batch:', err);
+        scene.error = err;
+        errors.push({ input: scene.output, error: err });
+      }
     }
-    
-    return normalized;
-  });
-  
-  // Dispose original geometries
-  geometries.forEach(g => g.dispose());
-  
-  // Merge all normalized geometries together
-  let mergedGeometry = BufferGeometryUtils.mergeGeometries(normalizedGeometries, false);
-  
-  // Dispose normalized geometries
-  normalizedGeometries.forEach(g => g.dispose());
-  
-  if (!mergedGeometry) {
-    console.error('Failed to merge geometries');
-    return { group: new THREE.Group(), shapeCount: 0, totalVertices: 0 };
   }
   
-  // Re-index with vertex merging (geometry is already non-indexed from normalization)
-  // Scale merge distance to SVG units
-  const mergeDistInSvgUnits = settings.mergeDistance / scaleFactor;
-  mergedGeometry = BufferGeometryUtils.mergeVertices(mergedGeometry, mergeDistInSvgUnits);
-  
-  // Remove degenerate triangles (zero area)
-  mergedGeometry = removeDegenerateTriangles(mergedGeometry);
-  
-  // Compute proper normals after topology is fixed
-  mergedGeometry.computeVertexNormals();
-  
-  // Center the geometry
-  mergedGeometry.computeBoundingBox();
-  const box = mergedGeometry.boundingBox;
-  const center = box.getCenter(new THREE.Vector3());
-  const size = box.getSize(new THREE.Vector3());
-  mergedGeometry.translate(-center.x, -center.y, -center.z);
+  batchWorker.terminate();
+  progressFill.style.width = '100%';
+  progressText.textContent = `${batchFiles.length} / ${batchFiles.length}`;
   
-  // Dispose individual geometries
-  geometries.forEach(g => g.dispose());
+  await downloadAsZip(zipped, createBatchManifest({ format, settings, files: entries, scene }));
+  showBatchErrors(errors);
   
-  const material = new THREE.MeshStandardMaterial({
-    color: new THREE.Color(settings.meshColor),
-    metalness: 0.1,
-    roughness: 0.6,
-    side: THREE.DoubleSide, // DoubleSide for preview (both faces visible)
-    wireframe: settings.wireframe
+  setTimeout(() => {
+    progressEl.hidden = true;
+  }, 2000);
+}
+
+// Bundle the converted files ([{ output, data }]) and manifest.json into
+// one ZIP, entirely offline
+async function downloadAsZip(outputs, manifest) {
+  const files = {
+    'manifest.json': strToU8(JSON.stringify(manifest, null, 2))
+  };
+  outputs.forEach(({ output, data }) => {
+    files[output] = typeof data === 'string' ? strToU8(data) : new Uint8Array(data);
   });
   
-  const mesh = new THREE.Mesh(mergedGeometry, material);
-  const totalVertices = mergedGeometry.attributes.position.count;
-  
-  const group = new THREE.Group();
-  group.add(mesh);
-  
-  // Scale to target size in meters
-  group.scale.setScalar(scaleFactor);
-  
-  // Flip Y axis (SVG coordinate system is inverted)
-  group.scale.y *= -1;
-  
-  // Rotate to lay flat on XZ plane (SVG extrudes along Z, we want it along Y)
-  group.rotation.x = -Math.PI / 2;
+  // Compresses off the main thread
+  const archive = await new Promise((resolve, reject) => {
+    zip(files, { level: 6 }, (err, data) => err ? reject(err) : resolve(data));
+  });
+  downloadBlob(new Blob([archive], { type: 'application/zip' }), 'svg-to-gltf-export.zip');
+}
+
+function clearBatch() {
+  batchFiles = [];
+  showBatchErrors([]);
+  document.getElementById('batchPanel').hidden = true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Depth Rules
+// ─────────────────────────────────────────────────────────────
+
+const depthRuleList = document.getElementById('depthRuleList');
+
+function renderDepthRules() {
+  depthRuleList.hidden = settings.depthRules.length === 0;
   
-  // Center extrusion on Y axis (now in actual meters)
-  group.position.y = settings.extrudeDepth / 2;
+  depthRuleList.innerHTML = settings.depthRules.map((rule, i) => `
+    <div class="rule-row" data-index="${i}">
+      <select class="rule-input rule-match" data-field="match">
+        ${RULE_MATCH_TYPES.map(type => `<option value="${type}" ${type === rule.match ? 'selected' : ''}>${type}</option>`).join('')}
+      </select>
+      <input class="rule-input rule-value" data-field="value" list="ruleValues-${rule.match}" placeholder="${rule.match === 'color' ? '#ff6b35' : rule.match}">
+      <input class="rule-input rule-number" data-field="depth" type="number" min="0.0001" step="0.001" title="Depth (m)">
+      <input class="rule-input rule-number" data-field="offset" type="number" step="0.001" title="Z offset (m)">
+      <button class="rule-remove" data-action="remove" title="Remove rule">×</button>
+    </div>
+  `).join('');
   
-  return { group, shapeCount, totalVertices };
+  // Values are assigned as properties so user text never gets parsed as markup
+  depthRuleList.querySelectorAll('.rule-row').forEach(row => {
+    const rule = settings.depthRules[parseInt(row.dataset.index)];
+    row.querySelector('[data-field="value"]').value = rule.value;
+    row.querySelector('[data-field="depth"]').value = rule.depth;
+    row.querySelector('[data-field="offset"]').value = rule.offset;
+  });
 }
 
-function updateMesh() {
-  if (!currentSvgData) return;
+// Offer the colors, ids and classes of the loaded SVG as rule values
+function updateRuleSuggestions(targets) {
+  RULE_MATCH_TYPES.forEach(type => {
+    const datalist = document.getElementById(`ruleValues-${type}`);
+    datalist.replaceChildren(...targets[type].map(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      return option;
+    }));
+  });
+}
+
+document.getElementById('addDepthRule').addEventListener('click', () => {
+  const suggestion = document.getElementById('ruleValues-color').querySelector('option');
+  settings.depthRules.push({
+    match: 'color',
+    value: suggestion ? suggestion.value : '',
+    depth: settings.extrudeDepth,
+    offset: 0
+  });
+  renderDepthRules();
+  updateMesh();
+});
+
+depthRuleList.addEventListener('input', (e) => {
+  const field = e.target.dataset.field;
+  if (!field) return;
   
-  if (currentMesh) {
-    scene.remove(currentMesh);
-    disposeMesh(currentMesh);
+  const rule = settings.depthRules[parseInt(e.target.closest('.rule-row').dataset.index)];
+  if (field === 'depth' || field === 'offset') {
+    const val = parseFloat(e.target.value);
+    if (!Number.isFinite(val) || (field === 'depth' && val <= 0)) return;
+    rule[field] = val;
+  } else {
+    rule[field] = e.target.value;
   }
   
-  const { group, shapeCount, totalVertices } = createMeshFromSVG(currentSvgData);
-  currentMesh = group;
-  scene.add(currentMesh);
+  // Switching match type changes the suggestion list and placeholder
+  if (field === 'match') renderDepthRules();
+  updateMesh();
+});
+
+depthRuleList.addEventListener('click', (e) => {
+  if (e.target.dataset.action !== 'remove') return;
   
-  // Debug: log mesh bounds
-  const box = new THREE.Box3().setFromObject(currentMesh);
-  const size = box.getSize(new THREE.Vector3());
-  console.log('📦 Mesh created:', { shapeCount, totalVertices, size: size.toArray().map(n => n.toFixed(2)) });
+  settings.depthRules.splice(parseInt(e.target.closest('.rule-row').dataset.index), 1);
+  renderDepthRules();
+  updateMesh();
+});
+
+renderDepthRules();
+
+// ─────────────────────────────────────────────────────────────
+// Revolve and Sweep
+// ─────────────────────────────────────────────────────────────
+
+const profilePathSelect = document.getElementById('profilePathSelect');
+const revolveGuideSelect = document.getElementById('revolveGuideSelect');
+const spinePathSelect = document.getElementById('spinePathSelect');
+const spineFileInput = document.getElementById('spineFileInput');
+let svgPathNames = []; // Paths of the loaded SVG, for the profile, guide and spine pickers
+let spinePathNames = []; // Paths of the separate spine SVG, if any
+let spineFileName = '';
+
+// Path pickers list the SVG's paths, plus a chosen name the SVG lacks (from a preset)
+function renderPathOptions(select, names, autoLabel, selected) {
+  const options = selected && !names.includes(selected) ? [...names, selected] : names;
+  select.replaceChildren(new Option(autoLabel, ''), ...options.map(name => new Option(name, name)));
+  select.value = selected;
+}
+
+function renderModeOptions() {
+  profilePathSelect.hidden = settings.generationMode === 'extrude';
+  document.getElementById('revolveOptions').hidden = settings.generationMode !== 'revolve';
+  document.getElementById('sweepOptions').hidden = settings.generationMode !== 'sweep';
+  revolveGuideSelect.hidden = settings.revolveAxis !== 'guide';
   
-  // Update info display
-  document.getElementById('shapeCount').textContent = shapeCount;
-  document.getElementById('vertexCount').textContent = totalVertices.toLocaleString();
+  renderPathOptions(profilePathSelect, svgPathNames, 'First path', settings.profilePath);
+  renderPathOptions(revolveGuideSelect, svgPathNames, 'Marked "axis"/"guide", or first line', settings.revolveGuide);
+  renderPathOptions(spinePathSelect, settings.spineSvgText ? spinePathNames : svgPathNames,
+    'Marked "spine", or last path', settings.spinePath);
   
-  // Enable export buttons
-  document.getElementById('exportGlb').disabled = false;
-  document.getElementById('exportGltf').disabled = false;
+  document.getElementById('spineFileRow').hidden = !settings.spineSvgText;
+  document.getElementById('spineFileName').textContent = `Spine from ${spineFileName || 'another SVG'}`;
 }
 
-function disposeMesh(mesh) {
-  mesh.traverse((child) => {
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) {
-      if (Array.isArray(child.material)) {
-        child.material.forEach(m => m.dispose());
-      } else {
-        child.material.dispose();
-      }
-    }
-  });
+function setModePaths(names) {
+  svgPathNames = names;
+  renderModeOptions();
+}
+
+// Path names of the separate spine SVG, which only the worker can parse
+async function loadSpinePaths() {
+  try {
+    spinePathNames = settings.spineSvgText ? (await meshWorker.listPaths(settings.spineSvgText)).paths : [];
+  } catch (err) {
+    console.error('Failed to read the spine SVG:', err);
+    spinePathNames = [];
+  }
+  renderModeOptions();
 }
 
+document.getElementById('generationModeSelect').addEventListener('change', (e) => {
+  settings.generationMode = e.target.value;
+  renderModeOptions();
+  updateMesh();
+});
+
+profilePathSelect.addEventListener('change', (e) => {
+  settings.profilePath = e.target.value;
+  updateMesh();
+});
+
+document.getElementById('revolveAxisSelect').addEventListener('change', (e) => {
+  settings.revolveAxis = e.target.value;
+  renderModeOptions();
+  updateMesh();
+});
+
+revolveGuideSelect.addEventListener('change', (e) => {
+  settings.revolveGuide = e.target.value;
+  updateMesh();
+});
+
+document.getElementById('revolveAngleInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val > 0 && val <= 360) {
+    settings.revolveAngle = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('revolveSegmentsInput').addEventListener('input', (e) => {
+  const val = parseInt(e.target.value);
+  if (val >= 3) {
+    settings.revolveSegments = val;
+    updateMesh();
+  }
+});
+
+spinePathSelect.addEventListener('change', (e) => {
+  settings.spinePath = e.target.value;
+  updateMesh();
+});
+
+document.getElementById('loadSpineFile').addEventListener('click', () => spineFileInput.click());
+
+spineFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  settings.spineSvgText = await file.text();
+  settings.spinePath = '';
+  spineFileName = file.name;
+  await loadSpinePaths();
+  updateMesh();
+});
+
+document.getElementById('clearSpineFile').addEventListener('click', () => {
+  settings.spineSvgText = '';
+  settings.spinePath = '';
+  spineFileName = '';
+  spinePathNames = [];
+  renderModeOptions();
+  updateMesh();
+});
+
+document.getElementById('sweepTwistInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (Number.isFinite(val)) {
+    settings.sweepTwist = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('sweepSegmentsInput').addEventListener('input', (e) => {
+  const val = parseInt(e.target.value);
+  if (val >= 1) {
+    settings.sweepSegments = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('sweepScaleStartInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val > 0) {
+    settings.sweepScaleStart = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('sweepScaleEndInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val > 0) {
+    settings.sweepScaleEnd = val;
+    updateMesh();
+  }
+});
+
+renderModeOptions();
+
 // ─────────────────────────────────────────────────────────────
-// File Handling
+// Relief
 // ─────────────────────────────────────────────────────────────
 
-async function loadSVGFile(file) {
-  const text = await file.text();
-  currentSvgData = parseSVG(text);
-  currentFileName = file.name.replace('.svg', '');
+const reliefRampList = document.getElementById('reliefRampList');
+const reliefLegend = document.getElementById('reliefLegend');
+const RELIEF_LEGEND_PADDING = 10;
+let reliefColors = []; // Flat colors of the loaded SVG, for the legend
+
+function renderReliefRamp() {
+  document.getElementById('reliefOptions').hidden = settings.reliefMode === 'off';
   
-  updateMesh();
+  reliefRampList.innerHTML = settings.reliefRamp.map((stop, i) => `
+    <div class="rule-row relief-stop" data-index="${i}">
+      <input class="rule-input relief-color" data-field="color" type="color" title="Color">
+      <input class="rule-input rule-number" data-field="height" type="number" min="0" step="0.001" title="Height (m)">
+      <button class="rule-remove" data-action="remove" title="Remove stop" ${settings.reliefRamp.length > 1 ? '' : 'disabled'}>×</button>
+    </div>
+  `).join('');
   
-  // Update UI - hide empty state
-  document.getElementById('viewportEmpty').style.display = 'none';
-  document.getElementById('fileInfo').hidden = false;
-  document.getElementById('fileName').textContent = file.name;
+  reliefRampList.querySelectorAll('.rule-row').forEach(row => {
+    const stop = settings.reliefRamp[parseInt(row.dataset.index)];
+    row.querySelector('[data-field="color"]').value = stop.color;
+    row.querySelector('[data-field="height"]').value = stop.height;
+  });
+  drawReliefLegend();
+}
+
+// The ramp as a profile: position along the ramp to the right, height up,
+// filled with the ramp's colors, plus a dot where each SVG color lands
+function drawReliefLegend() {
+  if (settings.reliefMode === 'off') return;
+  
+  const ctx = reliefLegend.getContext('2d');
+  const css = getComputedStyle(document.documentElement);
+  const { width, height } = reliefLegend;
+  ctx.clearRect(0, 0, width, height);
+  
+  const stops = getRampStops(settings.reliefMode, settings.reliefRamp);
+  const maxHeight = Math.max(...stops.map(stop => stop.height), 1e-9);
+  const toLegend = (position, value) => [
+    RELIEF_LEGEND_PADDING + position * (width - 2 * RELIEF_LEGEND_PADDING),
+    height - RELIEF_LEGEND_PADDING - value / maxHeight * (height - 2 * RELIEF_LEGEND_PADDING)
+  ];
+  
+  const gradient = ctx.createLinearGradient(toLegend(0, 0)[0], 0, toLegend(1, 0)[0], 0);
+  stops.forEach(stop => gradient.addColorStop(THREE.MathUtils.clamp(stop.position, 0, 1), stop.color));
+  
+  const profile = Array.from({ length: 65 }, (_, i) => toLegend(i / 64, getRampHeight(stops, i / 64)));
+  ctx.beginPath();
+  ctx.moveTo(...toLegend(0, 0));
+  profile.forEach(point => ctx.lineTo(...point));
+  ctx.lineTo(...toLegend(1, 0));
+  ctx.closePath();
+  ctx.fillStyle = gradient;
+  ctx.fill();
+  ctx.strokeStyle = css.getPropertyValue('--text-muted');
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  
+  reliefColors.forEach(color => {
+    const position = getRampPosition(stops, settings.reliefMode, color);
+    ctx.beginPath();
+    ctx.arc(...toLegend(position, getRampHeight(stops, position)), 4, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = css.getPropertyValue('--highlight');
+    ctx.stroke();
+  });
   
-  // Fit camera to object
-  fitCameraToMesh();
+  ctx.fillStyle = css.getPropertyValue('--text-secondary');
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`${+maxHeight.toPrecision(3)} m`, 4, 2);
 }
 
-function resetCamera() {
-  camera.position.set(4, 3, 4); // Isometric-ish view
-  controls.target.set(0, 0, 0);
-  controls.update();
+function setReliefColors(colors) {
+  reliefColors = colors;
+  drawReliefLegend();
 }
 
-function fitCameraToMesh() {
-  if (!currentMesh) return;
+document.getElementById('reliefModeSelect').addEventListener('change', (e) => {
+  settings.reliefMode = e.target.value;
+  renderReliefRamp();
+  updateMesh();
+});
+
+// New stops go halfway between the last two, or below the only one
+document.getElementById('addReliefStop').addEventListener('click', () => {
+  const ramp = settings.reliefRamp;
+  const last = ramp[ramp.length - 1];
+  const previous = ramp[ramp.length - 2];
+  ramp.push(previous
+    ? { color: `#${new THREE.Color(previous.color).lerp(new THREE.Color(last.color), 0.5).getHexString()}`, height: (previous.height + last.height) / 2 }
+    : { color: '#ffffff', height: last.height / 2 });
+  renderReliefRamp();
+  updateMesh();
+});
+
+reliefRampList.addEventListener('input', (e) => {
+  const field = e.target.dataset.field;
+  if (!field) return;
   
-  const box = new THREE.Box3().setFromObject(currentMesh);
-  const size = box.getSize(new THREE.Vector3());
-  const maxDim = Math.max(size.x, size.y, size.z);
+  const stop = settings.reliefRamp[parseInt(e.target.closest('.rule-row').dataset.index)];
+  if (field === 'height') {
+    const val = parseFloat(e.target.value);
+    if (!Number.isFinite(val) || val < 0) return;
+    stop.height = val;
+  } else {
+    stop.color = e.target.value;
+  }
   
-  // Position camera at a distance based on mesh size
-  const distance = maxDim * 2;
-  camera.position.set(distance, distance * 0.75, distance);
-  controls.target.set(0, 0, 0);
-  controls.update();
-}
+  drawReliefLegend();
+  updateMesh();
+});
+
+reliefRampList.addEventListener('click', (e) => {
+  if (e.target.dataset.action !== 'remove' || settings.reliefRamp.length <= 1) return;
+  
+  settings.reliefRamp.splice(parseInt(e.target.closest('.rule-row').dataset.index), 1);
+  renderReliefRamp();
+  updateMesh();
+});
+
+renderReliefRamp();
+
+// ─────────────────────────────────────────────────────────────
+// Contour Offset
+// ─────────────────────────────────────────────────────────────
+
+document.getElementById('contourOffsetInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (Number.isFinite(val)) {
+    settings.contourOffset = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('contourJoinSelect').addEventListener('change', (e) => {
+  settings.contourJoin = e.target.value;
+  updateMesh();
+});
+
+document.getElementById('inlaySocketToggle').addEventListener('change', (e) => {
+  settings.inlaySocket = e.target.checked;
+  updateMesh();
+});
 
 // ─────────────────────────────────────────────────────────────
-// Export
+// Backing Plate
 // ─────────────────────────────────────────────────────────────
 
-function exportGLTF(binary = true) {
-  if (!currentMesh) return;
-  
-  const exporter = new GLTFExporter();
-  const options = {
-    binary,
-    trs: false,
-    onlyVisible: true,
-    includeCustomExtensions: false
-  };
-  
-  exporter.parse(
-    currentMesh,
-    (result) => {
-      if (binary) {
-        saveArrayBuffer(result, `${currentFileName}.glb`);
-      } else {
-        const output = JSON.stringify(result, null, 2);
-        saveString(output, `${currentFileName}.gltf`);
-      }
-    },
-    (error) => {
-      console.error('Export error:', error);
-    },
-    options
-  );
-}
+// Number inputs of the plate options -> [setting, accepted values]
+const PLATE_INPUTS = {
+  plateThicknessInput: ['plateThickness', val => val > 0],
+  plateMarginInput: ['plateMargin', val => val >= 0],
+  plateCornerRadiusInput: ['plateCornerRadius', val => val >= 0],
+  keyringDiameterInput: ['keyringDiameter', val => val > 0],
+  screwDiameterInput: ['screwDiameter', val => val > 0],
+  magnetDiameterInput: ['magnetDiameter', val => val >= 0],
+  magnetDepthInput: ['magnetDepth', val => val > 0]
+};
 
-function saveArrayBuffer(buffer, filename) {
-  const blob = new Blob([buffer], { type: 'application/octet-stream' });
-  downloadBlob(blob, filename);
+function renderPlateOptions() {
+  document.getElementById('plateOptions').hidden = settings.plateShape === 'none' && !settings.engrave;
+  document.getElementById('engraveOptions').hidden = !settings.engrave;
+  document.getElementById('plateCornerRow').hidden = settings.plateShape !== 'rectangle';
+  document.getElementById('keyringDiameterInput').hidden = settings.keyringHole === 'none';
+  document.getElementById('screwDiameterInput').hidden = settings.screwHoles === 0;
+  document.getElementById('screwCountersinkRow').hidden = settings.screwHoles === 0;
 }
 
-function saveString(text, filename) {
-  const blob = new Blob([text], { type: 'application/json' });
-  downloadBlob(blob, filename);
-}
+document.getElementById('plateShapeSelect').addEventListener('change', (e) => {
+  settings.plateShape = e.target.value;
+  renderPlateOptions();
+  updateMesh();
+});
 
-function downloadBlob(blob, filename) {
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = filename;
-  link.click();
-  URL.revokeObjectURL(link.href);
-}
+document.getElementById('keyringHoleSelect').addEventListener('change', (e) => {
+  settings.keyringHole = e.target.value;
+  renderPlateOptions();
+  updateMesh();
+});
 
-// ─────────────────────────────────────────────────────────────
-// Batch Processing
-// ─────────────────────────────────────────────────────────────
+document.getElementById('screwHolesSelect').addEventListener('change', (e) => {
+  settings.screwHoles = parseInt(e.target.value);
+  renderPlateOptions();
+  updateMesh();
+});
 
-let batchFiles = [];
+document.getElementById('screwCountersinkToggle').addEventListener('change', (e) => {
+  settings.screwCountersink = e.target.checked;
+  updateMesh();
+});
 
-function addToBatch(files) {
-  const svgFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith('.svg'));
-  if (svgFiles.length === 0) return;
-  
-  batchFiles = svgFiles;
-  updateBatchUI();
-  
-  // Load first file for preview
-  if (svgFiles.length > 0) {
-    loadSVGFile(svgFiles[0]);
-  }
-}
+Object.entries(PLATE_INPUTS).forEach(([id, [key, isValid]]) => {
+  document.getElementById(id).addEventListener('input', (e) => {
+    const val = parseFloat(e.target.value);
+    if (isValid(val)) {
+      settings[key] = val;
+      updateMesh();
+    }
+  });
+});
 
-function updateBatchUI() {
-  const panel = document.getElementById('batchPanel');
-  const list = document.getElementById('batchList');
-  const count = document.getElementById('batchCount');
-  
-  if (batchFiles.length <= 1) {
-    panel.hidden = true;
-    return;
+document.getElementById('engraveToggle').addEventListener('change', (e) => {
+  settings.engrave = e.target.checked;
+  renderPlateOptions();
+  updateMesh();
+});
+
+document.getElementById('engraveDepthInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val > 0) {
+    settings.engraveDepth = val;
+    updateMesh();
   }
-  
-  panel.hidden = false;
-  count.textContent = `${batchFiles.length} files`;
-  
-  list.innerHTML = batchFiles.map((file, i) => `
-    <div class="batch-item" data-index="${i}">
-      <span class="batch-item-name">${file.name}</span>
-      <span class="batch-item-status pending" id="status-${i}">pending</span>
+});
+
+document.getElementById('engraveMirrorToggle').addEventListener('change', (e) => {
+  settings.engraveMirror = e.target.checked;
+  updateMesh();
+});
+
+// ─────────────────────────────────────────────────────────────
+// Levels of Detail
+// ─────────────────────────────────────────────────────────────
+
+// The preview shows LOD0 only, so editing levels needs no rebuild: they're
+// built when exporting
+const lodLevelList = document.getElementById('lodLevelList');
+
+function renderLODLevels() {
+  lodLevelList.hidden = settings.lodLevels.length === 0;
+  document.getElementById('exportLodFiles').hidden = settings.lodLevels.length === 0;
+  
+  lodLevelList.innerHTML = settings.lodLevels.map((level, i) => `
+    <div class="rule-row lod-level" data-index="${i}">
+      <span class="lod-name">LOD${i + 1}</span>
+      <input class="rule-input rule-number" data-field="simplifyTolerance" type="number" min="0" step="0.1" title="Simplify tolerance">
+      <input class="rule-input rule-number" data-field="curveSegments" type="number" min="1" step="1" title="Curve segments">
+      <input class="rule-input rule-number" data-field="coverage" type="number" min="0.001" max="1" step="0.01" title="Screen coverage it shows below">
+      <button class="rule-remove" data-action="remove" title="Remove level">×</button>
     </div>
   `).join('');
   
-  // Click to preview
-  list.querySelectorAll('.batch-item').forEach(item => {
-    item.addEventListener('click', () => {
-      const idx = parseInt(item.dataset.index);
-      loadSVGFile(batchFiles[idx]);
-    });
+  lodLevelList.querySelectorAll('.rule-row').forEach(row => {
+    const level = settings.lodLevels[parseInt(row.dataset.index)];
+    row.querySelector('[data-field="simplifyTolerance"]').value = level.simplifyTolerance;
+    row.querySelector('[data-field="curveSegments"]').value = level.curveSegments;
+    row.querySelector('[data-field="coverage"]').value = level.coverage;
   });
 }
 
-async function processSVGToGLB(file) {
-  const text = await file.text();
-  const svgData = parseSVG(text);
-  
-  // Temporarily set the data and create mesh
-  const prevData = currentSvgData;
-  currentSvgData = svgData;
-  
-  const { group } = createMeshFromSVG(svgData);
-  
-  // Restore
-  currentSvgData = prevData;
-  
-  return new Promise((resolve, reject) => {
-    const exporter = new GLTFExporter();
-    exporter.parse(
-      group,
-      (result) => {
-        // Dispose the temporary mesh
-        disposeMesh(group);
-        resolve(result);
-      },
-      (error) => {
-        disposeMesh(group);
-        reject(error);
-      },
-      { binary: true }
-    );
+// New levels are coarser than the last one: twice the tolerance, half the
+// curve segments and half the screen coverage
+document.getElementById('addLodLevel').addEventListener('click', () => {
+  const last = settings.lodLevels[settings.lodLevels.length - 1] ??
+    { simplifyTolerance: settings.simplifyTolerance, curveSegments: settings.curveSegments, coverage: 1 };
+  settings.lodLevels.push({
+    simplifyTolerance: Math.max(last.simplifyTolerance * 2, 0.5),
+    curveSegments: Math.max(Math.floor(last.curveSegments / 2), 1),
+    coverage: last.coverage / 2
   });
-}
+  renderLODLevels();
+});
 
-async function batchExport() {
-  if (batchFiles.length === 0) return;
-  
-  const progressEl = document.getElementById('batchProgress');
-  const progressFill = document.getElementById('progressFill');
-  const progressText = document.getElementById('progressText');
+lodLevelList.addEventListener('input', (e) => {
+  const field = e.target.dataset.field;
+  if (!field) return;
   
-  progressEl.hidden = false;
+  const level = settings.lodLevels[parseInt(e.target.closest('.rule-row').dataset.index)];
+  const val = field === 'curveSegments' ? parseInt(e.target.value) : parseFloat(e.target.value);
+  if (isValidLODLevel({ ...level, [field]: val })) level[field] = val;
+});
+
+lodLevelList.addEventListener('click', (e) => {
+  if (e.target.dataset.action !== 'remove') return;
   
-  const results = [];
+  settings.lodLevels.splice(parseInt(e.target.closest('.rule-row').dataset.index), 1);
+  renderLODLevels();
+});
+
+document.getElementById('exportLodFiles').addEventListener('click', () => exportLODFiles('glb'));
+
+renderLODLevels();
+
+// ─────────────────────────────────────────────────────────────
+// Fonts
+// ─────────────────────────────────────────────────────────────
+
+const fontFileInput = document.getElementById('fontFileInput');
+const fontFamilies = ['Helvetiker (built in)'];
+const fontBuffers = []; // every font the preview worker loaded, for batch workers
+
+document.getElementById('addFont').addEventListener('click', () => fontFileInput.click());
+
+fontFileInput.addEventListener('change', async (e) => {
+  const files = Array.from(e.target.files);
+  e.target.value = '';
   
-  for (let i = 0; i < batchFiles.length; i++) {
-    const file = batchFiles[i];
-    const statusEl = document.getElementById(`status-${i}`);
-    
-    statusEl.className = 'batch-item-status active';
-    statusEl.textContent = 'processing';
-    
-    progressFill.style.width = `${(i / batchFiles.length) * 100}%`;
-    progressText.textContent = `${i} / ${batchFiles.length}`;
-    
+  const errors = [];
+  for (const file of files) {
     try {
-      const glb = await processSVGToGLB(file);
-      const filename = file.name.replace(/\.svg$/i, '.glb');
-      results.push({ filename, data: glb });
-      
-      statusEl.className = 'batch-item-status done';
-      statusEl.textContent = 'done';
+      const buffer = await file.arrayBuffer();
+      const { family } = await meshWorker.addFont(buffer);
+      fontBuffers.push(buffer);
+      fontFamilies.push(family);
     } catch (err) {
-      console.error(`Error processing ${file.name}:`, err);
-      statusEl.className = 'batch-item-status pending';
-      statusEl.textContent = 'error';
+      errors.push(`Could not load ${file.name}: ${err.message}`);
     }
   }
-  
-  progressFill.style.width = '100%';
-  progressText.textContent = `${batchFiles.length} / ${batchFiles.length}`;
-  
-  // Download as zip if multiple, or single file
-  if (results.length === 1) {
-    saveArrayBuffer(results[0].data, results[0].filename);
-  } else if (results.length > 1) {
-    await downloadAsZip(results);
+  document.getElementById('fontList').textContent = fontFamilies.join(', ');
+  document.getElementById('fontStatus').textContent = errors.join(' ');
+  
+  // Re-convert the SVG's text with the new fonts
+  if (currentSvgText && errors.length < files.length) {
+    const { warnings } = await meshWorker.load(currentSvgText);
+    svgWarnings = warnings;
+    showSVGWarnings(warnings);
+    await updateMesh();
   }
-  
-  setTimeout(() => {
-    progressEl.hidden = true;
-  }, 2000);
+});
+
+// ─────────────────────────────────────────────────────────────
+// Bevel Profile
+// ─────────────────────────────────────────────────────────────
+
+// The editor draws the bevel as the edge's cross-section: outward to the
+// right, up towards the face. Custom curves get two draggable control points.
+const bevelEditor = document.getElementById('bevelCurveEditor');
+const BEVEL_EDITOR_PADDING = 16;
+const BEVEL_HANDLE_RADIUS = 5;
+let draggedBevelHandle = -1;
+
+// Profile coordinates (0-1) <-> canvas pixels
+function toBevelEditor(x, y) {
+  const width = bevelEditor.width - 2 * BEVEL_EDITOR_PADDING;
+  const height = bevelEditor.height - 2 * BEVEL_EDITOR_PADDING;
+  return [BEVEL_EDITOR_PADDING + x * width, BEVEL_EDITOR_PADDING + (1 - y) * height];
 }
 
-async function downloadAsZip(files) {
-  // Dynamic import of JSZip from CDN
-  if (!window.JSZip) {
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-    document.head.appendChild(script);
-    await new Promise(resolve => script.onload = resolve);
-  }
-  
-  const zip = new JSZip();
+function fromBevelEditor(e) {
+  const rect = bevelEditor.getBoundingClientRect();
+  const px = (e.clientX - rect.left) * bevelEditor.width / rect.width;
+  const py = (e.clientY - rect.top) * bevelEditor.height / rect.height;
+  const width = bevelEditor.width - 2 * BEVEL_EDITOR_PADDING;
+  const height = bevelEditor.height - 2 * BEVEL_EDITOR_PADDING;
+  return [(px - BEVEL_EDITOR_PADDING) / width, 1 - (py - BEVEL_EDITOR_PADDING) / height];
+}
+
+function drawBevelProfile() {
+  const ctx = bevelEditor.getContext('2d');
+  const css = getComputedStyle(document.documentElement);
+  const custom = settings.bevelProfile === 'custom';
+  bevelEditor.classList.toggle('editable', custom);
+  ctx.clearRect(0, 0, bevelEditor.width, bevelEditor.height);
+  
+  // Solid material below the curve, then the smooth curve, then the
+  // segments actually extruded
+  const curve = getBevelProfile(settings.bevelProfile, 48, settings.bevelCurve);
+  ctx.beginPath();
+  curve.forEach(([x, y]) => ctx.lineTo(...toBevelEditor(x, y)));
+  ctx.lineTo(...toBevelEditor(1, -1));
+  ctx.lineTo(...toBevelEditor(-1, -1));
+  ctx.lineTo(...toBevelEditor(-1, 1));
+  ctx.closePath();
+  ctx.fillStyle = css.getPropertyValue('--border');
+  ctx.fill();
+  
+  ctx.beginPath();
+  curve.forEach(([x, y]) => ctx.lineTo(...toBevelEditor(x, y)));
+  ctx.strokeStyle = css.getPropertyValue('--text-muted');
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  
+  ctx.beginPath();
+  getBevelProfile(settings.bevelProfile, settings.bevelSegments, settings.bevelCurve)
+    .forEach(([x, y]) => ctx.lineTo(...toBevelEditor(x, y)));
+  ctx.strokeStyle = css.getPropertyValue('--accent');
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  if (!custom) return;
+  
+  const [x1, y1, x2, y2] = settings.bevelCurve;
+  [[0, 1, x1, y1], [1, 0, x2, y2]].forEach(([ax, ay, hx, hy]) => {
+    ctx.beginPath();
+    ctx.moveTo(...toBevelEditor(ax, ay));
+    ctx.lineTo(...toBevelEditor(hx, hy));
+    ctx.strokeStyle = css.getPropertyValue('--highlight');
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.arc(...toBevelEditor(hx, hy), BEVEL_HANDLE_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = css.getPropertyValue('--highlight');
+    ctx.fill();
+  });
+}
+
+bevelEditor.addEventListener('pointerdown', (e) => {
+  if (settings.bevelProfile !== 'custom') return;
   
-  files.forEach(({ filename, data }) => {
-    zip.file(filename, data);
+  // Grab the nearest control point if the pointer is on it
+  const rect = bevelEditor.getBoundingClientRect();
+  const px = (e.clientX - rect.left) * bevelEditor.width / rect.width;
+  const py = (e.clientY - rect.top) * bevelEditor.height / rect.height;
+  const distances = [0, 1].map(i => {
+    const [hx, hy] = toBevelEditor(settings.bevelCurve[i * 2], settings.bevelCurve[i * 2 + 1]);
+    return Math.hypot(hx - px, hy - py);
   });
+  const nearest = distances[0] <= distances[1] ? 0 : 1;
+  if (distances[nearest] > BEVEL_HANDLE_RADIUS * 3) return;
   
-  const blob = await zip.generateAsync({ type: 'blob' });
-  downloadBlob(blob, 'svg-to-gltf-export.zip');
-}
+  draggedBevelHandle = nearest;
+  bevelEditor.setPointerCapture(e.pointerId);
+});
 
-function clearBatch() {
-  batchFiles = [];
-  document.getElementById('batchPanel').hidden = true;
-}
+bevelEditor.addEventListener('pointermove', (e) => {
+  if (draggedBevelHandle < 0) return;
+  const [x, y] = fromBevelEditor(e);
+  settings.bevelCurve[draggedBevelHandle * 2] = Math.min(1, Math.max(0, x));
+  settings.bevelCurve[draggedBevelHandle * 2 + 1] = Math.min(1.5, Math.max(-0.5, y));
+  drawBevelProfile();
+});
+
+bevelEditor.addEventListener('pointerup', () => {
+  if (draggedBevelHandle < 0) return;
+  draggedBevelHandle = -1;
+  updateMesh();
+});
+
+drawBevelProfile();
 
 // ─────────────────────────────────────────────────────────────
 // Event Handlers
@@ -986,7 +1326,11 @@ folderInput.addEventListener('change', (e) => {
 });
 
 // Batch buttons
-document.getElementById('batchExportGlb').addEventListener('click', batchExport);
+document.getElementById('batchExportAll').addEventListener('click', batchExport);
+document.getElementById('batchMode').addEventListener('change', (e) => {
+  // Stacked models all sit at the origin, so spacing only applies to grid and row
+  document.getElementById('batchSpacing').hidden = e.target.value === 'files' || e.target.value === 'stack';
+});
 document.getElementById('batchClear').addEventListener('click', clearBatch);
 
 // Scale input
@@ -995,8 +1339,7 @@ scaleInput.addEventListener('input', (e) => {
   const val = parseFloat(e.target.value);
   if (val > 0) {
     settings.scaleMeters = val;
-    updateMesh();
-    fitCameraToMesh();
+    updateMesh().then(fitCameraToMesh);
   }
 });
 
@@ -1004,8 +1347,10 @@ scaleInput.addEventListener('input', (e) => {
 const extrudeSlider = document.getElementById('extrudeSlider');
 const extrudeInput = document.getElementById('extrudeInput');
 const bevelSlider = document.getElementById('bevelSlider');
+const bevelInput = document.getElementById('bevelInput');
 const segmentsSlider = document.getElementById('segmentsSlider');
 const colorPicker = document.getElementById('colorPicker');
+const overrideColorToggle = document.getElementById('overrideColorToggle');
 const wireframeToggle = document.getElementById('wireframeToggle');
 
 // Sync extrusion slider and input
@@ -1030,7 +1375,49 @@ extrudeInput.addEventListener('input', (e) => {
 
 bevelSlider.addEventListener('input', (e) => {
   settings.bevelThickness = parseFloat(e.target.value);
-  document.getElementById('bevelValue').textContent = settings.bevelThickness.toFixed(3);
+  bevelInput.value = settings.bevelThickness;
+  document.getElementById('bevelOptions').hidden = settings.bevelThickness <= 0;
+  updateMesh();
+});
+
+bevelInput.addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val >= 0) {
+    settings.bevelThickness = val;
+    // Update slider if within range
+    if (val <= 1) {
+      bevelSlider.value = val;
+    }
+    document.getElementById('bevelOptions').hidden = val <= 0;
+    updateMesh();
+  }
+});
+
+document.getElementById('bevelSizeInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val >= 0) {
+    settings.bevelSize = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('bevelSegmentsInput').addEventListener('input', (e) => {
+  const val = parseInt(e.target.value);
+  if (val >= 1) {
+    settings.bevelSegments = val;
+    drawBevelProfile();
+    updateMesh();
+  }
+});
+
+document.getElementById('bevelProfileSelect').addEventListener('change', (e) => {
+  settings.bevelProfile = e.target.value;
+  drawBevelProfile();
+  updateMesh();
+});
+
+document.getElementById('bevelSidesSelect').addEventListener('change', (e) => {
+  settings.bevelSides = e.target.value;
   updateMesh();
 });
 
@@ -1040,6 +1427,36 @@ segmentsSlider.addEventListener('input', (e) => {
   updateMesh();
 });
 
+const stackLayersToggle = document.getElementById('stackLayersToggle');
+stackLayersToggle.addEventListener('change', (e) => {
+  settings.stackLayers = e.target.checked;
+  document.getElementById('layerOptions').hidden = !settings.stackLayers;
+  updateMesh();
+});
+
+document.getElementById('layerModeSelect').addEventListener('change', (e) => {
+  settings.layerMode = e.target.value;
+  updateMesh();
+});
+
+document.getElementById('layerStepInput').addEventListener('input', (e) => {
+  const val = parseFloat(e.target.value);
+  if (val > 0) {
+    settings.layerStep = val;
+    updateMesh();
+  }
+});
+
+document.getElementById('unionFillsToggle').addEventListener('change', (e) => {
+  settings.unionFills = e.target.checked;
+  updateMesh();
+});
+
+document.getElementById('gradientModeSelect').addEventListener('change', (e) => {
+  settings.gradientMode = e.target.value;
+  updateMesh();
+});
+
 const simplifySlider = document.getElementById('simplifySlider');
 simplifySlider.addEventListener('input', (e) => {
   settings.simplifyTolerance = parseFloat(e.target.value);
@@ -1061,14 +1478,31 @@ colorPicker.addEventListener('input', (e) => {
   updateMesh();
 });
 
+overrideColorToggle.addEventListener('change', (e) => {
+  settings.overrideColor = e.target.checked;
+  colorPicker.disabled = !settings.overrideColor;
+  updateMesh();
+});
+
+document.getElementById('hierarchyToggle').addEventListener('change', (e) => {
+  settings.preserveHierarchy = e.target.checked;
+  updateMesh();
+});
+
+document.getElementById('highlightIssuesToggle').addEventListener('change', (e) => {
+  settings.highlightIssues = e.target.checked;
+  updateIssueOverlay();
+});
+
 wireframeToggle.addEventListener('change', (e) => {
   settings.wireframe = e.target.checked;
-  updateMesh();
+  applyWireframe();
 });
 
 // Export buttons
-document.getElementById('exportGlb').addEventListener('click', () => exportGLTF(true));
-document.getElementById('exportGltf').addEventListener('click', () => exportGLTF(false));
+document.querySelectorAll('[data-export-format]').forEach(btn => {
+  btn.addEventListener('click', () => exportModel(btn.dataset.exportFormat));
+});
 
 // View buttons
 document.getElementById('viewIso').addEventListener('click', () => {
@@ -1091,6 +1525,184 @@ document.getElementById('viewFront').addEventListener('click', () => {
 
 document.getElementById('viewReset').addEventListener('click', resetCamera);
 
+// ─────────────────────────────────────────────────────────────
+// Presets
+// ─────────────────────────────────────────────────────────────
+
+const PRESETS_STORAGE_KEY = 'svg2gltf.presets';
+const ACTIVE_PRESET_STORAGE_KEY = 'svg2gltf.activePreset';
+
+const presetSelect = document.getElementById('presetSelect');
+const presetNameInput = document.getElementById('presetName');
+const presetStatus = document.getElementById('presetStatus');
+const presetFileInput = document.getElementById('presetFileInput');
+
+function loadStoredPresets() {
+  const stored = localStorage.getItem(PRESETS_STORAGE_KEY);
+  if (!stored) return {};
+  
+  try {
+    return parsePresets(stored, message => console.warn('Stored presets:', message));
+  } catch (err) {
+    console.warn('Ignoring stored presets:', err);
+    return {};
+  }
+}
+
+let presets = loadStoredPresets();
+
+function storePresets() {
+  localStorage.setItem(PRESETS_STORAGE_KEY, serializePresets(presets));
+  localStorage.setItem(ACTIVE_PRESET_STORAGE_KEY, presetSelect.value);
+}
+
+function showPresetStatus(message) {
+  presetStatus.textContent = message;
+}
+
+function renderPresetOptions(selected = presetSelect.value) {
+  const options = [new Option('Unsaved settings', '')];
+  Object.keys(presets).sort().forEach(name => options.push(new Option(name, name)));
+  presetSelect.replaceChildren(...options);
+  presetSelect.value = selected in presets ? selected : '';
+  document.getElementById('deletePreset').disabled = !presetSelect.value;
+}
+
+// Reflect the settings object in every sidebar control
+function syncControls() {
+  scaleInput.value = settings.scaleMeters;
+  extrudeInput.value = settings.extrudeDepth;
+  extrudeSlider.value = Math.min(settings.extrudeDepth, 10);
+  bevelSlider.value = settings.bevelThickness;
+  bevelInput.value = settings.bevelThickness;
+  document.getElementById('bevelOptions').hidden = settings.bevelThickness <= 0;
+  document.getElementById('bevelSizeInput').value = settings.bevelSize;
+  document.getElementById('bevelSegmentsInput').value = settings.bevelSegments;
+  document.getElementById('bevelProfileSelect').value = settings.bevelProfile;
+  document.getElementById('bevelSidesSelect').value = settings.bevelSides;
+  drawBevelProfile();
+  segmentsSlider.value = settings.curveSegments;
+  document.getElementById('segmentsValue').textContent = settings.curveSegments;
+  simplifySlider.value = settings.simplifyTolerance;
+  document.getElementById('simplifyValue').textContent = settings.simplifyTolerance.toFixed(1);
+  mergeDistSlider.value = Math.log10(settings.mergeDistance);
+  document.getElementById('mergeDistValue').textContent = settings.mergeDistance.toExponential(0);
+  colorPicker.value = settings.meshColor;
+  colorPicker.disabled = !settings.overrideColor;
+  overrideColorToggle.checked = settings.overrideColor;
+  wireframeToggle.checked = settings.wireframe;
+  document.getElementById('hierarchyToggle').checked = settings.preserveHierarchy;
+  stackLayersToggle.checked = settings.stackLayers;
+  document.getElementById('layerOptions').hidden = !settings.stackLayers;
+  document.getElementById('layerModeSelect').value = settings.layerMode;
+  document.getElementById('layerStepInput').value = settings.layerStep;
+  document.getElementById('unionFillsToggle').checked = settings.unionFills;
+  document.getElementById('gradientModeSelect').value = settings.gradientMode;
+  document.getElementById('reliefModeSelect').value = settings.reliefMode;
+  document.getElementById('generationModeSelect').value = settings.generationMode;
+  document.getElementById('revolveAxisSelect').value = settings.revolveAxis;
+  document.getElementById('revolveAngleInput').value = settings.revolveAngle;
+  document.getElementById('revolveSegmentsInput').value = settings.revolveSegments;
+  document.getElementById('sweepTwistInput').value = settings.sweepTwist;
+  document.getElementById('sweepSegmentsInput').value = settings.sweepSegments;
+  document.getElementById('sweepScaleStartInput').value = settings.sweepScaleStart;
+  document.getElementById('sweepScaleEndInput').value = settings.sweepScaleEnd;
+  document.getElementById('contourOffsetInput').value = settings.contourOffset;
+  document.getElementById('contourJoinSelect').value = settings.contourJoin;
+  document.getElementById('inlaySocketToggle').checked = settings.inlaySocket;
+  document.getElementById('plateShapeSelect').value = settings.plateShape;
+  document.getElementById('keyringHoleSelect').value = settings.keyringHole;
+  document.getElementById('screwHolesSelect').value = settings.screwHoles;
+  document.getElementById('screwCountersinkToggle').checked = settings.screwCountersink;
+  document.getElementById('engraveToggle').checked = settings.engrave;
+  document.getElementById('engraveDepthInput').value = settings.engraveDepth;
+  document.getElementById('engraveMirrorToggle').checked = settings.engraveMirror;
+  Object.entries(PLATE_INPUTS).forEach(([id, [key]]) => {
+    document.getElementById(id).value = settings[key];
+  });
+  renderPlateOptions();
+  renderLODLevels();
+  document.getElementById('highlightIssuesToggle').checked = settings.highlightIssues;
+  renderDepthRules();
+  spineFileName = '';
+  loadSpinePaths();
+  renderReliefRamp();
+}
+
+function applyPreset(name) {
+  Object.assign(settings, createSettings(presets[name]));
+  presetNameInput.value = name;
+  syncControls();
+  updateMesh();
+}
+
+presetSelect.addEventListener('change', () => {
+  const name = presetSelect.value;
+  document.getElementById('deletePreset').disabled = !name;
+  localStorage.setItem(ACTIVE_PRESET_STORAGE_KEY, name);
+  showPresetStatus('');
+  if (name) applyPreset(name);
+});
+
+document.getElementById('savePreset').addEventListener('click', () => {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    showPresetStatus('Enter a name for the preset');
+    presetNameInput.focus();
+    return;
+  }
+  
+  const replaced = name in presets;
+  presets[name] = presetFromSettings(settings);
+  renderPresetOptions(name);
+  storePresets();
+  showPresetStatus(replaced ? `Updated "${name}"` : `Saved "${name}"`);
+});
+
+document.getElementById('deletePreset').addEventListener('click', () => {
+  const name = presetSelect.value;
+  if (!name) return;
+  
+  delete presets[name];
+  renderPresetOptions('');
+  storePresets();
+  showPresetStatus(`Deleted "${name}"`);
+});
+
+document.getElementById('exportPresets').addEventListener('click', () => {
+  if (Object.keys(presets).length === 0) {
+    showPresetStatus('No saved presets to export');
+    return;
+  }
+  downloadBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), 'svg2gltf-presets.json');
+});
+
+document.getElementById('importPresets').addEventListener('click', () => presetFileInput.click());
+
+presetFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const warnings = [];
+    const imported = parsePresets(await file.text(), message => warnings.push(message));
+    const names = Object.keys(imported);
+    // Imported presets replace saved ones with the same name
+    Object.assign(presets, imported);
+    renderPresetOptions();
+    storePresets();
+    showPresetStatus([`Imported ${names.length} preset${names.length === 1 ? '' : 's'} from ${file.name}`, ...warnings].join('. '));
+  } catch (err) {
+    showPresetStatus(`Could not import ${file.name}: ${err.message}`);
+  }
+});
+
+// Start from the preset that was active last time
+const activePreset = localStorage.getItem(ACTIVE_PRESET_STORAGE_KEY) || '';
+renderPresetOptions(activePreset);
+if (presetSelect.value) applyPreset(presetSelect.value);
+
 // ─────────────────────────────────────────────────────────────
 // Render Loop
 // ─────────────────────────────────────────────────────────────
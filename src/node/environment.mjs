@@ -0,0 +1,103 @@
+/**
+ * Browser globals the Three.js SVG loader and glTF exporter expect, provided
+ * for Node. Import this before running the conversion pipeline outside a browser.
+ */
+
+import { DOMParser } from 'linkedom';
+import { encodePNG } from './png.mjs';
+
+if (typeof globalThis.DOMParser === 'undefined') {
+  globalThis.DOMParser = DOMParser;
+}
+
+// GLTFExporter reads its output Blobs back through FileReader
+class NodeFileReader {
+  constructor() {
+    this.result = null;
+    this.error = null;
+    this.onload = null;
+    this.onerror = null;
+    this.onloadend = null;
+  }
+  
+  readAsArrayBuffer(blob) {
+    this._read(blob.arrayBuffer());
+  }
+  
+  readAsDataURL(blob) {
+    this._read(blob.arrayBuffer().then(buffer => {
+      const base64 = Buffer.from(buffer).toString('base64');
+      return `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
+    }));
+  }
+  
+  _read(promise) {
+    promise.then(
+      (result) => {
+        this.result = result;
+        this.onload?.({ target: this });
+        this.onloadend?.({ target: this });
+      },
+      (error) => {
+        this.error = error;
+        this.onerror?.({ target: this });
+        this.onloadend?.({ target: this });
+      }
+    );
+  }
+}
+
+if (typeof globalThis.FileReader === 'undefined') {
+  globalThis.FileReader = NodeFileReader;
+}
+
+// Baked paint textures (DataTextures) are written by GLTFExporter through a
+// 2D canvas: only putImageData and PNG output are needed
+class NodeImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+}
+
+class NodeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.imageData = null;
+  }
+  
+  getContext() {
+    return {
+      translate: () => {},
+      scale: () => {},
+      putImageData: (imageData) => {
+        this.imageData = imageData;
+      }
+    };
+  }
+  
+  _encode() {
+    const { width, height } = this;
+    const rgba = new Uint8Array(width * height * 4);
+    if (this.imageData) rgba.set(this.imageData.data.subarray(0, rgba.length));
+    return encodePNG(width, height, rgba);
+  }
+  
+  convertToBlob() {
+    return Promise.resolve(new Blob([this._encode()], { type: 'image/png' }));
+  }
+  
+  toDataURL() {
+    return `data:image/png;base64,${Buffer.from(this._encode()).toString('base64')}`;
+  }
+}
+
+if (typeof globalThis.OffscreenCanvas === 'undefined') {
+  globalThis.OffscreenCanvas = NodeOffscreenCanvas;
+}
+
+if (typeof globalThis.ImageData === 'undefined') {
+  globalThis.ImageData = NodeImageData;
+}
@@ -0,0 +1,61 @@
+/**
+ * Promise-based handle on a mesh worker (see mesh-worker.mjs). Aborted
+ * builds reject with an error named 'AbortError'.
+ */
+
+export function createMeshWorker({ onProgress } = {}) {
+  const worker = new Worker(new URL('./mesh-worker.mjs', import.meta.url), { type: 'module' });
+  const pending = new Map(); // request id -> { resolve, reject }
+  let nextId = 1;
+  
+  worker.addEventListener('message', ({ data }) => {
+    if (data.type === 'progress') {
+      onProgress?.(data);
+      return;
+    }
+    
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    
+    if (data.type === 'error') {
+      const error = new Error(data.message);
+      if (data.aborted) error.name = 'AbortError';
+      request.reject(error);
+    } else {
+      request.resolve(data.result);
+    }
+  });
+  
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+  
+  worker.addEventListener('error', (e) => {
+    rejectAll(new Error(e.message || 'Mesh worker failed'));
+  });
+  
+  const request = (message) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ ...message, id });
+  });
+  
+  return {
+    addFont: (buffer) => request({ type: 'addFont', buffer }),
+    load: (svgText) => request({ type: 'load', svgText }),
+    listPaths: (svgText) => request({ type: 'paths', svgText }),
+    build: (settings, name) => request({ type: 'build', settings, name }),
+    check: () => request({ type: 'check' }),
+    exportModel: (format, lodLevels) => request({ type: 'export', format, lodLevels }),
+    exportLODs: (format, lodLevels) => request({ type: 'exportLODs', format, lodLevels }),
+    convert: (svgText, settings, name, format) => request({ type: 'convert', svgText, settings, name, format }),
+    collect: (svgText, settings, name, source) => request({ type: 'collect', svgText, settings, name, source }),
+    combine: ({ layout, spacing, name, format }) => request({ type: 'combine', layout, spacing, name, format }),
+    terminate() {
+      worker.terminate();
+      rejectAll(new Error('Mesh worker terminated'));
+    }
+  };
+}
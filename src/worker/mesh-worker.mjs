@@ -0,0 +1,212 @@
+/**
+ * Mesh worker: parses SVGs and builds, checks and encodes meshes off the
+ * main thread. Requests carry an `id` that the reply echoes:
+ *
+ *   { type: 'addFont', buffer }        -> { family }    (used for <text> from then on)
+ *   { type: 'load', svgText }          -> { targets, paths, warnings } (depth rule suggestions, path names, normalizeSVG warnings)
+ *   { type: 'paths', svgText }         -> { paths }     (path names of another SVG, e.g. a sweep spine)
+ *   { type: 'build', settings, name }  -> { glb, shapeCount, totalVertices, totalTriangles, materialCount, warnings }
+ *   { type: 'check' }                  -> { report }    (for the latest build)
+ *   { type: 'export', format, lodLevels } -> { data }   (the latest build, any EXPORT_FORMATS, glTF ones with lodLevels)
+ *   { type: 'exportLODs', format, lodLevels } -> { files } (the latest build and its lodLevels one per file, LOD0 first)
+ *   { type: 'convert', svgText, settings, name, format } -> convertSVG's result
+ *   { type: 'collect', svgText, settings, name, source } -> mesh stats, size and warnings (mesh kept for 'combine')
+ *   { type: 'combine', layout, spacing, name, format } -> { data, materialCount, nodes } (all collected meshes in one scene, node names in collect order)
+ *
+ * Replies are { type: 'result', id, result } or { type: 'error', id, message, aborted }.
+ * Builds also post { type: 'progress', id, phase, done, total }. A new
+ * 'load' or 'build' aborts the build in flight, which then fails as aborted.
+ */
+
+import { DOMParser } from 'linkedom';
+import * as THREE from 'three';
+import { parseSVG, createMeshFromSVG, buildMeshFromSVG, getPathNames } from '../core/svg-mesh.mjs';
+import { disposeMesh } from '../core/dispose.mjs';
+import { EXPORT_FORMATS } from '../core/formats.mjs';
+import { encodeModel, encodeLODs, createLODMeshes, convertSVG, modelSize } from '../core/export.mjs';
+import { collectRuleTargets } from '../core/depth-rules.mjs';
+import { analyzeMesh } from '../core/analysis.mjs';
+import { combineMeshes } from '../core/combine.mjs';
+import { loadFont } from '../core/text.mjs';
+
+// SVGLoader parses through DOMParser, which workers don't have
+if (typeof globalThis.DOMParser === 'undefined') {
+  globalThis.DOMParser = DOMParser;
+}
+
+let svgData = null;
+let currentMesh = null;
+let currentSource = null; // { svgData, settings, materials } the current mesh was built from, for its levels of detail
+let buildController = null;
+let latestBuild = Promise.resolve();
+let collected = []; // { group, name, source } waiting for 'combine'
+const fonts = [];
+
+// The mesh of the newest build that succeeded, once the builds in flight settle
+async function latestMesh() {
+  let build;
+  do {
+    build = latestBuild;
+    await build.catch(() => {});
+  } while (build !== latestBuild);
+  return currentMesh;
+}
+
+async function addFont({ buffer }) {
+  const font = await loadFont(buffer);
+  fonts.push(font);
+  return { result: { family: font.family } };
+}
+
+function load({ svgText }) {
+  buildController?.abort();
+  svgData = parseSVG(svgText, { fonts });
+  return { targets: collectRuleTargets(svgData), paths: getPathNames(svgData), warnings: svgData.warnings };
+}
+
+async function build({ id, settings, name }) {
+  if (!svgData) throw new Error('No SVG loaded');
+  
+  buildController?.abort();
+  const controller = new AbortController();
+  buildController = controller;
+  const { signal } = controller;
+  
+  const onProgress = ({ phase, done, total }) => {
+    self.postMessage({ type: 'progress', id, phase, done, total });
+  };
+  
+  const source = svgData;
+  const materials = new Map();
+  const run = (async () => {
+    const { group, shapeCount, totalVertices, totalTriangles, materialCount, warnings } = await buildMeshFromSVG(source, settings, { signal, onProgress, materials });
+    group.name = name;
+    
+    try {
+      onProgress({ phase: 'encode', done: 0, total: 1 });
+      const glb = await encodeModel(group, 'glb');
+      signal.throwIfAborted();
+      
+      // Checks and exports keep using the previous mesh until this one is shown
+      if (currentMesh) disposeMesh(currentMesh);
+      currentMesh = group;
+      currentSource = { svgData: source, settings, materials };
+      return { glb, shapeCount, totalVertices, totalTriangles, materialCount, warnings };
+    } catch (err) {
+      disposeMesh(group);
+      throw err;
+    }
+  })();
+  
+  latestBuild = run;
+  const result = await run;
+  return { result, transfer: [result.glb] };
+}
+
+// Issue segments per kind, gathered into the root's local space so the main
+// thread can draw them with the loaded model's transform
+async function check() {
+  const mesh = await latestMesh();
+  if (!mesh) throw new Error('Nothing built yet');
+  
+  const { issues, ...report } = analyzeMesh(mesh);
+  mesh.updateMatrixWorld(true);
+  const rootInverse = mesh.matrixWorld.clone().invert();
+  const matrix = new THREE.Matrix4();
+  const point = new THREE.Vector3();
+  
+  const segments = { nonManifold: [], boundary: [], winding: [], intersections: [] };
+  issues.forEach(({ mesh: issueMesh, segments: meshSegments }) => {
+    matrix.multiplyMatrices(rootInverse, issueMesh.matrixWorld);
+    Object.entries(meshSegments).forEach(([kind, positions]) => {
+      for (let i = 0; i < positions.length; i += 3) {
+        point.fromArray(positions, i).applyMatrix4(matrix);
+        segments[kind].push(point.x, point.y, point.z);
+      }
+    });
+  });
+  
+  report.segments = {};
+  const transfer = [];
+  Object.entries(segments).forEach(([kind, positions]) => {
+    report.segments[kind] = new Float32Array(positions);
+    transfer.push(report.segments[kind].buffer);
+  });
+  return { result: { report }, transfer };
+}
+
+// The latest build plus the lower levels of detail `lodLevels` (see
+// settings.mjs), built from the same SVG and settings on demand
+async function exportLatest({ format, lodLevels = [], separate = false }) {
+  const mesh = await latestMesh();
+  if (!mesh) throw new Error('Nothing built yet');
+  
+  const { svgData: source, settings, materials } = currentSource;
+  const lods = separate || EXPORT_FORMATS[format]?.lod ? createLODMeshes(source, { ...settings, lodLevels }, mesh.name, materials) : [];
+  try {
+    const encoded = await encodeLODs(mesh, lods, lodLevels, format, { separate });
+    const files = separate ? encoded : [encoded];
+    const transfer = files.filter(data => data instanceof ArrayBuffer);
+    return { result: separate ? { files } : { data: encoded }, transfer };
+  } finally {
+    lods.forEach(lod => disposeMesh(lod, materials));
+  }
+}
+
+async function convert({ svgText, settings, name, format }) {
+  const result = await convertSVG(svgText, settings, { name, format, fonts });
+  return { result, transfer: result.data instanceof ArrayBuffer ? [result.data] : [] };
+}
+
+function collect({ svgText, settings, name, source }) {
+  const parsed = parseSVG(svgText, { fonts });
+  const { group, ...stats } = createMeshFromSVG(parsed, settings);
+  collected.push({ group, name, source });
+  return { result: { ...stats, size: modelSize(group), warnings: [...parsed.warnings, ...stats.warnings] } };
+}
+
+async function combine({ layout, spacing, name, format }) {
+  const items = collected;
+  collected = [];
+  
+  const { group, materialCount } = combineMeshes(items, { layout, spacing, name });
+  try {
+    const data = await encodeModel(group, format);
+    const nodes = items.map(item => item.group.name);
+    return { result: { data, materialCount, nodes }, transfer: data instanceof ArrayBuffer ? [data] : [] };
+  } finally {
+    disposeMesh(group);
+  }
+}
+
+const HANDLERS = {
+  addFont,
+  load: (message) => ({ result: load(message) }),
+  paths: ({ svgText }) => ({ result: { paths: getPathNames(parseSVG(svgText, { fonts })) } }),
+  build,
+  check,
+  export: exportLatest,
+  exportLODs: (message) => exportLatest({ ...message, separate: true }),
+  convert,
+  collect,
+  combine
+};
+
+self.addEventListener('message', async ({ data: message }) => {
+  const { id, type } = message;
+  
+  try {
+    const handler = HANDLERS[type];
+    if (!handler) throw new Error(`Unknown request: ${type}`);
+    
+    const { result, transfer = [] } = await handler(message);
+    self.postMessage({ type: 'result', id, result }, transfer);
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      id,
+      message: err.message,
+      aborted: err.name === 'AbortError'
+    });
+  }
+});
@@ -0,0 +1,57 @@
+import '../src/node/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { analyzeMesh, isWatertight } from '../src/core/analysis.mjs';
+import { parseSVG, createMeshFromSVG } from '../src/core/svg-mesh.mjs';
+import { disposeMesh } from '../src/core/dispose.mjs';
+import { createSettings } from '../src/core/settings.mjs';
+
+// Two unit cubes under one group, the second `offset` along X
+function twoCubes(offset) {
+  const group = new THREE.Group();
+  [0, offset].forEach(x => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1));
+    mesh.position.x = x;
+    group.add(mesh);
+  });
+  return group;
+}
+
+test('crossings between meshes are counted apart from self-intersections', () => {
+  const report = analyzeMesh(twoCubes(0.5));
+  assert.equal(report.meshes, 2);
+  assert.equal(report.selfIntersections, 0);
+  assert.ok(report.meshOverlaps > 0);
+  assert.ok(isWatertight(report));
+});
+
+test('meshes apart from each other do not cross', () => {
+  const report = analyzeMesh(twoCubes(2));
+  assert.equal(report.meshOverlaps, 0);
+  assert.ok(isWatertight(report));
+});
+
+test('an empty mesh is not watertight', () => {
+  const report = analyzeMesh(new THREE.Mesh(new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([], 3))));
+  assert.equal(report.triangles, 0);
+  assert.ok(!isWatertight(report));
+});
+
+test('meshes touching face to face are counted as crossings', () => {
+  const report = analyzeMesh(twoCubes(1));
+  assert.ok(report.meshOverlaps > 0);
+});
+
+test('the sample\'s circle and hexagon overlap on their shared caps', () => {
+  const svgData = parseSVG(readFileSync(new URL('../sample.svg', import.meta.url), 'utf8'));
+  const { group } = createMeshFromSVG(svgData, createSettings());
+  try {
+    const report = analyzeMesh(group);
+    assert.ok(isWatertight(report));
+    assert.ok(report.meshOverlaps > 0);
+  } finally {
+    disposeMesh(group);
+  }
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { combineMeshes } from '../src/core/combine.mjs';
+
+// A one-box item whose material is `parameters` on top of plain red
+function item(name, parameters = {}) {
+  const group = new THREE.Group();
+  group.add(new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial({ color: 0xff0000, ...parameters })));
+  return { group, name };
+}
+
+const materialOf = (group) => group.children[0].material;
+
+test('matching materials are shared', () => {
+  const { group, materialCount } = combineMeshes([item('a'), item('b')]);
+  assert.equal(materialCount, 1);
+  assert.equal(materialOf(group.children[0]), materialOf(group.children[1]));
+});
+
+test('masked and opaque materials of one color stay apart', () => {
+  const { group, materialCount } = combineMeshes([item('opaque'), item('mask', { alphaTest: 0.5 }), item('mask2', { alphaTest: 0.5 })]);
+  assert.equal(materialCount, 2);
+  assert.notEqual(materialOf(group.children[0]), materialOf(group.children[1]));
+  assert.equal(materialOf(group.children[1]), materialOf(group.children[2]));
+});
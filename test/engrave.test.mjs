@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { isWatertight } from '../src/core/analysis.mjs';
+import { checkFixture, inspectFixture, materialBounds, problems } from './helpers.mjs';
+
+const engraved = { engrave: true, engraveDepth: 0.001, plateThickness: 0.003 };
+
+// Heights of every vertex under `group`, rounded to a micrometer
+const vertexHeights = (group) => {
+  const heights = new Set();
+  group.traverse(mesh => {
+    if (!mesh.isMesh) return;
+    const position = mesh.geometry.attributes.position;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+      point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      heights.add(Math.round(point.y * 1e6) / 1e6 + 0);
+    }
+  });
+  return [...heights].sort((a, b) => a - b);
+};
+
+test('the artwork is cut engraveDepth deep into the plate', () => {
+  // Two colored regions meet the plate at the artwork's corner
+  const report = checkFixture('evenodd.svg', engraved);
+  assert.equal(report.meshes, 1);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+
+  const bounds = inspectFixture('evenodd.svg', engraved, materialBounds);
+  assert.ok(Math.abs(bounds.get('123456').max.y - 0.002) < 1e-6);
+  assert.ok(Math.abs(bounds.get('654321').max.y - 0.002) < 1e-6);
+  assert.ok(Math.abs(bounds.get('ff6b35').max.y - 0.003) < 1e-6);
+});
+
+test('mirroring flips the engraved artwork left to right', () => {
+  const mirrored = { ...engraved, engraveMirror: true, plateShape: 'circle' };
+  const report = checkFixture('evenodd.svg', mirrored);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+
+  // The #654321 squares sit in the drawing's top left corner
+  const plain = inspectFixture('evenodd.svg', engraved, materialBounds).get('654321');
+  const flipped = inspectFixture('evenodd.svg', mirrored, materialBounds).get('654321');
+  assert.ok(Math.abs(flipped.min.x + plain.max.x) < 1e-6);
+  assert.ok(Math.abs(flipped.max.x + plain.min.x) < 1e-6);
+  assert.ok(Math.abs(flipped.min.z - plain.min.z) < 1e-6);
+});
+
+test('cuts deeper than the plate go through it', () => {
+  const through = { ...engraved, engraveDepth: 0.01 };
+  const report = checkFixture('use.svg', through);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.components, 1);
+  assert.equal(report.holes, 3);
+  assert.equal(checkFixture('use.svg', engraved).holes, 0);
+  assert.deepEqual(inspectFixture('use.svg', through, vertexHeights), [0, 0.003]);
+});
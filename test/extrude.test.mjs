@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { analyzeMesh, isWatertight } from '../src/core/analysis.mjs';
+import { extrudeShape, getBevelProfile } from '../src/core/extrude.mjs';
+import { checkFixture, countPieces, inspectFixture, problems } from './helpers.mjs';
+
+// The mesh check of one element's mesh, by node name
+const checkNode = (fixture, settings, name) => inspectFixture(fixture, settings, group => {
+  const node = group.getObjectByName(name);
+  return { ...analyzeMesh(node), ...countPieces(node) };
+});
+
+test('a nonzero path\'s overlapping contours union into one solid', () => {
+  assert.ok(checkNode('evenodd.svg', {}, 'path_2').selfIntersections > 0);
+
+  const report = checkNode('evenodd.svg', { unionFills: true }, 'path_2');
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.components, 1);
+  assert.equal(report.holes, 0);
+});
+
+test('an evenodd path\'s inner contour stays a hole', () => {
+  const report = checkNode('evenodd.svg', { unionFills: true }, 'path_1');
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.holes, 1);
+});
+
+test('fills of one color union across elements', () => {
+  assert.ok(checkFixture('evenodd.svg', { preserveHierarchy: false }).selfIntersections > 0);
+
+  // The union's holes touch each other where the circle crosses the frame's
+  // hole, and its outline runs straight past them
+  const report = checkFixture('evenodd.svg', { preserveHierarchy: false, unionFills: true });
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.meshes, 2);
+});
+
+// Highest x of the geometry at each height, as [z, x] by increasing z
+function outline(geometry) {
+  const rows = new Map();
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const z = Math.round(position.getZ(i) * 1e4) / 1e4;
+    rows.set(z, Math.max(rows.get(z) ?? -Infinity, position.getX(i)));
+  }
+  return [...rows].sort((a, b) => a[0] - b[0]);
+}
+
+// A 10 x 10 square, 2 deep, with a bevel 1 thick and wide
+function bevelSquare(profile, { front = true, back = true } = {}) {
+  const square = new THREE.Shape([new THREE.Vector2(0, 0), new THREE.Vector2(10, 0), new THREE.Vector2(10, 10), new THREE.Vector2(0, 10)]);
+  return extrudeShape(square, {
+    depth: 2,
+    curveSegments: 1,
+    bevel: { thickness: 1, size: 1, profile: getBevelProfile(profile, 4), front, back }
+  });
+}
+
+// [profile, first step from the face as [outset, height]]
+const PROFILE_STEPS = [
+  ['chamfer', [0.25, 0.75]],
+  ['round', [0.3827, 0.9239]],
+  ['cove', [0.0761, 0.6173]],
+  ['ogee', [0.25, 0.8536]],
+  ['custom', [0.3883, 0.907]]
+];
+
+for (const [profile, [outset, height]] of PROFILE_STEPS) {
+  test(`the ${profile} bevel narrows from the body to the face along its profile`, () => {
+    const geometry = bevelSquare(profile);
+    const rows = outline(geometry);
+    const xAt = z => rows.find(([rowZ]) => Math.abs(rowZ - z) < 1e-3)?.[1];
+    assert.equal(rows.length, 10);
+    assert.ok(Math.abs(xAt(3) - 10) < 1e-6, 'face');
+    assert.ok(Math.abs(xAt(2) - 11) < 1e-6, 'body');
+    assert.ok(Math.abs(xAt(2 + height) - (10 + outset)) < 1e-3, JSON.stringify(rows));
+    assert.ok(Math.abs(xAt(-height) - (10 + outset)) < 1e-3, JSON.stringify(rows));
+
+    const report = analyzeMesh(new THREE.Mesh(geometry));
+    assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+    geometry.dispose();
+  });
+}
+
+test('front-only and back-only bevels leave the other face flat', () => {
+  const front = outline(bevelSquare('round', { back: false }));
+  assert.deepEqual([front[0], front[front.length - 1]], [[0, 11], [3, 10]]);
+  const back = outline(bevelSquare('round', { front: false }));
+  assert.deepEqual([back[0], back[back.length - 1]], [[-1, 10], [2, 11]]);
+
+  // Through the settings: the narrow face is the front (top) or the back
+  const faceWidths = (bevelSides) => inspectFixture('circle.svg', { bevelThickness: 0.01, bevelSides }, group => {
+    const box = new THREE.Box3().setFromObject(group);
+    const width = y => {
+      let max = 0;
+      group.traverse(mesh => {
+        if (!mesh.isMesh) return;
+        const position = mesh.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        for (let i = 0; i < position.count; i++) {
+          point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+          if (Math.abs(point.y - y) < 1e-6) max = Math.max(max, point.x);
+        }
+      });
+      return max;
+    };
+    return { top: width(box.max.y), bottom: width(box.min.y), height: box.max.y - box.min.y };
+  });
+  const frontOnly = faceWidths('front');
+  const backOnly = faceWidths('back');
+  assert.ok(frontOnly.top < frontOnly.bottom);
+  assert.ok(backOnly.top > backOnly.bottom);
+  assert.ok(Math.abs(frontOnly.height - 0.06) < 1e-6);
+  assert.ok(Math.abs(faceWidths('both').height - 0.07) < 1e-6);
+});
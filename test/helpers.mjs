@@ -0,0 +1,108 @@
+/**
+ * Shared setup for the tests: fixtures converted through the same pipeline
+ * as the CLI, then run through the mesh check.
+ */
+
+import '../src/node/environment.mjs';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { parseSVG, createMeshFromSVG } from '../src/core/svg-mesh.mjs';
+import { disposeMesh } from '../src/core/dispose.mjs';
+import { createSettings } from '../src/core/settings.mjs';
+import { analyzeMesh } from '../src/core/analysis.mjs';
+
+export function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// How many separate pieces the meshes under `group` make up, with vertices
+// at the same position counted as one, and how many holes go through them
+// (the genus, from the Euler characteristic; only meaningful when closed)
+export function countPieces(group) {
+  const ids = new Map();
+  const parent = [];
+  const edges = new Set();
+  let faces = 0;
+  const find = (id) => (parent[id] === id ? id : (parent[id] = find(parent[id])));
+  group.updateMatrixWorld(true);
+  group.traverse(mesh => {
+    if (!mesh.isMesh) return;
+    const position = mesh.geometry.attributes.position;
+    const index = mesh.geometry.index;
+    const point = new THREE.Vector3();
+    const getId = (i) => {
+      point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      const key = point.toArray().map(v => Math.round(v * 1e6)).join();
+      if (!ids.has(key)) {
+        ids.set(key, parent.length);
+        parent.push(parent.length);
+      }
+      return ids.get(key);
+    };
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i += 3) {
+      const corners = [0, 1, 2].map(k => getId(index ? index.getX(i + k) : i + k));
+      corners.forEach((a, k) => {
+        const b = corners[(k + 1) % 3];
+        edges.add(a < b ? `${a},${b}` : `${b},${a}`);
+        parent[find(a)] = find(b);
+      });
+      faces++;
+    }
+  });
+  const components = parent.filter((id, i) => find(i) === i).length;
+  return { components, holes: components - (parent.length - edges.size + faces) / 2 };
+}
+
+// The mesh check report (without issue segments) for a fixture converted
+// with `overrides` on top of the default settings, plus the number of
+// separate pieces, the holes through them and the build's warnings
+export function checkFixture(name, overrides = {}) {
+  const { group, warnings } = createMeshFromSVG(parseSVG(readFixture(name)), createSettings(overrides));
+  try {
+    const { issues, ...report } = analyzeMesh(group);
+    return { ...report, ...countPieces(group), warnings };
+  } finally {
+    disposeMesh(group);
+  }
+}
+
+// Hands the mesh group of a fixture converted as in checkFixture to
+// `inspect`, then frees it; returns what `inspect` returns
+export function inspectFixture(name, overrides, inspect) {
+  const { group } = createMeshFromSVG(parseSVG(readFixture(name)), createSettings(overrides));
+  try {
+    group.updateMatrixWorld(true);
+    return inspect(group);
+  } finally {
+    disposeMesh(group);
+  }
+}
+
+// World-space bounds of the faces of each material under `group`, by the
+// material's hex color
+export function materialBounds(group) {
+  const bounds = new Map();
+  const point = new THREE.Vector3();
+  group.traverse(mesh => {
+    if (!mesh.isMesh) return;
+    const { attributes: { position }, index, groups } = mesh.geometry;
+    const materials = [mesh.material].flat();
+    const ranges = groups.length > 0 ? groups : [{ start: 0, count: index ? index.count : position.count, materialIndex: 0 }];
+    ranges.forEach(({ start, count, materialIndex }) => {
+      const color = materials[materialIndex].color.getHexString();
+      if (!bounds.has(color)) bounds.set(color, new THREE.Box3());
+      for (let i = start; i < start + count; i++) {
+        point.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+        bounds.get(color).expandByPoint(point);
+      }
+    });
+  });
+  return bounds;
+}
+
+// The counts isWatertight looks at, for assertion messages that say what broke
+export function problems(report) {
+  const { triangles, nonManifoldEdges, boundaryEdges, windingErrors, selfIntersections } = report;
+  return { triangles, nonManifoldEdges, boundaryEdges, windingErrors, selfIntersections };
+}
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { checkFixture, problems, readFixture } from './helpers.mjs';
+import { isWatertight } from '../src/core/analysis.mjs';
+import { createSettings } from '../src/core/settings.mjs';
+import { parseSVG, createMeshFromSVG } from '../src/core/svg-mesh.mjs';
+import { disposeMesh } from '../src/core/dispose.mjs';
+
+const stacked = { stackLayers: true, layerMode: 'height', layerStep: 0.01, extrudeDepth: 0.05 };
+
+test('layers stacked by height make one solid without overlaps', () => {
+  const report = checkFixture('stacked.svg', stacked);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.meshOverlaps, 0);
+  assert.equal(report.components, 1);
+});
+
+test('each later layer stands one step taller', () => {
+  const { group } = createMeshFromSVG(parseSVG(readFixture('stacked.svg')), createSettings(stacked));
+  try {
+    const size = new THREE.Box3().setFromObject(group).getSize(new THREE.Vector3());
+    assert.ok(Math.abs(size.y - 0.07) < 1e-6, `height ${size.y}`);
+  } finally {
+    disposeMesh(group);
+  }
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.mjs';
+import { createSettings } from '../src/core/settings.mjs';
+import { convertSVG } from '../src/core/export.mjs';
+
+const lodLevels = [
+  { simplifyTolerance: 1, curveSegments: 2, coverage: 0.25 },
+  { simplifyTolerance: 4, curveSegments: 1, coverage: 0.1 }
+];
+
+// The JSON chunk of a GLB
+function glbJSON(glb) {
+  const length = new DataView(glb).getUint32(12, true);
+  return JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, length)));
+}
+
+test('levels of detail in one file share their materials', async () => {
+  const { data } = await convertSVG(readFixture('checker.svg'), createSettings({ lodLevels }), { name: 'checker' });
+  const json = glbJSON(data);
+  assert.equal(json.materials.length, 2);
+  assert.equal(json.nodes.filter(node => node.extensions?.MSFT_lod).length, 1);
+  assert.equal(json.scenes[0].name, 'checker');
+});
+
+test('every level file keeps the model\'s scene name', async () => {
+  const { lodData } = await convertSVG(readFixture('checker.svg'), createSettings({ lodLevels }), { name: 'checker', lodFiles: true });
+  assert.equal(lodData.length, 3);
+  lodData.forEach(file => assert.equal(glbJSON(file).scenes[0].name, 'checker'));
+});
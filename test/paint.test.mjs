@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.mjs';
+import { parseSVG } from '../src/core/svg-mesh.mjs';
+
+test('url() paints reach the parsed paths without parser warnings', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { paths, paintServers } = parseSVG(readFixture('paints.svg'));
+  assert.equal(warn.mock.callCount(), 0);
+
+  // Inherited from a group, overridden on one child, set by a stylesheet,
+  // with a fallback color and on a stroke
+  assert.deepEqual(paths.map(({ userData: { style } }) => [style.fill, style.stroke]), [
+    ['url(#g)', undefined],
+    ['green', undefined],
+    ['url(#g)', undefined],
+    ['url(#missing) orange', 'url(#g)']
+  ]);
+  assert.deepEqual([...paintServers.keys()], ['g']);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isWatertight } from '../src/core/analysis.mjs';
+import { checkFixture, problems } from './helpers.mjs';
+
+// [fixture, settings, holes through the plate]
+const CASES = [
+  // Two colored regions meet the plate at the artwork's corner
+  ['evenodd.svg', { plateShape: 'rectangle' }, 0],
+  ['evenodd.svg', { plateShape: 'rectangle', screwHoles: 4, keyringHole: 'top' }, 5],
+  // The outline plate's bounding box corners lie outside it
+  ['circle.svg', { plateShape: 'outline', screwHoles: 4 }, 4],
+  ['circle.svg', { plateShape: 'outline', screwHoles: 4, screwCountersink: false }, 4],
+  ['circle.svg', { plateShape: 'circle', screwHoles: 2 }, 2]
+];
+
+for (const [fixture, settings, holes] of CASES) {
+  test(`plate under ${fixture} with ${JSON.stringify(settings)} is one closed solid`, () => {
+    const report = checkFixture(fixture, settings);
+    assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+    assert.equal(report.components, 1);
+    assert.equal(report.holes, holes);
+    assert.deepEqual(report.warnings, []);
+  });
+}
+
+test('screw holes that do not fit on the plate are left out with a warning', () => {
+  const report = checkFixture('circle.svg', { plateShape: 'outline', screwHoles: 4, screwDiameter: 30 });
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.components, 1);
+  assert.equal(report.holes, 0);
+  assert.deepEqual(report.warnings, ['Only 0 of 4 screw holes fit on the plate']);
+});
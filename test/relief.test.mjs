@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { isWatertight } from '../src/core/analysis.mjs';
+import { checkFixture, inspectFixture, materialBounds, problems } from './helpers.mjs';
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-6;
+
+test('by luminance, regions stand as tall as the ramp says for their color', () => {
+  // Default ramp: black 1 cm, white 2 mm
+  const bounds = inspectFixture('checker.svg', { reliefMode: 'luminance' }, materialBounds);
+  assert.ok(near(bounds.get('000000').max.y, 0.01));
+  assert.ok(near(bounds.get('ffffff').max.y, 0.002));
+});
+
+test('by color, regions take the height of their stop on the ramp', () => {
+  const reliefRamp = [{ color: '#123456', height: 0.02 }, { color: '#654321', height: 0.01 }];
+  const settings = { reliefMode: 'color', reliefRamp };
+  // The circle touches a border of the square it covers at single points
+  const report = checkFixture('evenodd.svg', settings);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.components, 1);
+
+  const bounds = inspectFixture('evenodd.svg', settings, materialBounds);
+  assert.ok(near(bounds.get('123456').max.y, 0.02));
+  assert.ok(near(bounds.get('654321').max.y, 0.01));
+});
+
+test('regions cut by clip paths and masks share their borders', () => {
+  // Their borders are split at different points
+  const report = checkFixture('use.svg', { reliefMode: 'luminance' });
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+});
+
+test('squares of one height meeting at a corner are bridged over the lower one', () => {
+  const report = checkFixture('checker.svg', { reliefMode: 'luminance' });
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.equal(report.components, 1);
+
+  // Around the corner the black squares share, at the middle of the drawing,
+  // their tops reach out to the rim of a small bridge instead of meeting in
+  // the corner point
+  const corner = inspectFixture('checker.svg', { reliefMode: 'luminance' }, group => {
+    const distances = [];
+    group.traverse(mesh => {
+      if (!mesh.isMesh) return;
+      const position = mesh.geometry.attributes.position;
+      const point = new THREE.Vector3();
+      for (let i = 0; i < position.count; i++) {
+        point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        const distance = Math.hypot(point.x, point.z);
+        if (near(point.y, 0.01) && distance < 0.01) distances.push(distance);
+      }
+    });
+    return distances;
+  });
+  assert.ok(corner.length > 0);
+  corner.forEach(distance => assert.ok(near(distance, 0.001), `${distance}`));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, createSettings, pickSettings } from '../src/core/settings.mjs';
+import { parsePresets, serializePresets } from '../src/core/presets.mjs';
+
+test('pickSettings keeps every default', () => {
+  const warnings = [];
+  assert.deepEqual(pickSettings(DEFAULT_SETTINGS, message => warnings.push(message)), DEFAULT_SETTINGS);
+  assert.deepEqual(warnings, []);
+});
+
+test('pickSettings drops values out of range or not among the choices, with a warning', () => {
+  const warnings = [];
+  const picked = pickSettings({
+    extrudeDepth: -0.01,
+    scaleMeters: 0,
+    curveSegments: 0,
+    bevelSegments: 1.5,
+    revolveAngle: 720,
+    generationMode: 'melt',
+    plateShape: 'hexagon',
+    screwHoles: 3,
+    meshColor: 'red',
+    contourOffset: -0.5,
+    lodLevels: [{ simplifyTolerance: 1, curveSegments: 0, coverage: 0.5 }],
+    unknownSetting: 1
+  }, message => warnings.push(message));
+
+  assert.deepEqual(picked, { contourOffset: -0.5, lodLevels: [] });
+  assert.equal(warnings.length, 10);
+  assert.ok(warnings.includes('Ignoring invalid curveSegments: 0'));
+  assert.ok(warnings.includes('Ignoring invalid plateShape: "hexagon"'));
+});
+
+test('presets fall back to the defaults for invalid settings', () => {
+  const text = JSON.stringify({
+    format: 'svg2gltf-presets',
+    version: 1,
+    presets: { broken: { extrudeDepth: 0, curveSegments: 0, reliefMode: 'glow', scaleMeters: 2 } }
+  });
+  const warnings = [];
+  const { broken } = parsePresets(text, message => warnings.push(message));
+
+  assert.deepEqual(broken, createSettings({ scaleMeters: 2 }));
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /^Preset "broken": Ignoring invalid/);
+  assert.deepEqual(parsePresets(serializePresets({ broken })), { broken });
+});
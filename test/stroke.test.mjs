@@ -0,0 +1,32 @@
+import '../src/node/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { strokeToShapes } from '../src/core/polygon.mjs';
+
+// Area of each stroked element's outline, holes taken out
+function strokeAreas(content) {
+  const { paths } = new SVGLoader().parse(`<svg xmlns="http://www.w3.org/2000/svg">${content}</svg>`);
+  const area = points => Math.abs(THREE.ShapeUtils.area(points));
+  return paths.map(path => strokeToShapes(path, path.userData.style, 12).reduce((sum, shape) =>
+    sum + area(shape.getPoints()) - shape.holes.reduce((holes, hole) => holes + area(hole.getPoints()), 0), 0));
+}
+
+test('only Z and closed elements join a stroke\'s ends', () => {
+  const [closed, polygon, open, polyline] = strokeAreas(`
+    <path d="M0 0 L10 0 L10 10 Z" stroke="#000"/>
+    <polygon points="0,0 10,0 10,10" stroke="#000"/>
+    <path d="M0 0 L10 0 L10 10 L0 0" stroke="#000"/>
+    <polyline points="0,0 10,0 10,10 0,0" stroke="#000"/>
+  `);
+  assert.ok(Math.abs(polygon - closed) < 1e-6);
+  // Butt caps leave the mitered corner at the start open
+  assert.ok(open < closed - 0.1, `${open} vs ${closed}`);
+  assert.ok(Math.abs(polyline - open) < 1e-6);
+});
+
+test('circles are stroked as closed rings', () => {
+  const [ring] = strokeAreas('<circle r="5" stroke="#000"/>');
+  assert.ok(Math.abs(ring - Math.PI * 10) < 0.2, `${ring}`);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkFixture, problems } from './helpers.mjs';
+import { isWatertight } from '../src/core/analysis.mjs';
+
+const sweep = { generationMode: 'sweep' };
+
+test('the default profile is the first filled path, not a stroke', () => {
+  const report = checkFixture('sweep.svg', sweep);
+  assert.ok(isWatertight(report), JSON.stringify(problems(report)));
+  assert.deepEqual(report.warnings, []);
+});
+
+test('a file with only stroked paths has no profile to sweep', () => {
+  assert.throws(() => checkFixture('strokes.svg', sweep), /no filled path/);
+});
+
+test('a profile wider than the spine\'s bend is reported', () => {
+  const report = checkFixture('sweep.svg', { ...sweep, sweepScaleStart: 10, sweepScaleEnd: 10 });
+  assert.equal(report.warnings.length, 1);
+  assert.match(report.warnings[0], /folds through itself/);
+});
@@ -8,5 +8,9 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: true
+  },
+  worker: {
+    // The mesh worker is a module worker (new Worker(url, { type: 'module' }))
+    format: 'es'
   }
 });